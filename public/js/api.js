@@ -39,6 +39,29 @@ export const api = {
     return await response.json();
   },
 
+  /**
+   * Set several features in one step (one request per controller)
+   * Where features overlap, narrower features override broader ones.
+   * @param {object} featureProps - Map of feature name → { fx, pal, sx, ix, col }
+   */
+  async setFeatures(featureProps) {
+    const response = await fetch(`${API_BASE}/api/features/batch`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(featureProps),
+    });
+
+    // A 207 (some controllers failed) still resolves; check result.features
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to set features');
+    }
+
+    return await response.json();
+  },
+
   /**
    * Set solid color for a feature
    * @param {string} featureName - Feature name
@@ -134,5 +157,209 @@ export const api = {
     }
     return await response.json();
   },
+
+  /**
+   * Subscribe to live server events (GET /api/events)
+   * The browser reconnects on its own and the server resends 'hello' each time.
+   * @param {object} handlers - Map of event type → callback(data), e.g. { feature, power, controller }
+   * @returns {EventSource} Call close() to unsubscribe
+   */
+  subscribe(handlers) {
+    const source = new EventSource(`${API_BASE}/api/events`);
+    for (const [type, handler] of Object.entries(handlers)) {
+      source.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+    }
+    return source;
+  },
+
+  /**
+   * List saved scenes
+   */
+  async getScenes() {
+    const response = await fetch(`${API_BASE}/api/scenes`);
+    if (!response.ok) {
+      throw new Error('Failed to load scenes');
+    }
+    return await response.json();
+  },
+
+  /**
+   * Save a scene
+   * @param {string} name - Scene name
+   * @param {object} features - Optional feature → props map (defaults to the current look)
+   */
+  async saveScene(name, features) {
+    const response = await fetch(`${API_BASE}/api/scenes`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name, features }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to save scene');
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Save what the controllers are showing right now as a scene
+   * @param {string} name - Scene name
+   */
+  async captureScene(name) {
+    const response = await fetch(`${API_BASE}/api/scenes/capture`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to capture scene');
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Apply a saved scene to the whole pumpkin
+   * @param {string} sceneId - Scene id
+   */
+  async applyScene(sceneId) {
+    const response = await fetch(`${API_BASE}/api/scenes/${sceneId}/apply`, {
+      method: 'POST',
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to apply scene');
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Features as written in pumpkin.json (for the admin editing forms)
+   */
+  async getAdminFeatures() {
+    const response = await fetch(`${API_BASE}/api/admin/features`);
+    if (!response.ok) {
+      throw new Error('Failed to load features');
+    }
+    return await response.json();
+  },
+
+  /**
+   * Add a feature to pumpkin.json, or replace an existing one
+   * @param {string} key - Feature key
+   * @param {object} feature - Feature settings
+   * @param {boolean} isNew - Add instead of replace
+   */
+  async saveFeature(key, feature, isNew = false) {
+    const response = await fetch(isNew ? `${API_BASE}/api/admin/features` : `${API_BASE}/api/admin/features/${key}`, {
+      method: isNew ? 'POST' : 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(isNew ? { key, ...feature } : feature),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to save feature');
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Remove a feature from pumpkin.json
+   * @param {string} key - Feature key
+   */
+  async deleteFeature(key) {
+    const response = await fetch(`${API_BASE}/api/admin/features/${key}`, {
+      method: 'DELETE',
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete feature');
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Controllers as written in pumpkin.json (for the admin editing forms)
+   */
+  async getAdminControllers() {
+    const response = await fetch(`${API_BASE}/api/admin/controllers`);
+    if (!response.ok) {
+      throw new Error('Failed to load controllers');
+    }
+    return await response.json();
+  },
+
+  /**
+   * Add a controller to pumpkin.json, or replace an existing one
+   * @param {string} key - Controller key
+   * @param {object} controller - Controller settings
+   * @param {boolean} isNew - Add instead of replace
+   */
+  async saveController(key, controller, isNew = false) {
+    const response = await fetch(isNew ? `${API_BASE}/api/admin/controllers` : `${API_BASE}/api/admin/controllers/${key}`, {
+      method: isNew ? 'POST' : 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(isNew ? { key, ...controller } : controller),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to save controller');
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Remove a controller from pumpkin.json
+   * @param {string} key - Controller key
+   */
+  async deleteController(key) {
+    const response = await fetch(`${API_BASE}/api/admin/controllers/${key}`, {
+      method: 'DELETE',
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete controller');
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Delete a saved scene
+   * @param {string} sceneId - Scene id
+   */
+  async deleteScene(sceneId) {
+    const response = await fetch(`${API_BASE}/api/scenes/${sceneId}`, {
+      method: 'DELETE',
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete scene');
+    }
+
+    return await response.json();
+  },
 };
 
@@ -24,6 +24,7 @@ class PumpkinPainter {
     this.currentSpeed = 128;
     this.currentIntensity = 128;
     this.featureStates = loadState('featureStates', {});
+    this.editingFeature = ''; // feature open in the feature editor ('' for a new one)
   }
 
   /**
@@ -43,6 +44,9 @@ class PumpkinPainter {
       // Set up event listeners
       this.setupEventListeners();
       
+      // Follow changes made from the kiosk and other admin pages
+      this.subscribeToEvents();
+      
       // Select first feature by default
       const firstFeature = Object.keys(this.config.features)[0];
       if (firstFeature) {
@@ -74,6 +78,9 @@ class PumpkinPainter {
     // Build controls
     this.buildControls();
     
+    // Build scene list
+    this.buildSceneList();
+    
     // Build controller list
     this.buildControllerList();
   }
@@ -85,6 +92,8 @@ class PumpkinPainter {
     const container = document.getElementById('feature-selector');
     if (!container) return;
     
+    container.innerHTML = '';
+    
     // Group features by group
     const groups = {};
     for (const [key, feature] of Object.entries(this.config.features)) {
@@ -126,6 +135,148 @@ class PumpkinPainter {
       section.appendChild(grid);
       container.appendChild(section);
     }
+    
+    this.buildFeatureEditor();
+  }
+
+  /**
+   * Build the form for adding, editing and removing features (saved to pumpkin.json)
+   */
+  buildFeatureEditor() {
+    const container = document.getElementById('feature-editor');
+    if (!container) return;
+    
+    container.innerHTML = `
+      <summary class="config-editor-title">✏️ Edit features</summary>
+      <div class="config-form">
+        <label>Feature <select name="existing"></select></label>
+        <label>Key <input name="key" placeholder="porchLight"></label>
+        <label>Name <input name="name" placeholder="Porch Light"></label>
+        <label>Group <input name="group" placeholder="face"></label>
+        <label>Color <input name="color" type="color"></label>
+        <label>Segments
+          <select name="mode">
+            <option value="single">One segment</option>
+            <option value="multi">Several segments</option>
+            <option value="includes">Other features</option>
+            <option value="all">Every segment</option>
+          </select>
+        </label>
+        <label data-mode="single">Controller <select name="controller"></select></label>
+        <label data-mode="single">Segment <input name="segment" type="number" min="0"></label>
+        <label data-mode="multi">Targets <input name="targets" placeholder="pumpkin_12v:0, pumpkin_24v:1"></label>
+        <label data-mode="includes">Features <input name="includes" placeholder="leftEye, rightEye"></label>
+        <div class="config-form-actions">
+          <button class="scene-btn" data-action="save">💾 Save</button>
+          <button class="scene-btn" data-action="delete">🗑️ Delete</button>
+        </div>
+      </div>
+    `;
+    
+    const form = container.querySelector('.config-form');
+    const field = (name) => form.querySelector(`[name="${name}"]`);
+    
+    field('existing').add(new Option('➕ New feature', ''));
+    for (const [key, feature] of Object.entries(this.config.features)) {
+      field('existing').add(new Option(`${feature.name} (${key})`, key));
+    }
+    for (const [key, controller] of Object.entries(this.config.controllers)) {
+      field('controller').add(new Option(controller.name, key));
+    }
+    
+    const showMode = () => {
+      form.querySelectorAll('[data-mode]').forEach(el => {
+        el.style.display = el.dataset.mode === field('mode').value ? '' : 'none';
+      });
+    };
+    
+    const fill = () => {
+      const key = this.editingFeature = field('existing').value;
+      const feature = this.config.features[key] || {};
+      field('key').value = key;
+      field('key').disabled = Boolean(key);
+      field('name').value = feature.name || '';
+      field('group').value = feature.group || '';
+      field('color').value = feature.color || '#ff6600';
+      // Composites arrive with their resolved targets as well
+      field('mode').value = feature.all ? 'all' : feature.includes ? 'includes' : feature.multiSegment ? 'multi' : 'single';
+      field('controller').value = feature.controller || Object.keys(this.config.controllers)[0];
+      field('segment').value = feature.segment ?? 0;
+      field('targets').value = (feature.targets || []).map(t => `${t.controller}:${t.segment}`).join(', ');
+      field('includes').value = (feature.includes || []).join(', ');
+      form.querySelector('[data-action="delete"]').disabled = !key;
+      showMode();
+    };
+    
+    field('existing').addEventListener('change', fill);
+    field('mode').addEventListener('change', showMode);
+    form.querySelector('[data-action="save"]').addEventListener('click', () => {
+      const key = field('existing').value;
+      const feature = { ...this.config.features[key] };
+      feature.name = field('name').value.trim();
+      feature.group = field('group').value.trim() || undefined;
+      feature.color = field('color').value.toUpperCase();
+      
+      const mode = field('mode').value;
+      for (const name of ['controller', 'segment', 'multiSegment', 'targets', 'includes', 'all']) {
+        delete feature[name];
+      }
+      if (mode === 'multi') {
+        feature.multiSegment = true;
+        feature.targets = parseTargets(field('targets').value);
+      } else if (mode === 'includes') {
+        feature.includes = field('includes').value.split(',').map(name => name.trim()).filter(Boolean);
+      } else if (mode === 'all') {
+        feature.all = true;
+      } else {
+        feature.controller = field('controller').value;
+        feature.segment = parseInt(field('segment').value, 10);
+      }
+      
+      this.saveFeature(key || field('key').value.trim(), feature, !key);
+    });
+    form.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      this.deleteFeature(field('existing').value);
+    });
+    
+    // Keep the feature being edited selected when the page is rebuilt after a save
+    field('existing').value = this.config.features[this.editingFeature] ? this.editingFeature : '';
+    fill();
+  }
+
+  /**
+   * Add or replace a feature in pumpkin.json
+   * The server reloads the config and sends a 'config' event, which rebuilds the page.
+   */
+  async saveFeature(key, feature, isNew) {
+    if (!key) {
+      showToast('Enter a key for the new feature', 'warning');
+      return;
+    }
+    
+    try {
+      await api.saveFeature(key, feature, isNew);
+      this.editingFeature = key;
+      showToast(`Saved feature "${feature.name || key}"`, 'success');
+    } catch (error) {
+      console.error('Failed to save feature:', error);
+      showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Remove a feature from pumpkin.json
+   */
+  async deleteFeature(key) {
+    if (!key || !confirm(`Delete feature "${this.config.features[key]?.name || key}" from pumpkin.json?`)) return;
+    
+    try {
+      await api.deleteFeature(key);
+      showToast(`Deleted feature "${key}"`, 'success');
+    } catch (error) {
+      console.error('Failed to delete feature:', error);
+      showToast(error.message, 'error');
+    }
   }
 
   /**
@@ -219,6 +370,110 @@ class PumpkinPainter {
     }
   }
 
+  /**
+   * Build scene list
+   */
+  async buildSceneList() {
+    const container = document.getElementById('scene-list');
+    if (!container) return;
+    
+    try {
+      const { scenes } = await api.getScenes();
+      container.innerHTML = '';
+      
+      if (scenes.length === 0) {
+        container.innerHTML = '<div class="scene-empty">No scenes saved yet</div>';
+        return;
+      }
+      
+      for (const scene of scenes) {
+        const item = document.createElement('div');
+        item.className = 'scene-item';
+        item.innerHTML = `
+          <span class="scene-item-name"></span>
+          <button class="scene-btn scene-apply-btn">▶️ Apply</button>
+          <button class="scene-btn scene-delete-btn">🗑️</button>
+        `;
+        item.querySelector('.scene-item-name').textContent = scene.name;
+        item.querySelector('.scene-apply-btn').addEventListener('click', () => this.applyScene(scene));
+        item.querySelector('.scene-delete-btn').addEventListener('click', () => this.deleteScene(scene));
+        container.appendChild(item);
+      }
+    } catch (error) {
+      console.error('Failed to load scenes:', error);
+      container.innerHTML = '<div class="error-message">Failed to load scenes</div>';
+    }
+  }
+
+  /**
+   * Save the pumpkin's current look as a scene
+   * @param {boolean} capture - Read the controllers instead of using the server's known state
+   */
+  async saveScene(capture = false) {
+    const input = document.getElementById('scene-name');
+    const name = input ? input.value.trim() : '';
+    
+    if (!name) {
+      showToast('Enter a scene name first', 'warning');
+      return;
+    }
+    
+    try {
+      const result = capture ? await api.captureScene(name) : await api.saveScene(name);
+      input.value = '';
+      if (result.unmapped && result.unmapped.length > 0) {
+        console.warn('Segments not mapped to any feature:', result.unmapped);
+      }
+      if (result.missing && result.missing.length > 0) {
+        showToast(`Saved "${name}" (no state for ${result.missing.length} features)`, 'warning');
+      } else {
+        showToast(`Saved "${name}"`, 'success');
+      }
+      this.buildSceneList();
+    } catch (error) {
+      console.error('Failed to save scene:', error);
+      showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Apply a saved scene
+   */
+  async applyScene(scene) {
+    try {
+      await api.applyScene(scene.id);
+      
+      // Scene props become the remembered feature states
+      for (const [featureKey, props] of Object.entries(scene.features)) {
+        this.featureStates[featureKey] = props;
+      }
+      saveState('featureStates', this.featureStates);
+      if (this.selectedFeature) {
+        this.selectFeature(this.selectedFeature);
+      }
+      
+      showToast(`Applied "${scene.name}"`, 'success');
+    } catch (error) {
+      console.error('Failed to apply scene:', error);
+      showToast(`Failed to apply "${scene.name}"`, 'error');
+    }
+  }
+
+  /**
+   * Delete a saved scene
+   */
+  async deleteScene(scene) {
+    if (!confirm(`Delete scene "${scene.name}"?`)) return;
+    
+    try {
+      await api.deleteScene(scene.id);
+      this.buildSceneList();
+    } catch (error) {
+      console.error('Failed to delete scene:', error);
+      showToast('Failed to delete scene', 'error');
+    }
+  }
+
   /**
    * Build controller list
    */
@@ -244,6 +499,7 @@ class PumpkinPainter {
         <button class="controller-details-btn" data-controller="${key}">
           View Details
         </button>
+        <button class="controller-details-btn controller-edit-btn">✏️ Edit</button>
         <div class="controller-details" id="details-${key}" style="display: none;"></div>
       `;
 
@@ -251,13 +507,107 @@ class PumpkinPainter {
       const detailsBtn = card.querySelector('.controller-details-btn');
       detailsBtn.addEventListener('click', () => this.toggleControllerDetails(key));
 
+      const editBtn = card.querySelector('.controller-edit-btn');
+      editBtn.addEventListener('click', () => this.toggleControllerForm(card, key));
+
       container.appendChild(card);
     }
 
+    // Form for adding a controller
+    const addCard = document.createElement('details');
+    addCard.className = 'controller-card config-editor';
+    addCard.innerHTML = '<summary class="config-editor-title">➕ Add controller</summary>';
+    addCard.appendChild(this.createControllerForm(null, {}));
+    container.appendChild(addCard);
+
     // Check controller status
     this.checkControllerStatus();
   }
 
+  /**
+   * Show or hide the editing form on a controller card
+   * Values come from pumpkin.json (the running config may point at the simulator).
+   */
+  async toggleControllerForm(card, controllerKey) {
+    const open = card.querySelector('.config-form');
+    if (open) {
+      open.remove();
+      return;
+    }
+    
+    try {
+      const { controllers } = await api.getAdminControllers();
+      card.appendChild(this.createControllerForm(controllerKey, controllers[controllerKey] || {}));
+    } catch (error) {
+      console.error('Failed to load controller:', error);
+      showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Form for a controller's key, name, IP and segment count
+   * @param {string|null} controllerKey - null for a new controller
+   */
+  createControllerForm(controllerKey, controller) {
+    const form = document.createElement('div');
+    form.className = 'config-form';
+    form.innerHTML = `
+      <label>Key <input name="key" placeholder="porch"></label>
+      <label>Name <input name="name" placeholder="Porch Controller"></label>
+      <label>IP <input name="ip" placeholder="10.0.1.150"></label>
+      <label>Segments <input name="segments" type="number" min="1"></label>
+      <div class="config-form-actions">
+        <button class="scene-btn" data-action="save">💾 Save</button>
+        ${controllerKey ? '<button class="scene-btn" data-action="delete">🗑️ Delete</button>' : ''}
+      </div>
+    `;
+    
+    const field = (name) => form.querySelector(`[name="${name}"]`);
+    field('key').value = controllerKey || '';
+    field('key').disabled = Boolean(controllerKey);
+    field('name').value = controller.name || '';
+    field('ip').value = controller.ip || '';
+    field('segments').value = controller.segments ?? '';
+    
+    form.querySelector('[data-action="save"]').addEventListener('click', async () => {
+      const key = controllerKey || field('key').value.trim();
+      if (!key) {
+        showToast('Enter a key for the new controller', 'warning');
+        return;
+      }
+      
+      const changed = { ...controller, name: field('name').value.trim(), ip: field('ip').value.trim() };
+      const segments = parseInt(field('segments').value, 10);
+      if (Number.isNaN(segments)) {
+        delete changed.segments;
+      } else {
+        changed.segments = segments;
+      }
+      
+      try {
+        await api.saveController(key, changed, !controllerKey);
+        showToast(`Saved controller "${changed.name || key}"`, 'success');
+      } catch (error) {
+        console.error('Failed to save controller:', error);
+        showToast(error.message, 'error');
+      }
+    });
+    
+    form.querySelector('[data-action="delete"]')?.addEventListener('click', async () => {
+      if (!confirm(`Delete controller "${controller.name || controllerKey}" from pumpkin.json?`)) return;
+      
+      try {
+        await api.deleteController(controllerKey);
+        showToast(`Deleted controller "${controllerKey}"`, 'success');
+      } catch (error) {
+        console.error('Failed to delete controller:', error);
+        showToast(error.message, 'error');
+      }
+    });
+    
+    return form;
+  }
+
   /**
    * Check status of all controllers
    */
@@ -266,18 +616,12 @@ class PumpkinPainter {
       const results = await api.ping();
       
       for (const [key, result] of Object.entries(results)) {
-        const statusEl = document.querySelector(
-          `.controller-card:has([data-controller="${key}"]) .controller-status`
-        );
-        
-        if (statusEl) {
-          if (result.success) {
-            statusEl.textContent = '🟢 Online';
-            statusEl.style.color = '#4ade80';
-          } else {
-            statusEl.textContent = '🔴 Offline';
-            statusEl.style.color = '#f87171';
-          }
+        if (result.success) {
+          this.setControllerStatus(key, 'online');
+        } else if (result.breaker && result.breaker.state !== 'closed') {
+          this.setControllerStatus(key, 'retrying');
+        } else {
+          this.setControllerStatus(key, 'offline');
         }
       }
     } catch (error) {
@@ -285,6 +629,28 @@ class PumpkinPainter {
     }
   }
 
+  /**
+   * Show a controller's status on its card
+   * @param {string} status - 'online', 'retrying' or 'offline'
+   */
+  setControllerStatus(controllerKey, status) {
+    const statusEl = document.querySelector(
+      `.controller-card:has([data-controller="${controllerKey}"]) .controller-status`
+    );
+    if (!statusEl) return;
+    
+    if (status === 'online') {
+      statusEl.textContent = '🟢 Online';
+      statusEl.style.color = '#4ade80';
+    } else if (status === 'retrying') {
+      statusEl.textContent = '🟠 Unreachable (retrying in background)';
+      statusEl.style.color = '#fb923c';
+    } else {
+      statusEl.textContent = '🔴 Offline';
+      statusEl.style.color = '#f87171';
+    }
+  }
+
   /**
    * Toggle controller details panel
    */
@@ -395,30 +761,175 @@ class PumpkinPainter {
    * Setup event listeners
    */
   setupEventListeners() {
+    // Save scene button
+    const sceneSaveBtn = document.getElementById('scene-save-btn');
+    if (sceneSaveBtn) {
+      sceneSaveBtn.addEventListener('click', () => this.saveScene());
+    }
+    
+    const sceneCaptureBtn = document.getElementById('scene-capture-btn');
+    if (sceneCaptureBtn) {
+      sceneCaptureBtn.addEventListener('click', () => this.saveScene(true));
+    }
+    
     // Power button
     const powerBtn = document.getElementById('power-btn');
     if (powerBtn) {
-      let isPowerOn = loadState('power', true);
-      this.updatePowerButton(isPowerOn);
+      this.isPowerOn = loadState('power', true);
+      this.updatePowerButton(this.isPowerOn);
       
       powerBtn.addEventListener('click', async () => {
-        isPowerOn = !isPowerOn;
-        this.updatePowerButton(isPowerOn);
+        this.isPowerOn = !this.isPowerOn;
+        this.updatePowerButton(this.isPowerOn);
         
         try {
-          await api.setPower(isPowerOn);
-          saveState('power', isPowerOn);
+          await api.setPower(this.isPowerOn);
+          saveState('power', this.isPowerOn);
         } catch (error) {
           console.error('Failed to set power:', error);
           showToast('Failed to set power', 'error');
           // Revert button state
-          isPowerOn = !isPowerOn;
-          this.updatePowerButton(isPowerOn);
+          this.isPowerOn = !this.isPowerOn;
+          this.updatePowerButton(this.isPowerOn);
         }
       });
     }
   }
 
+  /**
+   * Subscribe to server events so the controls show the real current pumpkin
+   */
+  subscribeToEvents() {
+    this.events = api.subscribe({
+      hello: ({ states, controllers }) => {
+        this.syncFromStates(states);
+        for (const [key, controller] of Object.entries(controllers)) {
+          if (!controller.online) this.setControllerStatus(key, 'retrying');
+        }
+      },
+      feature: ({ feature, props, success }) => {
+        if (success) this.applyRemoteFeature(feature, props);
+      },
+      power: ({ on, success }) => {
+        if (!success) return;
+        this.isPowerOn = on;
+        this.updatePowerButton(on);
+        saveState('power', on);
+      },
+      brightness: ({ brightness, success }) => {
+        if (!success) return;
+        this.updateSlider('brightness-slider', brightness);
+        saveState('brightness', brightness);
+      },
+      controller: ({ controller, online }) => {
+        this.setControllerStatus(controller, online ? 'online' : 'retrying');
+      },
+      config: ({ success, errors }) => {
+        if (success) {
+          this.reloadConfig();
+        } else {
+          console.warn('Config change rejected:', errors);
+        }
+      }
+    });
+  }
+
+  /**
+   * Pick up features and controllers changed in pumpkin.json
+   */
+  async reloadConfig() {
+    try {
+      this.config = await api.getConfig();
+      this.buildFeatureSelector();
+      this.buildControllerList();
+      
+      const stillThere = this.selectedFeature && this.config.features[this.selectedFeature];
+      const feature = stillThere ? this.selectedFeature : Object.keys(this.config.features)[0];
+      if (feature) {
+        this.selectFeature(feature);
+      }
+    } catch (error) {
+      console.error('Failed to reload configuration:', error);
+    }
+  }
+
+  /**
+   * Controller/segment pairs a feature covers
+   */
+  getFeatureTargets(featureKey) {
+    const feature = this.config.features[featureKey];
+    return feature.targets || [{ controller: feature.controller, segment: feature.segment }];
+  }
+
+  /**
+   * Take a feature change made elsewhere, including every narrower feature
+   * that lies entirely inside it (e.g. wholePumpkin updates leftEye too)
+   */
+  applyRemoteFeature(featureKey, props) {
+    if (!this.config.features[featureKey]) return;
+    
+    const changed = new Set(this.getFeatureTargets(featureKey).map(t => `${t.controller}:${t.segment}`));
+    const picked = {};
+    for (const prop of ['fx', 'pal', 'sx', 'ix']) {
+      if (props[prop] !== undefined) picked[prop] = props[prop];
+    }
+    
+    for (const key of Object.keys(this.config.features)) {
+      const inside = this.getFeatureTargets(key).every(t => changed.has(`${t.controller}:${t.segment}`));
+      if (inside) {
+        this.setFeatureState(key, { ...this.featureStates[key], ...picked });
+      }
+    }
+    saveState('featureStates', this.featureStates);
+    
+    if (this.selectedFeature) {
+      this.selectFeature(this.selectedFeature);
+    }
+  }
+
+  /**
+   * Load feature states from the server's known controller states
+   */
+  syncFromStates(states) {
+    for (const key of Object.keys(this.config.features)) {
+      const [target] = this.getFeatureTargets(key);
+      const state = states[target.controller];
+      const segment = state && state.success ? (state.data.seg || []).find(seg => seg.id === target.segment) : null;
+      if (segment) {
+        this.setFeatureState(key, { fx: segment.fx, pal: segment.pal, sx: segment.sx, ix: segment.ix });
+      }
+    }
+    saveState('featureStates', this.featureStates);
+    
+    const first = Object.values(states).find(state => state.success);
+    if (first) {
+      if (first.data.on !== undefined) {
+        this.isPowerOn = first.data.on;
+        this.updatePowerButton(first.data.on);
+      }
+      if (first.data.bri !== undefined) {
+        this.updateSlider('brightness-slider', first.data.bri);
+      }
+    }
+    
+    if (this.selectedFeature) {
+      this.selectFeature(this.selectedFeature);
+    }
+  }
+
+  /**
+   * Remember a feature's state and show its effect icon
+   */
+  setFeatureState(featureKey, state) {
+    this.featureStates[featureKey] = state;
+    
+    const effect = this.config.effects.effects.find(e => e.id === state.fx);
+    const button = document.querySelector(`[data-feature="${featureKey}"]`);
+    if (effect && button) {
+      button.querySelector('.feature-status').textContent = effect.icon;
+    }
+  }
+
   /**
    * Update power button appearance
    */
@@ -613,6 +1124,19 @@ class PumpkinPainter {
   }
 }
 
+/**
+ * Parse "controller:segment, controller:segment" into feature targets
+ */
+function parseTargets(text) {
+  return text.split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [controller, segment = ''] = part.split(':').map(value => value.trim());
+      return { controller, segment: segment === '' ? null : Number(segment) };
+    });
+}
+
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   const app = new PumpkinPainter();
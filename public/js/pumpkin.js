@@ -25,6 +25,26 @@ const api = {
       body: JSON.stringify({ preset })
     });
     return response.json();
+  },
+
+  // Last known state of every controller (the server's shadow copy)
+  async getState() {
+    const response = await fetch('/api/state');
+    return response.json();
+  },
+
+  async reportActivity() {
+    const response = await fetch('/api/activity', { method: 'POST' });
+    return response.json();
+  },
+
+  // Live server events; handlers map event type → callback(data)
+  subscribe(handlers) {
+    const source = new EventSource('/api/events');
+    for (const [type, handler] of Object.entries(handlers)) {
+      source.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+    }
+    return source;
   }
 };
 
@@ -51,6 +71,11 @@ function hexToRgb(hex) {
   ] : null;
 }
 
+// Convert RGB array to hex color
+function rgbToHex(rgb) {
+  return '#' + rgb.slice(0, 3).map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
 class PumpkinPainter {
   constructor() {
     this.config = null;
@@ -69,11 +94,9 @@ class PumpkinPainter {
     this.inactivityDelay = 10000; // screen saver activation delay
     this.resetTimeout = null;
     this.resetDelay = 5000; // how long after screensaver activates before user can tap to reset
-    // Idle cycle timers
-    this.idleStartTimeout = null; // start idle behavior after 30s
-    this.idleInterval = null; // repeat every 60s
-    this.idleStartDelay = 10000; // after screensaver activates, how long before idle routine starts
-    this.idleRepeatMs = 60000; // how often to repeat the idle routine
+    // The idle light show runs on the server (attract mode); we only report activity
+    this.lastActivityReport = 0;
+    this.activityReportMs = 5000; // at most one activity report per 5s
     this.screensaverActive = true; // Start with screensaver active
     this.shouldResetOnNextTap = false; // Flag to track if we should reset on next tap
     this.bouncingPumpkins = [];
@@ -123,16 +146,13 @@ class PumpkinPainter {
       
       // Setup event listeners
       this.setupEventListeners();
+      this.updateFeatureAreas();
       
       // Setup screensaver
       this.setupScreensaver();
       
-      // If screensaver starts visible, kick off idle timers now
-      const screensaverEl = document.getElementById('screensaver');
-      const isVisible = screensaverEl && !screensaverEl.classList.contains('hidden');
-      if (this.screensaverActive && isVisible) {
-        this.startIdleTimers();
-      }
+      // Mirror changes made from other kiosks and the admin page
+      this.subscribeToEvents();
       
     } catch (error) {
       console.error('Failed to initialize:', error);
@@ -852,9 +872,7 @@ class PumpkinPainter {
     this.resetTimeout = setTimeout(() => {
       this.shouldResetOnNextTap = true;
     }, this.resetDelay);
-    
-    // Schedule idle behavior start after 30s, then repeat every 60s while screensaver stays active
-    this.startIdleTimers();
+
   }
 
   hideScreensaver() {
@@ -868,9 +886,6 @@ class PumpkinPainter {
       this.resetTimeout = null;
     }
     
-    // Clear idle timers
-    this.clearIdleTimers();
-    
     // Reset the flag since they tapped within the window
     this.shouldResetOnNextTap = false;
     
@@ -879,6 +894,9 @@ class PumpkinPainter {
   }
 
   resetInactivityTimer() {
+    // Every reset means someone touched the kiosk
+    this.reportActivity();
+    
     // Clear existing timer
     if (this.inactivityTimeout) {
       clearTimeout(this.inactivityTimeout);
@@ -890,195 +908,109 @@ class PumpkinPainter {
     }, this.inactivityDelay);
   }
 
-  // ----- Idle behavior helpers -----
-  getEffectNameById(id) {
-    const e = this.config.effects.effects.find(x => x.id === id);
-    return e ? `${e.name} (#${e.id})` : `#${id}`;
-  }
-
-  getPaletteNameById(id) {
-    const p = this.config.palettes.palettes.find(x => x.id === id);
-    return p ? `${p.name} (#${p.id})` : `#${id}`;
+  // Tell the server someone is using the kiosk so its attract program holds off
+  reportActivity() {
+    const now = Date.now();
+    if (now - this.lastActivityReport < this.activityReportMs) return;
+    this.lastActivityReport = now;
+    api.reportActivity().catch(error => console.error('Failed to report activity:', error));
   }
 
-  startIdleTimers() {
-    if (this.idleStartTimeout) clearTimeout(this.idleStartTimeout);
-    if (this.idleInterval) {
-      clearInterval(this.idleInterval);
-      this.idleInterval = null;
-    }
-    this.idleStartTimeout = setTimeout(() => {
-      this.runIdleCycle();
-      this.idleInterval = setInterval(() => {
-        this.runIdleCycle();
-      }, this.idleRepeatMs);
-    }, this.idleStartDelay);
+  // ----- Live sync with other kiosks / admin page -----
+  subscribeToEvents() {
+    this.events = api.subscribe({
+      hello: ({ states }) => this.syncFromStates(states),
+      feature: ({ feature, props, success }) => {
+        if (!success) return;
+        const colors = this.colorsForProps(props);
+        if (colors) {
+          this.updatePumpkinVisualization(feature, colors);
+        }
+      },
+      power: ({ on, success }) => {
+        if (success && !on) {
+          this.clearPumpkinVisualization();
+        }
+      },
+      // pumpkin.json, effects.json or palettes.json was reloaded on the server
+      config: ({ success }) => {
+        if (success) {
+          this.reloadConfig();
+        }
+      }
+    });
   }
 
-  clearIdleTimers() {
-    if (this.idleStartTimeout) {
-      clearTimeout(this.idleStartTimeout);
-      this.idleStartTimeout = null;
-    }
-    if (this.idleInterval) {
-      clearInterval(this.idleInterval);
-      this.idleInterval = null;
+  // Pick up features, effects and palettes changed on the server
+  async reloadConfig() {
+    try {
+      const [config, states] = await Promise.all([api.getConfig(), api.getState()]);
+      this.config = config;
+      this.updateFeatureAreas();
+      
+      // Feature targets may have moved: redraw the preview from the controllers
+      this.clearPumpkinVisualization();
+      this.syncFromStates(states);
+      
+      if (document.getElementById('controlModal').classList.contains('show')) {
+        if (this.config.features[this.selectedFeature]) {
+          this.populateEffects();
+          this.populatePalettes();
+          this.updateSectionVisibility();
+        } else {
+          this.closeModal();
+          this.showToast('This part of the pumpkin was removed');
+        }
+      }
+    } catch (error) {
+      console.error('Failed to reload configuration:', error);
     }
   }
 
-  getVisibleEffectsForIdle() {
-    // Use only effects visible in UI and exclude Solid (id 0) for variety
-    return this.config.effects.effects.filter(e => e.show !== false && e.id !== 0);
-  }
-
-  getVisiblePalettesForIdle() {
-    // Use only palettes visible in UI, exclude those requiring extra custom colors
-    // Exclude: Single Color (2), Two Colors (3), 2-Color Gradient (4)
-    const excluded = new Set([2, 3, 4]);
-    return this.config.palettes.palettes.filter(p => p.show !== false && !excluded.has(p.id));
-  }
-
-  pickRandomEffect() {
-    const effects = this.getVisibleEffectsForIdle();
-    if (effects.length === 0) return null;
-    return effects[Math.floor(Math.random() * effects.length)];
-  }
-
-  pickRandomPalette(excludeIds = []) {
-    const excludeSet = new Set(excludeIds);
-    const palettes = this.getVisiblePalettesForIdle().filter(p => !excludeSet.has(p.id));
-    if (palettes.length === 0) return null;
-    return palettes[Math.floor(Math.random() * palettes.length)];
+  // Only offer the shortcuts and pumpkin areas whose feature is configured
+  updateFeatureAreas() {
+    document.querySelectorAll('.shortcut-btn, .clickable-area').forEach(element => {
+      element.style.display = this.config.features[element.dataset.feature] ? '' : 'none';
+    });
   }
 
-  async applyEffectPalette(featureName, effectId, paletteId) {
-    const props = {
-      fx: effectId,
-      pal: paletteId,
-      sx: this.speed,
-      ix: this.intensity
-    };
-    try {
-      await api.setFeature(featureName, props);
-    } catch (error) {
-      console.error(`Failed to set feature ${featureName}:`, error);
+  // Redraw the preview from the server's known controller states
+  syncFromStates(states) {
+    // Broad features first so narrower ones paint over them, as on the pumpkin
+    const features = Object.entries(this.config.features)
+      .map(([key, feature]) => ({ key, targets: feature.targets || [{ controller: feature.controller, segment: feature.segment }] }))
+      .sort((a, b) => b.targets.length - a.targets.length);
+
+    for (const { key, targets } of features) {
+      const [target] = targets;
+      const state = states[target.controller];
+      const segment = state && state.success ? (state.data.seg || []).find(seg => seg.id === target.segment) : null;
+      const colors = segment ? this.colorsForProps(segment) : null;
+      if (colors) {
+        this.updatePumpkinVisualization(key, colors);
+      }
     }
   }
 
-  async runIdleCycle() {
-    if (!this.screensaverActive) return;
-    console.log('[Idle] Running idle cycle');
-
-    // Pick random speed/intensity for this idle tick and reflect in UI
-    const rand = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-    this.speed = rand(0, 255);
-    this.intensity = rand(0, 255);
-    const speedSlider = document.getElementById('speedSlider');
-    const intensitySlider = document.getElementById('intensitySlider');
-    const speedValue = document.getElementById('speedValue');
-    const intensityValue = document.getElementById('intensityValue');
-    if (speedSlider) speedSlider.value = this.speed;
-    if (speedValue) speedValue.textContent = String(this.speed);
-    if (intensitySlider) intensitySlider.value = this.intensity;
-    if (intensityValue) intensityValue.textContent = String(this.intensity);
-    console.log('[Idle] Params:', { speed: this.speed, intensity: this.intensity });
+  // Preview colors for a set of segment props (null if nothing to show)
+  colorsForProps(props) {
+    const customColors = Array.isArray(props.col) ? props.col.filter(c => Array.isArray(c) && c.length >= 3) : [];
 
-    // 50% whole pumpkin with random effect + Random Cycle palette
-    // 25% split: face has E1+P1, filler E2+P2, shell+rim E3+P3
-    // 25% same effect everywhere but each region gets its own random palette
-    const roll = Math.random();
-    const effectsPool = this.getVisibleEffectsForIdle();
-    const palettesPool = this.getVisiblePalettesForIdle();
-    if (effectsPool.length === 0 || palettesPool.length === 0) {
-      return;
+    if (props.fx === 0 && customColors.length > 0) {
+      return [rgbToHex(customColors[0])];
     }
-
-    if (roll < 0.5) {
-      // Whole pumpkin
-      const fx = this.pickRandomEffect();
-      const randomCyclePaletteId = 1; // "Random Cycle"
-      if (fx) {
-        await this.applyEffectPalette('wholePumpkin', fx.id, randomCyclePaletteId);
-        console.log('[Idle] Mode: WHOLE', {
-          effect: this.getEffectNameById(fx.id),
-          palette: this.getPaletteNameById(randomCyclePaletteId)
-        });
-      }
-      return;
+    if ((props.pal === 3 || props.pal === 4) && customColors.length >= 2) {
+      return customColors.slice(0, 2).map(rgbToHex);
     }
-
-    if (roll < 0.75) {
-      // Three groups
-      const fx1 = this.pickRandomEffect();
-      const p1 = this.pickRandomPalette();
-      const usedP1 = p1 ? [p1.id] : [];
-      const fx2 = this.pickRandomEffect();
-      const p2 = this.pickRandomPalette(usedP1);
-      const usedP12 = p2 ? [...usedP1, p2.id] : usedP1;
-      const fx3 = this.pickRandomEffect();
-      const p3 = this.pickRandomPalette(usedP12);
-      if (fx1 && p1) {
-        await Promise.all([
-          this.applyEffectPalette('bothEyes', fx1.id, p1.id),
-          this.applyEffectPalette('nose', fx1.id, p1.id),
-          this.applyEffectPalette('mouth', fx1.id, p1.id)
-        ]);
-      }
-      if (fx2 && p2) {
-        await this.applyEffectPalette('innerFiller', fx2.id, p2.id);
-      }
-      if (fx3 && p3) {
-        await Promise.all([
-          this.applyEffectPalette('pumpkinShell', fx3.id, p3.id),
-          this.applyEffectPalette('bothRims', fx3.id, p3.id)
-        ]);
+    if (props.pal !== undefined) {
+      const palette = this.config.palettes.palettes.find(p => p.id === props.pal);
+      if (palette && palette.colors && props.pal !== 0) {
+        return palette.colors;
       }
-      console.log('[Idle] Mode: GROUPED', {
-        face: fx1 && p1 ? { effect: this.getEffectNameById(fx1.id), palette: this.getPaletteNameById(p1.id) } : 'skipped',
-        filler: fx2 && p2 ? { effect: this.getEffectNameById(fx2.id), palette: this.getPaletteNameById(p2.id) } : 'skipped',
-        shellAndRims: fx3 && p3 ? { effect: this.getEffectNameById(fx3.id), palette: this.getPaletteNameById(p3.id) } : 'skipped'
-      });
-      return;
     }
-
-    // Same effect, different palettes per region
-    const fx = this.pickRandomEffect();
-    if (!fx) return;
-    const pEyes = this.pickRandomPalette();
-    const used1 = pEyes ? [pEyes.id] : [];
-    const pNose = this.pickRandomPalette(used1);
-    const used2 = pNose ? [...used1, pNose.id] : used1;
-    const pMouth = this.pickRandomPalette(used2);
-    const used3 = pMouth ? [...used2, pMouth.id] : used2;
-    const pFill = this.pickRandomPalette(used3);
-    const used4 = pFill ? [...used3, pFill.id] : used3;
-    const pShell = this.pickRandomPalette(used4);
-    const used5 = pShell ? [...used4, pShell.id] : used4;
-    const pRims = this.pickRandomPalette(used5);
-
-    await Promise.all([
-      pEyes && this.applyEffectPalette('bothEyes', fx.id, pEyes.id),
-      pNose && this.applyEffectPalette('nose', fx.id, pNose.id),
-      pMouth && this.applyEffectPalette('mouth', fx.id, pMouth.id),
-      pFill && this.applyEffectPalette('innerFiller', fx.id, pFill.id),
-      pShell && this.applyEffectPalette('pumpkinShell', fx.id, pShell.id),
-      pRims && this.applyEffectPalette('bothRims', fx.id, pRims.id)
-    ].filter(Boolean));
-
-    console.log('[Idle] Mode: SAME_EFFECT_MULTI_PALETTE', {
-      effect: this.getEffectNameById(fx.id),
-      palettes: {
-        eyes: pEyes ? this.getPaletteNameById(pEyes.id) : 'skipped',
-        nose: pNose ? this.getPaletteNameById(pNose.id) : 'skipped',
-        mouth: pMouth ? this.getPaletteNameById(pMouth.id) : 'skipped',
-        filler: pFill ? this.getPaletteNameById(pFill.id) : 'skipped',
-        shell: pShell ? this.getPaletteNameById(pShell.id) : 'skipped',
-        rims: pRims ? this.getPaletteNameById(pRims.id) : 'skipped'
-      }
-    });
+    return customColors.length > 0 ? customColors.map(rgbToHex) : null;
   }
 
-
   updatePumpkinVisualization(featureName, colors) {
     console.log('Updating visualization for:', featureName, 'with colors:', colors);
     
@@ -1,29 +1,57 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
+import { summarizeResults } from './wled-client.js';
+import { validateScene, featuresFromStates, getApplicableFeatures, applyScene } from './scene-store.js';
+import { parseTimestamp } from './sequencer.js';
+import { getFeatureTargets, getResolvedFeatures } from './config-loader.js';
+import { KEY_PATTERN } from './config-validator.js';
 
 /**
  * Setup API routes for the pumpkin painter
+ * @param {object} services - Optional subsystems ({ frameOutput, reconciler, sceneStore, eventStream, attractMode, scheduler, sequencer, fseqPlayer, dmxInput, mqttBridge, triggers, webhooks, configWatcher, configEditor })
  */
-export function setupRoutes(app, config, controllerManager) {
+export function setupRoutes(app, config, controllerManager, services = {}) {
   const router = Router();
+  const { frameOutput, reconciler, sceneStore, eventStream, attractMode, scheduler, sequencer, fseqPlayer, dmxInput, mqttBridge, triggers, webhooks, configWatcher, configEditor } = services;
+
+  // Any API write counts as activity and holds off the attract program
+  router.use((req, res, next) => {
+    if (attractMode && req.method !== 'GET' && !req.path.startsWith('/attract')) {
+      attractMode.recordActivity();
+    }
+    next();
+  });
 
   /**
    * GET /api/config
    * Returns complete configuration including features, effects, and palettes
+   * (composite features come with their resolved targets)
    */
   router.get('/config', (req, res) => {
     res.json({
       name: config.pumpkin.name,
-      features: config.pumpkin.features,
+      features: getResolvedFeatures(config),
       effects: config.effects,
       palettes: config.palettes,
       controllers: config.pumpkin.controllers
     });
   });
 
+  /**
+   * GET /api/config/status
+   * Config file watching: reloads so far and the last rejected edit
+   */
+  router.get('/config/status', (req, res) => {
+    if (!configWatcher) {
+      return res.status(503).json({ success: false, error: 'Config watcher not available' });
+    }
+    res.json(configWatcher.getStatus());
+  });
+
   /**
    * POST /api/feature/:featureName
    * Set effect and palette for a specific pumpkin feature
    * Body: { fx, pal, sx, ix, col }
+   * Query: ?sync=true to start the effect on the same frame on every controller
    */
   router.post('/feature/:featureName', async (req, res) => {
     try {
@@ -39,8 +67,17 @@ export function setupRoutes(app, config, controllerManager) {
         });
       }
 
+      // A lighting desk has priority while DMX is live
+      if (dmxInput && dmxInput.conflicts([featureName]).length > 0) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Feature '${featureName}' is under DMX control` 
+        });
+      }
+
       // Apply the effect/palette to the feature
-      const result = await controllerManager.setFeature(featureName, props);
+      const sync = req.query.sync === 'true';
+      const result = await controllerManager.setFeature(featureName, props, { sync });
 
       if (result.success) {
         res.json({
@@ -48,10 +85,11 @@ export function setupRoutes(app, config, controllerManager) {
           feature: featureName,
           controller: feature.controller,
           segment: feature.segment,
-          applied: props
+          applied: props,
+          sync
         });
       } else {
-        res.status(500).json(result);
+        res.status(result.partial ? 207 : 500).json(result);
       }
     } catch (error) {
       console.error('Error in POST /api/feature/:featureName:', error);
@@ -102,6 +140,13 @@ export function setupRoutes(app, config, controllerManager) {
         });
       }
 
+      if (dmxInput && dmxInput.conflicts([featureName]).length > 0) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Feature '${featureName}' is under DMX control` 
+        });
+      }
+
       const result = await controllerManager.setFeature(featureName, props);
 
       if (result.success) {
@@ -112,7 +157,7 @@ export function setupRoutes(app, config, controllerManager) {
           rgb: rgb
         });
       } else {
-        res.status(500).json(result);
+        res.status(result.partial ? 207 : 500).json(result);
       }
     } catch (error) {
       console.error('Error in POST /api/feature/:featureName/color:', error);
@@ -123,14 +168,82 @@ export function setupRoutes(app, config, controllerManager) {
     }
   });
 
+  /**
+   * POST /api/features/batch
+   * Set several features at once with a single /json/state request per
+   * controller, so a multi-region look appears in one step.
+   * Body: { featureName: { fx, pal, sx, ix, col }, ... }
+   * Where features share segments, broader features are applied first and
+   * narrower ones override them (ties: later in the body wins).
+   * Query: ?sync=true to start every effect on the same frame
+   */
+  router.post('/features/batch', async (req, res) => {
+    try {
+      const featureProps = req.body;
+
+      if (!featureProps || typeof featureProps !== 'object' || Array.isArray(featureProps) ||
+          Object.keys(featureProps).length === 0) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Body must be a map of feature name → props' 
+        });
+      }
+
+      const unknown = Object.keys(featureProps).filter(name => !config.pumpkin.features[name]);
+      if (unknown.length > 0) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Feature${unknown.length > 1 ? 's' : ''} not found: ${unknown.join(', ')}` 
+        });
+      }
+
+      const invalid = Object.entries(featureProps)
+        .filter(([, props]) => !props || typeof props !== 'object' || Array.isArray(props))
+        .map(([name]) => name);
+      if (invalid.length > 0) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `Props must be an object for: ${invalid.join(', ')}` 
+        });
+      }
+
+      const held = dmxInput ? dmxInput.conflicts(Object.keys(featureProps)) : [];
+      if (held.length > 0) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Under DMX control: ${held.join(', ')}` 
+        });
+      }
+
+      const sync = req.query.sync === 'true';
+      const result = await controllerManager.setFeatures(featureProps, { sync });
+
+      if (result.success) {
+        res.json({ success: true, features: result.features, sync, results: result.data });
+      } else {
+        res.status(result.partial ? 207 : 500).json(result);
+      }
+    } catch (error) {
+      console.error('Error in POST /api/features/batch:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
   /**
    * GET /api/state
-   * Get current state of all controllers
+   * Get current state of all controllers from the server's shadow copy
+   * Each controller includes updatedAt/ageMs, and each segment its ageMs.
+   * Query: ?refresh=true to read every controller before answering
    */
   router.get('/state', async (req, res) => {
     try {
-      const states = await controllerManager.getAllStates();
-      res.json(states);
+      if (req.query.refresh === 'true') {
+        await controllerManager.getAllStates({ fresh: true });
+      }
+      res.json(controllerManager.getShadowStates());
     } catch (error) {
       console.error('Error in GET /api/state:', error);
       res.status(500).json({ 
@@ -140,6 +253,42 @@ export function setupRoutes(app, config, controllerManager) {
     }
   });
 
+  /**
+   * GET /api/live
+   * Get the live state mirrored over each controller's WebSocket (no hardware request)
+   */
+  router.get('/live', (req, res) => {
+    res.json(controllerManager.getLiveStates());
+  });
+
+  /**
+   * GET /api/events
+   * Server-Sent Events: feature, power, brightness and preset changes, and
+   * controllers going online/offline, as they happen
+   */
+  router.get('/events', (req, res) => {
+    if (!eventStream) {
+      return res.status(503).json({ success: false, error: 'Event stream not available' });
+    }
+    eventStream.attach(req, res);
+  });
+
+  /**
+   * GET /api/metrics
+   * Command queue metrics per controller (depth, merged count, latency)
+   */
+  router.get('/metrics', (req, res) => {
+    const metrics = {};
+    for (const [key, client] of Object.entries(controllerManager.clients)) {
+      metrics[key] = {
+        queue: client.queue.getMetrics(),
+        breaker: client.getHealth(),
+        websocket: client.isSocketOpen()
+      };
+    }
+    res.json(metrics);
+  });
+
   /**
    * GET /api/controller/:controllerKey
    * Get detailed state and info for a specific controller
@@ -188,7 +337,9 @@ export function setupRoutes(app, config, controllerManager) {
         ip: client.baseUrl.replace('http://', ''),
         state: stateResult,
         info: infoResult,
-        segments: enrichedSegments
+        segments: enrichedSegments,
+        breaker: client.getHealth(),
+        queue: client.queue.getMetrics()
       });
     } catch (error) {
       console.error('Error in GET /api/controller/:controllerKey:', error);
@@ -216,7 +367,8 @@ export function setupRoutes(app, config, controllerManager) {
       }
 
       const results = await controllerManager.setAllPower(on);
-      res.json({ success: true, results });
+      const summary = summarizeResults(results);
+      res.status(summary.success ? 200 : summary.partial ? 207 : 502).json({ ...summary, results });
     } catch (error) {
       console.error('Error in POST /api/power:', error);
       res.status(500).json({ 
@@ -243,7 +395,8 @@ export function setupRoutes(app, config, controllerManager) {
       }
 
       const results = await controllerManager.setAllBrightness(brightness);
-      res.json({ success: true, brightness, results });
+      const summary = summarizeResults(results);
+      res.status(summary.success ? 200 : summary.partial ? 207 : 502).json({ ...summary, brightness, results });
     } catch (error) {
       console.error('Error in POST /api/brightness:', error);
       res.status(500).json({ 
@@ -256,6 +409,7 @@ export function setupRoutes(app, config, controllerManager) {
   /**
    * GET /api/ping
    * Test connectivity to all controllers
+   * Each result includes the controller's circuit breaker status
    */
   router.get('/ping', async (req, res) => {
     try {
@@ -287,7 +441,8 @@ export function setupRoutes(app, config, controllerManager) {
       }
       
       const results = await controllerManager.loadPresetAll(preset);
-      res.json({ success: true, preset, results });
+      const summary = summarizeResults(results);
+      res.status(summary.success ? 200 : summary.partial ? 207 : 502).json({ ...summary, preset, results });
     } catch (error) {
       console.error('Error in POST /api/preset:', error);
       res.status(500).json({ 
@@ -297,6 +452,1225 @@ export function setupRoutes(app, config, controllerManager) {
     }
   });
 
+  /**
+   * GET /api/scenes
+   * List saved scenes
+   */
+  router.get('/scenes', (req, res) => {
+    if (!sceneStore) {
+      return res.status(503).json({ success: false, error: 'Scenes not available' });
+    }
+    res.json({ scenes: sceneStore.list() });
+  });
+
+  /**
+   * POST /api/scenes/capture
+   * Read every controller and save what it is showing as a scene, e.g. a
+   * look tuned in the WLED UI. Segments that belong to no feature in
+   * pumpkin.json are reported in `unmapped`.
+   * Body: { name }
+   */
+  router.post('/scenes/capture', async (req, res) => {
+    try {
+      if (!sceneStore) {
+        return res.status(503).json({ success: false, error: 'Scenes not available' });
+      }
+
+      const errors = validateScene(config, { name: req.body.name });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join('; '), errors });
+      }
+
+      const results = await controllerManager.fanOut(
+        Object.keys(controllerManager.clients),
+        client => client.getState({ fresh: true })
+      );
+
+      const states = {};
+      const failed = {};
+      for (const [key, result] of Object.entries(results)) {
+        if (result.success) {
+          states[key] = result.data;
+        } else {
+          failed[key] = result.error;
+        }
+      }
+
+      if (Object.keys(states).length === 0) {
+        return res.status(502).json({ 
+          success: false, 
+          error: 'No controller could be read', 
+          failed 
+        });
+      }
+
+      const { features, missing, unmapped } = featuresFromStates(config, states);
+      if (unmapped.length > 0) {
+        const list = unmapped.map(({ controller, segment }) => `${controller} segment ${segment}`).join(', ');
+        console.warn(`⚠️  Captured segments not mapped to any feature: ${list}`);
+      }
+
+      const scene = await sceneStore.create({ name: req.body.name.trim(), features });
+      res.status(201).json({ success: true, scene, missing, unmapped, failed });
+    } catch (error) {
+      console.error('Error in POST /api/scenes/capture:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * GET /api/scenes/:id
+   * Get one scene
+   */
+  router.get('/scenes/:id', (req, res) => {
+    if (!sceneStore) {
+      return res.status(503).json({ success: false, error: 'Scenes not available' });
+    }
+
+    const scene = sceneStore.get(req.params.id);
+    if (!scene) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Scene '${req.params.id}' not found` 
+      });
+    }
+    res.json(scene);
+  });
+
+  /**
+   * POST /api/scenes
+   * Save a scene
+   * Body: { name, features: { featureName: { fx, pal, sx, ix, col } } }
+   * Without features, the current look (from the shadow state) is saved.
+   */
+  router.post('/scenes', async (req, res) => {
+    try {
+      if (!sceneStore) {
+        return res.status(503).json({ success: false, error: 'Scenes not available' });
+      }
+
+      const errors = validateScene(config, req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join('; '), errors });
+      }
+
+      let { features } = req.body;
+      let missing = [];
+
+      if (features === undefined) {
+        const states = {};
+        for (const [key, state] of Object.entries(controllerManager.getShadowStates())) {
+          if (state.success) states[key] = state.data;
+        }
+        ({ features, missing } = featuresFromStates(config, states));
+      }
+
+      const scene = await sceneStore.create({ name: req.body.name.trim(), features });
+      res.status(201).json({ success: true, scene, missing });
+    } catch (error) {
+      console.error('Error in POST /api/scenes:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * PUT /api/scenes/:id
+   * Rename a scene and/or replace its features
+   * Body: { name?, features? }
+   */
+  router.put('/scenes/:id', async (req, res) => {
+    try {
+      if (!sceneStore) {
+        return res.status(503).json({ success: false, error: 'Scenes not available' });
+      }
+
+      const errors = validateScene(config, req.body, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join('; '), errors });
+      }
+
+      const { name, features } = req.body;
+      const scene = await sceneStore.update(req.params.id, {
+        name: name !== undefined ? name.trim() : undefined,
+        features
+      });
+
+      if (!scene) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Scene '${req.params.id}' not found` 
+        });
+      }
+      res.json({ success: true, scene });
+    } catch (error) {
+      console.error('Error in PUT /api/scenes/:id:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/scenes/:id
+   * Delete a scene
+   */
+  router.delete('/scenes/:id', async (req, res) => {
+    try {
+      if (!sceneStore) {
+        return res.status(503).json({ success: false, error: 'Scenes not available' });
+      }
+
+      const removed = await sceneStore.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Scene '${req.params.id}' not found` 
+        });
+      }
+      res.json({ success: true, deleted: req.params.id });
+    } catch (error) {
+      console.error('Error in DELETE /api/scenes/:id:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/scenes/:id/apply
+   * Apply a scene with one batched update per controller
+   * Query: ?sync=true to start every effect on the same frame
+   */
+  router.post('/scenes/:id/apply', async (req, res) => {
+    try {
+      if (!sceneStore) {
+        return res.status(503).json({ success: false, error: 'Scenes not available' });
+      }
+
+      const scene = sceneStore.get(req.params.id);
+      if (!scene) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Scene '${req.params.id}' not found` 
+        });
+      }
+
+      // Skip features removed from pumpkin.json since the scene was saved
+      const { features, skipped } = getApplicableFeatures(config, scene);
+
+      const held = dmxInput ? dmxInput.conflicts(Object.keys(features)) : [];
+      if (held.length > 0) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Under DMX control: ${held.join(', ')}` 
+        });
+      }
+
+      const sync = req.query.sync === 'true';
+      const result = await applyScene(config, controllerManager, scene, { sync });
+
+      if (result.success) {
+        res.json({ success: true, scene: scene.id, skipped, sync, results: result.data });
+      } else {
+        res.status(result.partial ? 207 : 500).json({ ...result, scene: scene.id, skipped });
+      }
+    } catch (error) {
+      console.error('Error in POST /api/scenes/:id/apply:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * GET /api/stream
+   * Real-time pixel streaming status
+   */
+  router.get('/stream', (req, res) => {
+    if (!frameOutput) {
+      return res.status(503).json({ success: false, error: 'Streaming not available' });
+    }
+    res.json(frameOutput.getStatus());
+  });
+
+  /**
+   * POST /api/stream/start
+   * Stream a built-in pixel animation over DDP / E1.31
+   * Body: { animation: "ripple", fps: 30, protocol: "ddp" }
+   */
+  router.post('/stream/start', async (req, res) => {
+    try {
+      if (!frameOutput) {
+        return res.status(503).json({ success: false, error: 'Streaming not available' });
+      }
+
+      const { animation, fps, protocol } = req.body;
+
+      if (!animation) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'animation is required' 
+        });
+      }
+
+      if (protocol !== undefined && protocol !== 'ddp' && protocol !== 'e131') {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'protocol must be "ddp" or "e131"' 
+        });
+      }
+
+      if (fps !== undefined && (typeof fps !== 'number' || fps < 1 || fps > 60)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'fps must be a number between 1 and 60' 
+        });
+      }
+
+      const status = await frameOutput.start(animation, { fps, protocol });
+      res.json({ success: true, ...status });
+    } catch (error) {
+      console.error('Error in POST /api/stream/start:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/stream/stop
+   * Stop streaming and hand control back to the WLED effect engine
+   */
+  router.post('/stream/stop', async (req, res) => {
+    try {
+      if (!frameOutput) {
+        return res.status(503).json({ success: false, error: 'Streaming not available' });
+      }
+
+      const results = await frameOutput.stop();
+      res.json({ success: true, results });
+    } catch (error) {
+      console.error('Error in POST /api/stream/stop:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * GET /api/fseq
+   * Uploaded .fseq sequences and playback status
+   */
+  router.get('/fseq', async (req, res) => {
+    try {
+      if (!fseqPlayer) {
+        return res.status(503).json({ success: false, error: 'FSEQ playback not available' });
+      }
+
+      res.json({ sequences: await fseqPlayer.list(), status: fseqPlayer.getStatus() });
+    } catch (error) {
+      console.error('Error in GET /api/fseq:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * PUT /api/fseq/:name
+   * Upload a sequence; the body is the raw .fseq file
+   * curl -X PUT --data-binary @show.fseq -H 'Content-Type: application/octet-stream' /api/fseq/show
+   */
+  router.put('/fseq/:name', express.raw({ type: () => true, limit: '100mb' }), async (req, res) => {
+    try {
+      if (!fseqPlayer) {
+        return res.status(503).json({ success: false, error: 'FSEQ playback not available' });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ success: false, error: 'Request body must be the .fseq file' });
+      }
+
+      const result = await fseqPlayer.save(req.params.name, req.body);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+      res.status(201).json({ success: true, sequence: result.sequence });
+    } catch (error) {
+      console.error('Error in PUT /api/fseq/:name:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/fseq/:name
+   * Delete an uploaded sequence
+   */
+  router.delete('/fseq/:name', async (req, res) => {
+    try {
+      if (!fseqPlayer) {
+        return res.status(503).json({ success: false, error: 'FSEQ playback not available' });
+      }
+
+      const removed = await fseqPlayer.remove(req.params.name);
+      if (!removed) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Sequence '${req.params.name}' not found` 
+        });
+      }
+      res.json({ success: true, deleted: req.params.name });
+    } catch (error) {
+      console.error('Error in DELETE /api/fseq/:name:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/fseq/:name/play
+   * Stream a sequence onto the controllers (replaces any running stream)
+   * Body: { loop?: boolean }
+   */
+  router.post('/fseq/:name/play', async (req, res) => {
+    try {
+      if (!fseqPlayer) {
+        return res.status(503).json({ success: false, error: 'FSEQ playback not available' });
+      }
+
+      const status = await fseqPlayer.play(req.params.name, { loop: req.body?.loop === true });
+      if (!status) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Sequence '${req.params.name}' not found` 
+        });
+      }
+      res.json({ success: true, ...status });
+    } catch (error) {
+      console.error('Error in POST /api/fseq/:name/play:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/fseq/stop
+   * Stop sequence playback and hand control back to WLED's effects
+   */
+  router.post('/fseq/stop', async (req, res) => {
+    try {
+      if (!fseqPlayer) {
+        return res.status(503).json({ success: false, error: 'FSEQ playback not available' });
+      }
+
+      res.json({ success: true, ...(await fseqPlayer.stop()) });
+    } catch (error) {
+      console.error('Error in POST /api/fseq/stop:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/activity
+   * Report user activity (e.g. a kiosk touch) without changing anything
+   */
+  router.post('/activity', (req, res) => {
+    res.json({ success: true, attract: attractMode ? attractMode.getStatus() : null });
+  });
+
+  /**
+   * GET /api/attract
+   * Attract (idle) program status
+   */
+  router.get('/attract', (req, res) => {
+    if (!attractMode) {
+      return res.status(503).json({ success: false, error: 'Attract mode not available' });
+    }
+    res.json(attractMode.getStatus());
+  });
+
+  /**
+   * POST /api/attract/start
+   * Enable the attract program and start cycling looks now
+   */
+  router.post('/attract/start', (req, res) => {
+    if (!attractMode) {
+      return res.status(503).json({ success: false, error: 'Attract mode not available' });
+    }
+    res.json({ success: true, ...attractMode.start() });
+  });
+
+  /**
+   * POST /api/attract/stop
+   * Stop the attract program; it stays off until started again
+   */
+  router.post('/attract/stop', (req, res) => {
+    if (!attractMode) {
+      return res.status(503).json({ success: false, error: 'Attract mode not available' });
+    }
+    res.json({ success: true, ...attractMode.stop() });
+  });
+
+  /**
+   * GET /api/dmx
+   * sACN / Art-Net input status: live, sources, mapped features and their last values
+   */
+  router.get('/dmx', (req, res) => {
+    if (!dmxInput) {
+      return res.status(503).json({ success: false, error: 'DMX input not available' });
+    }
+    res.json(dmxInput.getStatus());
+  });
+
+  /**
+   * GET /api/mqtt
+   * MQTT bridge status: broker connection and topics published
+   */
+  router.get('/mqtt', (req, res) => {
+    if (!mqttBridge) {
+      return res.status(503).json({ success: false, error: 'MQTT bridge not available' });
+    }
+    res.json(mqttBridge.getStatus());
+  });
+
+  /**
+   * GET /api/reconcile
+   * Desired state and recent reconciliation actions
+   */
+  router.get('/reconcile', (req, res) => {
+    if (!reconciler) {
+      return res.status(503).json({ success: false, error: 'Reconciler not available' });
+    }
+    res.json(reconciler.getStatus());
+  });
+
+  /**
+   * POST /api/reconcile
+   * Compare controllers with the desired state now and re-apply differences
+   */
+  router.post('/reconcile', async (req, res) => {
+    try {
+      if (!reconciler) {
+        return res.status(503).json({ success: false, error: 'Reconciler not available' });
+      }
+
+      const actions = await reconciler.reconcile();
+      res.json({ success: true, actions });
+    } catch (error) {
+      console.error('Error in POST /api/reconcile:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * GET /api/schedule
+   * Location, rules (with their next firing) and recent firings
+   */
+  router.get('/schedule', (req, res) => {
+    if (!scheduler) {
+      return res.status(503).json({ success: false, error: 'Scheduler not available' });
+    }
+    res.json(scheduler.getSchedule());
+  });
+
+  /**
+   * PUT /api/schedule
+   * Replace the whole schedule
+   * Body: { location: { latitude, longitude }, rules: [...] }
+   */
+  router.put('/schedule', async (req, res) => {
+    try {
+      if (!scheduler) {
+        return res.status(503).json({ success: false, error: 'Scheduler not available' });
+      }
+
+      const errors = await scheduler.replace(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join('; '), errors });
+      }
+      res.json({ success: true, ...scheduler.getSchedule() });
+    } catch (error) {
+      console.error('Error in PUT /api/schedule:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * GET /api/schedule/preview?count=10
+   * The next firings across all enabled rules
+   */
+  router.get('/schedule/preview', (req, res) => {
+    try {
+      if (!scheduler) {
+        return res.status(503).json({ success: false, error: 'Scheduler not available' });
+      }
+
+      const count = Math.min(Math.max(parseInt(req.query.count, 10) || 10, 1), 100);
+      res.json({ success: true, firings: scheduler.preview(count) });
+    } catch (error) {
+      console.error('Error in GET /api/schedule/preview:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/schedule/rules
+   * Add a rule
+   * Body: { name, cron | solar, actions: [...], enabled? }
+   */
+  router.post('/schedule/rules', async (req, res) => {
+    try {
+      if (!scheduler) {
+        return res.status(503).json({ success: false, error: 'Scheduler not available' });
+      }
+
+      const result = await scheduler.addRule(req.body || {});
+      if (result.errors) {
+        return res.status(400).json({ success: false, error: result.errors.join('; '), errors: result.errors });
+      }
+      res.status(201).json({ success: true, rule: result.rule });
+    } catch (error) {
+      console.error('Error in POST /api/schedule/rules:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * PUT /api/schedule/rules/:id
+   * Replace a rule
+   */
+  router.put('/schedule/rules/:id', async (req, res) => {
+    try {
+      if (!scheduler) {
+        return res.status(503).json({ success: false, error: 'Scheduler not available' });
+      }
+
+      const result = await scheduler.updateRule(req.params.id, req.body || {});
+      if (!result) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Rule '${req.params.id}' not found` 
+        });
+      }
+      if (result.errors) {
+        return res.status(400).json({ success: false, error: result.errors.join('; '), errors: result.errors });
+      }
+      res.json({ success: true, rule: result.rule });
+    } catch (error) {
+      console.error('Error in PUT /api/schedule/rules/:id:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/schedule/rules/:id
+   * Delete a rule
+   */
+  router.delete('/schedule/rules/:id', async (req, res) => {
+    try {
+      if (!scheduler) {
+        return res.status(503).json({ success: false, error: 'Scheduler not available' });
+      }
+
+      const removed = await scheduler.removeRule(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Rule '${req.params.id}' not found` 
+        });
+      }
+      res.json({ success: true, deleted: req.params.id });
+    } catch (error) {
+      console.error('Error in DELETE /api/schedule/rules/:id:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * GET /api/shows
+   * Saved shows (config/shows/) and the sequencer's status
+   */
+  router.get('/shows', (req, res) => {
+    if (!sequencer) {
+      return res.status(503).json({ success: false, error: 'Sequencer not available' });
+    }
+    res.json({ shows: sequencer.list(), status: sequencer.getStatus() });
+  });
+
+  /**
+   * GET /api/shows/:id
+   * A show's timeline as authored
+   */
+  router.get('/shows/:id', (req, res) => {
+    if (!sequencer) {
+      return res.status(503).json({ success: false, error: 'Sequencer not available' });
+    }
+
+    const show = sequencer.get(req.params.id);
+    if (!show) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Show '${req.params.id}' not found` 
+      });
+    }
+    res.json(show);
+  });
+
+  /**
+   * PUT /api/shows/:id
+   * Create or replace a show
+   * Body: { name, duration?, loop?, cues: [{ at, feature, fx?, pal?, sx?, ix?, col?, transition? }] }
+   */
+  router.put('/shows/:id', async (req, res) => {
+    try {
+      if (!sequencer) {
+        return res.status(503).json({ success: false, error: 'Sequencer not available' });
+      }
+
+      const created = !sequencer.get(req.params.id);
+      const errors = await sequencer.save(req.params.id, req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join('; '), errors });
+      }
+      res.status(created ? 201 : 200).json({ 
+        success: true, 
+        show: sequencer.list().find(show => show.id === req.params.id) 
+      });
+    } catch (error) {
+      console.error('Error in PUT /api/shows/:id:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/shows/:id
+   * Delete a show (stopping it if it is playing)
+   */
+  router.delete('/shows/:id', async (req, res) => {
+    try {
+      if (!sequencer) {
+        return res.status(503).json({ success: false, error: 'Sequencer not available' });
+      }
+
+      const removed = await sequencer.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Show '${req.params.id}' not found` 
+        });
+      }
+      res.json({ success: true, deleted: req.params.id });
+    } catch (error) {
+      console.error('Error in DELETE /api/shows/:id:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * GET /api/sequencer
+   * Playback status: show, state, positionMs, durationMs, cue, maxLateMs
+   */
+  router.get('/sequencer', (req, res) => {
+    if (!sequencer) {
+      return res.status(503).json({ success: false, error: 'Sequencer not available' });
+    }
+    res.json(sequencer.getStatus());
+  });
+
+  /**
+   * POST /api/sequencer/play
+   * Play a show, or resume the paused one
+   * Body: { show?: id, position?: seconds or "m:ss" }
+   */
+  router.post('/sequencer/play', (req, res) => {
+    if (!sequencer) {
+      return res.status(503).json({ success: false, error: 'Sequencer not available' });
+    }
+
+    const { show, position } = req.body || {};
+    const positionMs = position !== undefined ? parseTimestamp(position) : undefined;
+    if (Number.isNaN(positionMs)) {
+      return res.status(400).json({ success: false, error: 'position must be seconds or "m:ss"' });
+    }
+    if (show && !sequencer.get(show)) {
+      return res.status(404).json({ success: false, error: `Show '${show}' not found` });
+    }
+
+    try {
+      res.json({ success: true, ...sequencer.play(show, { positionMs }) });
+    } catch (error) {
+      res.status(409).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/sequencer/pause
+   */
+  router.post('/sequencer/pause', (req, res) => {
+    if (!sequencer) {
+      return res.status(503).json({ success: false, error: 'Sequencer not available' });
+    }
+    res.json({ success: true, ...sequencer.pause() });
+  });
+
+  /**
+   * POST /api/sequencer/seek
+   * Jump to a position in the loaded show
+   * Body: { position: seconds or "m:ss" }
+   */
+  router.post('/sequencer/seek', (req, res) => {
+    if (!sequencer) {
+      return res.status(503).json({ success: false, error: 'Sequencer not available' });
+    }
+
+    const positionMs = parseTimestamp(req.body?.position);
+    if (Number.isNaN(positionMs)) {
+      return res.status(400).json({ success: false, error: 'position must be seconds or "m:ss"' });
+    }
+
+    try {
+      res.json({ success: true, ...sequencer.seek(positionMs) });
+    } catch (error) {
+      res.status(409).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/sequencer/stop
+   */
+  router.post('/sequencer/stop', (req, res) => {
+    if (!sequencer) {
+      return res.status(503).json({ success: false, error: 'Sequencer not available' });
+    }
+    res.json({ success: true, ...sequencer.stop() });
+  });
+
+  /**
+   * GET /api/triggers
+   * Trigger definitions, their cooldowns and the trigger running now
+   */
+  router.get('/triggers', (req, res) => {
+    if (!triggers) {
+      return res.status(503).json({ success: false, error: 'Triggers not available' });
+    }
+    res.json(triggers.getStatus());
+  });
+
+  /**
+   * POST /api/triggers/:name
+   * Run a trigger's actions, then restore the previous look after its duration
+   * Secret: Authorization: Bearer <secret> or X-Trigger-Secret: <secret>
+   */
+  router.post('/triggers/:name', async (req, res) => {
+    try {
+      if (!triggers) {
+        return res.status(503).json({ success: false, error: 'Triggers not available' });
+      }
+      if (!triggers.secret) {
+        return res.status(503).json({ 
+          success: false, 
+          error: 'Triggers need a shared secret (TRIGGER_SECRET or config/triggers.json)' 
+        });
+      }
+
+      const bearer = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+      const secret = bearer ? bearer[1] : req.get('X-Trigger-Secret');
+      if (!triggers.authorize(secret)) {
+        return res.status(401).json({ success: false, error: 'Invalid or missing trigger secret' });
+      }
+
+      const { name } = req.params;
+      if (!triggers.get(name)) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Trigger '${name}' not found` 
+        });
+      }
+
+      const waitMs = triggers.cooldownRemaining(name);
+      if (waitMs > 0) {
+        res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+        return res.status(429).json({ 
+          success: false, 
+          error: `Trigger '${name}' is cooling down`, 
+          retryAfterMs: waitMs 
+        });
+      }
+
+      const held = dmxInput ? dmxInput.conflicts(triggers.featuresOf(name)) : [];
+      if (held.length > 0) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Under DMX control: ${held.join(', ')}` 
+        });
+      }
+
+      const result = await triggers.fire(name);
+      res.status(result.success ? 200 : 502).json(result);
+    } catch (error) {
+      console.error('Error in POST /api/triggers/:name:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * GET /api/webhooks
+   * Webhook subscriptions, their queued deliveries and recent outcomes
+   */
+  router.get('/webhooks', (req, res) => {
+    if (!webhooks) {
+      return res.status(503).json({ success: false, error: 'Webhooks not available' });
+    }
+    res.json(webhooks.getStatus());
+  });
+
+  /**
+   * POST /api/webhooks/:id/test
+   * Queue a 'test' delivery to one subscription
+   */
+  router.post('/webhooks/:id/test', (req, res) => {
+    if (!webhooks) {
+      return res.status(503).json({ success: false, error: 'Webhooks not available' });
+    }
+    if (!webhooks.test(req.params.id)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Webhook subscription '${req.params.id}' not found` 
+      });
+    }
+    res.status(202).json({ success: true, subscription: req.params.id });
+  });
+
+  /**
+   * GET /api/admin/features
+   * Features as written in pumpkin.json
+   */
+  router.get('/admin/features', async (req, res) => {
+    try {
+      if (!configEditor) {
+        return res.status(503).json({ success: false, error: 'Config editing not available' });
+      }
+      const { features } = await configEditor.read();
+      res.json({ features });
+    } catch (error) {
+      console.error('Error in GET /api/admin/features:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/features
+   * Add a feature to pumpkin.json
+   * Body: { key, name, group, color, controller, segment }, { key, ..., multiSegment: true, targets },
+   *       { key, ..., includes: [featureKey, ...] } or { key, ..., all: true }
+   */
+  router.post('/admin/features', async (req, res) => {
+    try {
+      if (!configEditor) {
+        return res.status(503).json({ success: false, error: 'Config editing not available' });
+      }
+
+      const { key, ...feature } = req.body || {};
+      if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+        return res.status(400).json({ success: false, error: 'key is required (letters, digits, _ and -)' });
+      }
+      if (config.pumpkin.features[key]) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Feature '${key}' already exists` 
+        });
+      }
+
+      const result = await configEditor.update(pumpkin => {
+        pumpkin.features[key] = feature;
+      });
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      res.status(201).json({ ...result, key, feature });
+    } catch (error) {
+      console.error('Error in POST /api/admin/features:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * PUT /api/admin/features/:key
+   * Replace a feature in pumpkin.json
+   * Body: the feature, as for POST (without key)
+   */
+  router.put('/admin/features/:key', async (req, res) => {
+    try {
+      if (!configEditor) {
+        return res.status(503).json({ success: false, error: 'Config editing not available' });
+      }
+
+      const { key } = req.params;
+      if (!config.pumpkin.features[key]) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Feature '${key}' not found` 
+        });
+      }
+
+      const feature = { ...req.body };
+      delete feature.key;
+      const result = await configEditor.update(pumpkin => {
+        pumpkin.features[key] = feature;
+      });
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      res.json({ ...result, key, feature });
+    } catch (error) {
+      console.error('Error in PUT /api/admin/features/:key:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/features/:key
+   * Remove a feature from pumpkin.json
+   */
+  router.delete('/admin/features/:key', async (req, res) => {
+    try {
+      if (!configEditor) {
+        return res.status(503).json({ success: false, error: 'Config editing not available' });
+      }
+
+      const { key } = req.params;
+      if (!config.pumpkin.features[key]) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Feature '${key}' not found` 
+        });
+      }
+
+      const includedBy = Object.keys(config.pumpkin.features)
+        .filter(name => config.pumpkin.features[name].includes?.includes(key));
+      if (includedBy.length > 0) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Feature '${key}' is still included by ${includedBy.join(', ')}`,
+          features: includedBy
+        });
+      }
+
+      const result = await configEditor.update(pumpkin => {
+        delete pumpkin.features[key];
+      });
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      res.json({ ...result, deleted: key });
+    } catch (error) {
+      console.error('Error in DELETE /api/admin/features/:key:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * GET /api/admin/controllers
+   * Controllers as written in pumpkin.json
+   */
+  router.get('/admin/controllers', async (req, res) => {
+    try {
+      if (!configEditor) {
+        return res.status(503).json({ success: false, error: 'Config editing not available' });
+      }
+      const { controllers } = await configEditor.read();
+      res.json({ controllers });
+    } catch (error) {
+      console.error('Error in GET /api/admin/controllers:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/controllers
+   * Add a controller to pumpkin.json (connected right away)
+   * Body: { key, ip, name, segments }
+   */
+  router.post('/admin/controllers', async (req, res) => {
+    try {
+      if (!configEditor) {
+        return res.status(503).json({ success: false, error: 'Config editing not available' });
+      }
+
+      const { key, ...controller } = req.body || {};
+      if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+        return res.status(400).json({ success: false, error: 'key is required (letters, digits, _ and -)' });
+      }
+      if (config.pumpkin.controllers[key]) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Controller '${key}' already exists` 
+        });
+      }
+
+      const result = await configEditor.update(pumpkin => {
+        pumpkin.controllers[key] = controller;
+      });
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      res.status(201).json({ ...result, key, controller });
+    } catch (error) {
+      console.error('Error in POST /api/admin/controllers:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * PUT /api/admin/controllers/:key
+   * Replace a controller in pumpkin.json (a new ip reconnects it)
+   * Body: { ip, name, segments }
+   */
+  router.put('/admin/controllers/:key', async (req, res) => {
+    try {
+      if (!configEditor) {
+        return res.status(503).json({ success: false, error: 'Config editing not available' });
+      }
+
+      const { key } = req.params;
+      if (!config.pumpkin.controllers[key]) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Controller '${key}' not found` 
+        });
+      }
+
+      const controller = { ...req.body };
+      delete controller.key;
+      const result = await configEditor.update(pumpkin => {
+        pumpkin.controllers[key] = controller;
+      });
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      res.json({ ...result, key, controller });
+    } catch (error) {
+      console.error('Error in PUT /api/admin/controllers/:key:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/controllers/:key
+   * Remove a controller from pumpkin.json (refused while features still use it)
+   */
+  router.delete('/admin/controllers/:key', async (req, res) => {
+    try {
+      if (!configEditor) {
+        return res.status(503).json({ success: false, error: 'Config editing not available' });
+      }
+
+      const { key } = req.params;
+      if (!config.pumpkin.controllers[key]) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Controller '${key}' not found` 
+        });
+      }
+
+      // Composites follow their parts, and "all" follows the controllers
+      const usedBy = Object.entries(config.pumpkin.features)
+        .filter(([, feature]) => !feature.all && !feature.includes)
+        .map(([name]) => name)
+        .filter(name => getFeatureTargets(config, name).some(target => target.controller === key));
+      if (usedBy.length > 0) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Controller '${key}' is still used by ${usedBy.join(', ')}`,
+          features: usedBy
+        });
+      }
+
+      const result = await configEditor.update(pumpkin => {
+        delete pumpkin.controllers[key];
+      });
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      res.json({ ...result, deleted: key });
+    } catch (error) {
+      console.error('Error in DELETE /api/admin/controllers/:key:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
   // Mount the router under /api
   app.use('/api', router);
 }
@@ -0,0 +1,306 @@
+import { loadIdleModes } from './idle-modes/index.js';
+
+/**
+ * Attract Mode
+ * Server-side idle program: after a period with no API activity it cycles
+ * looks through the ControllerManager, so the pumpkin keeps moving even when
+ * no kiosk is open. Any activity (an API write, or a kiosk reporting a touch
+ * via POST /api/activity) stops it until the pumpkin has been left alone again.
+ *
+ * Timing comes from the `attract` block in pumpkin.json:
+ *   { "enabled": true, "idleAfterSeconds": 20, "cycleSeconds": 60 }
+ * and the modes, their weights and pools from config/idle.json. Mode types
+ * are modules in src/idle-modes/.
+ */
+export class AttractMode {
+  /**
+   * @param {object} config - Loaded configuration
+   * @param {ControllerManager} controllerManager - Target of the idle looks
+   */
+  constructor(config, controllerManager) {
+    const settings = config.pumpkin.attract || {};
+
+    this.config = config;
+    this.controllerManager = controllerManager;
+    this.enabled = settings.enabled !== false;
+    this.idleAfterMs = (settings.idleAfterSeconds ?? 20) * 1000;
+    this.cycleMs = (settings.cycleSeconds ?? 60) * 1000;
+
+    this.active = false;
+    this.lastActivityAt = Date.now();
+    this.idleTimer = null;
+    this.cycleTimer = null;
+    this.stepTimers = [];
+    this.cycles = 0;
+    this.lastCycle = null;
+    this.holds = new Set(); // reasons attract must not run right now (e.g. a show is playing)
+
+    this.modeTypes = new Map(); // type → idle mode module
+    this.modes = []; // usable entries from idle.json
+  }
+
+  /**
+   * Load idle mode modules and begin watching for idleness (call once at startup)
+   */
+  async init() {
+    this.modeTypes = await loadIdleModes();
+    this.modes = this.loadModes(this.config.idle?.modes || []);
+    console.log(`[Attract] ${this.modes.length} idle modes (${[...this.modeTypes.keys()].join(', ')} available)`);
+
+    // Features may have been added or removed by a config reload
+    this.controllerManager.on('config', ({ success }) => {
+      if (success) this.modes = this.loadModes(this.config.idle?.modes || []);
+    });
+
+    if (this.enabled) {
+      this.scheduleIdle();
+      console.log(`[Attract] Starts after ${Math.round(this.idleAfterMs / 1000)}s without activity`);
+    }
+  }
+
+  /**
+   * Something (a person or another client) used the API: stop and wait again
+   */
+  recordActivity() {
+    this.lastActivityAt = Date.now();
+
+    if (this.active) {
+      this.halt();
+      console.log('[Attract] Stopped (activity)');
+    }
+
+    if (this.enabled) {
+      this.scheduleIdle();
+    }
+  }
+
+  scheduleIdle() {
+    if (this.idleTimer) clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.begin('idle');
+    }, this.idleAfterMs);
+  }
+
+  /**
+   * Enable attract mode and start cycling now
+   */
+  start() {
+    this.enabled = true;
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+    this.begin('manual');
+    return this.getStatus();
+  }
+
+  /**
+   * Stop cycling and don't restart on idleness until start() is called
+   */
+  stop() {
+    this.enabled = false;
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+    this.halt();
+    return this.getStatus();
+  }
+
+  /**
+   * Keep attract from running while something else owns the pumpkin
+   * @param {string} reason - Released with the same string
+   */
+  hold(reason) {
+    this.holds.add(reason);
+    if (this.active) {
+      this.halt();
+      console.log(`[Attract] Stopped (${reason})`);
+    }
+  }
+
+  release(reason) {
+    if (!this.holds.delete(reason)) return;
+    if (this.enabled && this.holds.size === 0) {
+      this.scheduleIdle();
+    }
+  }
+
+  begin(reason) {
+    if (this.active || this.holds.size > 0) return;
+
+    this.active = true;
+    console.log(`[Attract] Started (${reason})`);
+    this.controllerManager.emit('attract', { active: true, reason, at: Date.now() });
+
+    this.runCycle();
+    this.cycleTimer = setInterval(() => this.runCycle(), this.cycleMs);
+  }
+
+  halt() {
+    if (this.cycleTimer) {
+      clearInterval(this.cycleTimer);
+      this.cycleTimer = null;
+    }
+    this.clearSteps();
+    if (this.active) {
+      this.active = false;
+      this.controllerManager.emit('attract', { active: false, at: Date.now() });
+    }
+  }
+
+  /**
+   * Keep the idle.json modes that can run, warning about the rest
+   */
+  loadModes(entries) {
+    const features = this.config.pumpkin.features;
+    const modes = [];
+
+    entries.forEach((entry, index) => {
+      const label = entry.name || `modes[${index}]`;
+
+      if (!this.modeTypes.has(entry.type)) {
+        console.warn(`⚠ [Attract] ${label}: unknown mode type '${entry.type}', skipped`);
+        return;
+      }
+
+      const referenced = [
+        ...(entry.features || []),
+        ...(entry.groups || []).flat(),
+        ...(entry.background?.feature ? [entry.background.feature] : [])
+      ];
+      const unknown = referenced.filter(name => !features[name]);
+      if (unknown.length > 0) {
+        console.warn(`⚠ [Attract] ${label}: unknown features ${unknown.join(', ')}, skipped`);
+        return;
+      }
+
+      if (!(entry.weight > 0)) return;
+
+      modes.push(entry);
+    });
+
+    return modes;
+  }
+
+  /**
+   * Pick a mode by weight and apply its look (or its first step) in one batch
+   */
+  runCycle() {
+    this.clearSteps();
+    if (this.modes.length === 0) return;
+
+    const mode = pickWeighted(this.modes);
+    const context = {
+      config: this.config,
+      effects: resolvePool(this.config.effects.effects, mode.effects),
+      palettes: resolvePool(this.config.palettes.palettes, mode.palettes),
+      params: { sx: randomInRange(mode.speed), ix: randomInRange(mode.intensity) },
+      cycleMs: this.cycleMs,
+      pick: pickRandom,
+      randomInt
+    };
+
+    if (context.effects.length === 0 || context.palettes.length === 0) {
+      console.warn(`⚠ [Attract] ${mode.name || mode.type}: empty effect or palette pool`);
+      return;
+    }
+
+    let steps;
+    try {
+      const built = this.modeTypes.get(mode.type).build(mode, context);
+      steps = Array.isArray(built) ? built : [{ look: built, holdMs: 0 }];
+    } catch (error) {
+      console.error(`[Attract] ${mode.name || mode.type} failed to build:`, error.message);
+      return;
+    }
+
+    this.cycles++;
+
+    // Later steps are spread over the cycle; halt() or the next cycle cancels them
+    let delay = 0;
+    steps.forEach((step, index) => {
+      if (index === 0) {
+        this.applyStep(mode, step.look);
+      } else {
+        this.stepTimers.push(setTimeout(() => this.applyStep(mode, step.look), delay));
+      }
+      delay += step.holdMs || 0;
+    });
+  }
+
+  async applyStep(mode, look) {
+    const name = mode.name || mode.type;
+    try {
+      const result = await this.controllerManager.setFeatures(look);
+      this.lastCycle = { mode: name, type: mode.type, look, success: result.success, at: Date.now() };
+      console.log(`[Attract] ${name}: ${Object.keys(look).join(', ')}${result.success ? '' : ` - ${result.error}`}`);
+    } catch (error) {
+      console.error('[Attract] Cycle failed:', error.message);
+    }
+  }
+
+  clearSteps() {
+    for (const timer of this.stepTimers) {
+      clearTimeout(timer);
+    }
+    this.stepTimers = [];
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      active: this.active,
+      heldBy: [...this.holds],
+      idleAfterMs: this.idleAfterMs,
+      cycleMs: this.cycleMs,
+      lastActivityAt: this.lastActivityAt,
+      idleForMs: Date.now() - this.lastActivityAt,
+      modes: this.modes.map(({ name, type, weight }) => ({ name, type, weight })),
+      cycles: this.cycles,
+      lastCycle: this.lastCycle
+    };
+  }
+}
+
+/**
+ * Resolve an idle.json pool against effects.json / palettes.json
+ * Omitted: every visible item. { include: [ids] }: exactly these.
+ * { exclude: [ids] }: every visible item except these.
+ */
+function resolvePool(items, spec) {
+  if (spec && Array.isArray(spec.include)) {
+    return items.filter(item => spec.include.includes(item.id));
+  }
+  const excluded = spec && Array.isArray(spec.exclude) ? spec.exclude : [];
+  return items.filter(item => item.show !== false && !excluded.includes(item.id));
+}
+
+/**
+ * Random item, avoiding excluded ids while there are others to choose from
+ */
+function pickRandom(items, excludeIds = []) {
+  const remaining = items.filter(item => !excludeIds.includes(item.id));
+  const pool = remaining.length > 0 ? remaining : items;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+function pickWeighted(options) {
+  const total = options.reduce((sum, option) => sum + option.weight, 0);
+  let roll = Math.random() * total;
+  for (const option of options) {
+    roll -= option.weight;
+    if (roll < 0) return option;
+  }
+  return options[options.length - 1];
+}
+
+function randomInRange(range) {
+  const [min, max] = Array.isArray(range) ? range : [0, 255];
+  return randomInt(min, max);
+}
+
+function randomInt(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
@@ -0,0 +1,125 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Error thrown when a request is refused because the breaker is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, status) {
+    super(`${name} is unreachable (circuit open since ${new Date(status.openedAt).toISOString()})`);
+    this.name = 'CircuitOpenError';
+    this.status = status;
+  }
+}
+
+/**
+ * Circuit Breaker
+ * Tracks consecutive failures for one controller. After `failureThreshold`
+ * failures the circuit opens and requests fail fast instead of waiting for a
+ * timeout. While open, `probe()` is called in the background every
+ * `probeInterval` ms; the first successful probe closes the circuit again.
+ *
+ * States: 'closed' (normal) → 'open' (failing fast) → 'half-open' (probing) → 'closed'
+ *
+ * Events:
+ *   - 'open'   (status)  too many failures, now failing fast
+ *   - 'closed' (status)  a probe or request succeeded again
+ */
+export class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {function} options.probe - async () => void, throws if the device is still down
+   * @param {number} options.failureThreshold - Consecutive failures before opening (default: 3)
+   * @param {number} options.probeInterval - Milliseconds between background probes (default: 10000)
+   */
+  constructor({ probe, failureThreshold = 3, probeInterval = 10000 } = {}) {
+    super();
+    this.probe = probe;
+    this.failureThreshold = failureThreshold;
+    this.probeInterval = probeInterval;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.lastError = null;
+    this.openedAt = null;
+    this.probeTimer = null;
+  }
+
+  /**
+   * Whether a request may be attempted right now
+   */
+  canRequest() {
+    return this.state === 'closed';
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.lastError = null;
+    if (this.state !== 'closed') {
+      this.close();
+    }
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error ? error.message : null;
+    if (this.state === 'closed' && this.failures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.emit('open', this.getStatus());
+    this.scheduleProbe();
+  }
+
+  close() {
+    this.state = 'closed';
+    this.openedAt = null;
+    if (this.probeTimer) {
+      clearTimeout(this.probeTimer);
+      this.probeTimer = null;
+    }
+    this.emit('closed', this.getStatus());
+  }
+
+  scheduleProbe() {
+    if (this.probeTimer || !this.probe) return;
+
+    this.probeTimer = setTimeout(async () => {
+      this.probeTimer = null;
+      this.state = 'half-open';
+      try {
+        await this.probe();
+        this.recordSuccess();
+      } catch (error) {
+        this.lastError = error.message;
+        this.state = 'open';
+        this.scheduleProbe();
+      }
+    }, this.probeInterval);
+
+    // Don't keep the process alive just to probe
+    this.probeTimer.unref?.();
+  }
+
+  /**
+   * Stop background probing (used when the client is discarded)
+   */
+  dispose() {
+    if (this.probeTimer) {
+      clearTimeout(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      openedAt: this.openedAt
+    };
+  }
+}
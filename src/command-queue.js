@@ -0,0 +1,174 @@
+/**
+ * Command Queue
+ * Serializes /json/state updates for one controller. At most one request is
+ * in flight; anything sent meanwhile waits in a pending payload where
+ * updates to the same segment are merged, so a burst of slider changes turns
+ * into one request carrying the most recent values. Only `seg` is merged: a
+ * payload whose top-level fields differ (e.g. a synchronized { tb: 0,
+ * transition: 0 } apply) waits in its own entry behind the others, as do
+ * writes queued with their own `send` (power, brightness, presets). Every
+ * caller whose update was merged receives the result of the request that
+ * carried it.
+ */
+export class CommandQueue {
+  /**
+   * @param {function} send - async (payload, commandCount) => result ({ success, ... })
+   */
+  constructor(send) {
+    this.send = send;
+    this.pending = []; // [{ payload, callers: [{ resolve, enqueuedAt }], send }], sent in order
+    this.inFlight = false;
+
+    this.metrics = {
+      enqueued: 0,
+      completed: 0,
+      sent: 0,
+      merged: 0,
+      failed: 0,
+      totalLatencyMs: 0,
+      maxLatencyMs: 0,
+      lastLatencyMs: null
+    };
+  }
+
+  /**
+   * Queue a state payload
+   * @param {object} payload - WLED JSON state payload (e.g. { seg: [{ id: 2, fx: 9 }] })
+   * @param {object} options - { send: async () => result } sends this entry on its own, never merged
+   * @returns {Promise<object>} Result of the request that carried this payload
+   */
+  enqueue(payload, options = {}) {
+    this.metrics.enqueued++;
+
+    return new Promise(resolve => {
+      const caller = { resolve, enqueuedAt: Date.now() };
+      const last = this.pending[this.pending.length - 1];
+
+      // Only the newest entry: merging into an older one would reorder updates
+      if (joins(last, payload, options)) {
+        last.payload = mergePayload(last.payload, payload);
+        last.callers.push(caller);
+        this.metrics.merged++;
+      } else {
+        this.pending.push({ payload: mergePayload({}, payload), callers: [caller], send: options.send });
+      }
+
+      this.drain();
+    });
+  }
+
+  async drain() {
+    if (this.inFlight || this.pending.length === 0) return;
+
+    const batch = this.pending.shift();
+    this.inFlight = true;
+
+    let result;
+    try {
+      result = await (batch.send ? batch.send() : this.send(batch.payload, batch.callers.length));
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    this.metrics.sent++;
+    if (!result.success) {
+      this.metrics.failed++;
+    }
+
+    const now = Date.now();
+    for (const caller of batch.callers) {
+      const latency = now - caller.enqueuedAt;
+      this.metrics.totalLatencyMs += latency;
+      this.metrics.maxLatencyMs = Math.max(this.metrics.maxLatencyMs, latency);
+      this.metrics.lastLatencyMs = latency;
+      this.metrics.completed++;
+      caller.resolve(result);
+    }
+
+    this.inFlight = false;
+    this.drain();
+  }
+
+  /**
+   * Queue metrics for monitoring
+   */
+  getMetrics() {
+    const { completed } = this.metrics;
+    return {
+      depth: this.depth(),
+      inFlight: this.inFlight,
+      enqueued: this.metrics.enqueued,
+      sent: this.metrics.sent,
+      merged: this.metrics.merged,
+      failed: this.metrics.failed,
+      lastLatencyMs: this.metrics.lastLatencyMs,
+      avgLatencyMs: completed > 0 ? Math.round(this.metrics.totalLatencyMs / completed) : null,
+      maxLatencyMs: this.metrics.maxLatencyMs
+    };
+  }
+
+  /**
+   * Requests that go out before `payload` if it were queued now: the one in
+   * flight and every pending entry, less the newest if the payload would be
+   * merged into it. Without a payload it is assumed not to merge (the most
+   * there can be).
+   * @param {object} payload - As for enqueue()
+   * @param {object} options - As for enqueue()
+   */
+  sendsAhead(payload, options = {}) {
+    const merges = payload !== undefined && joins(this.pending[this.pending.length - 1], payload, options);
+    return (this.inFlight ? 1 : 0) + this.pending.length - (merges ? 1 : 0);
+  }
+
+  /**
+   * Number of commands waiting to be sent
+   */
+  depth() {
+    return this.pending.reduce((count, entry) => count + entry.callers.length, 0);
+  }
+}
+
+/**
+ * Whether a payload queued with `options` can be merged into a pending entry
+ */
+function joins(entry, payload, options) {
+  return Boolean(entry) && !entry.send && !options.send && canMerge(entry.payload, payload);
+}
+
+/**
+ * Whether two payloads can share a request: the same top-level fields
+ * (power, brightness, transition, timebase), only their segments differ
+ */
+export function canMerge(base, update) {
+  const baseTop = withoutSegments(base);
+  const updateTop = withoutSegments(update);
+  const keys = Object.keys(baseTop);
+  return keys.length === Object.keys(updateTop).length &&
+    keys.every(key => JSON.stringify(baseTop[key]) === JSON.stringify(updateTop[key]));
+}
+
+function withoutSegments(payload) {
+  const top = { ...payload };
+  delete top.seg;
+  return top;
+}
+
+/**
+ * Merge a state payload into another that canMerge() accepted
+ * `seg` entries are merged by segment id so later values win while
+ * untouched properties of the same segment survive; top-level fields are
+ * the same in both.
+ */
+export function mergePayload(base, update) {
+  const merged = { ...base, ...update };
+
+  if (base.seg || update.seg) {
+    const byId = new Map();
+    for (const seg of [...(base.seg || []), ...(update.seg || [])]) {
+      byId.set(seg.id, { ...byId.get(seg.id), ...seg });
+    }
+    merged.seg = [...byId.values()];
+  }
+
+  return merged;
+}
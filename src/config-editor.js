@@ -0,0 +1,88 @@
+import { readFile, copyFile, readdir, unlink, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG_DIR, writeJSONFile } from './config-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DEFAULT_BACKUP_DIR = join(__dirname, '..', 'data', 'config-backups');
+
+/**
+ * Config Editor
+ * Changes to pumpkin.json made through the admin API (/api/admin/features,
+ * /api/admin/controllers). Each change is made to the file as it is on disk
+ * (not the running config, which in simulator mode points at the simulator),
+ * checked as ConfigWatcher will check it, and written atomically after copying
+ * the previous version to data/config-backups/. ConfigWatcher then swaps it
+ * into the running server like any other edit.
+ */
+export class ConfigEditor {
+  /**
+   * @param {ConfigWatcher} configWatcher - Swaps the written file in
+   * @param {object} options - { file, dir, backupDir, keepBackups }
+   */
+  constructor(configWatcher, options = {}) {
+    this.configWatcher = configWatcher;
+    this.file = options.file || 'pumpkin.json';
+    this.filePath = join(options.dir || CONFIG_DIR, this.file);
+    this.backupDir = options.backupDir || DEFAULT_BACKUP_DIR;
+    this.keepBackups = options.keepBackups ?? 20;
+    this.queue = Promise.resolve(); // one change at a time
+  }
+
+  /**
+   * pumpkin.json as it is on disk
+   */
+  async read() {
+    return JSON.parse(await readFile(this.filePath, 'utf-8'));
+  }
+
+  /**
+   * Apply `change` to pumpkin.json, then validate, back up, write and reload
+   * @param {function} change - (pumpkin) => void, edits the parsed file in place
+   * @returns {Promise<object>} { success, warnings, backup } or { success: false, error, errors }
+   */
+  update(change) {
+    const result = this.queue.then(() => this.apply(change));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async apply(change) {
+    const pumpkin = await this.read();
+    change(pumpkin);
+
+    const { errors, warnings } = this.configWatcher.validate({ pumpkin });
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('; '), errors };
+    }
+
+    const backup = await this.backup();
+    await writeJSONFile(this.filePath, pumpkin);
+
+    const reload = await this.configWatcher.enqueue([this.file]);
+    if (!reload.success) {
+      return { success: false, error: reload.errors.join('; '), errors: reload.errors };
+    }
+    return { success: true, warnings, backup };
+  }
+
+  /**
+   * Copy the current file to the backup directory, keeping the newest `keepBackups`
+   * @returns {Promise<string>} Backup file name
+   */
+  async backup() {
+    await mkdir(this.backupDir, { recursive: true });
+    const stem = this.file.replace(/\.json$/, '');
+    const name = `${stem}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    await copyFile(this.filePath, join(this.backupDir, name));
+
+    const backups = (await readdir(this.backupDir))
+      .filter(file => file.startsWith(`${stem}-`) && file.endsWith('.json'))
+      .sort();
+    for (const old of backups.slice(0, Math.max(0, backups.length - this.keepBackups))) {
+      await unlink(join(this.backupDir, old));
+    }
+    return name;
+  }
+}
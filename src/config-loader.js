@@ -1,43 +1,91 @@
-import { readFile } from 'fs/promises';
+import { readFile, writeFile, rename } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { validateConfig } from './config-validator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+export const CONFIG_DIR = join(__dirname, '..', 'config');
+
 /**
  * Load and parse a JSON configuration file
  */
-async function loadJSON(filename) {
-  const configPath = join(__dirname, '..', 'config', filename);
+export async function loadJSON(filename) {
+  const configPath = join(CONFIG_DIR, filename);
   const data = await readFile(configPath, 'utf-8');
   return JSON.parse(data);
 }
 
+/**
+ * Load a subsystem's JSON file, or `fallback` when the file doesn't exist
+ * (an install that doesn't use the feature, or predates it)
+ */
+export async function loadOptionalJSON(filename, fallback = {}) {
+  try {
+    return await loadJSON(filename);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file safely (temp file + rename, so a crash can't truncate it)
+ */
+export async function writeJSONFile(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n');
+  await rename(tmpPath, filePath);
+}
+
 /**
  * Load all configuration files
  */
 export async function loadConfig() {
+  let config;
   try {
-    const [pumpkin, effects, palettes, effectsReference, palettesReference] = await Promise.all([
+    const [pumpkin, effects, palettes, effectsReference, palettesReference, idle, fseq, dmx, mqtt, triggers, webhooks] = await Promise.all([
       loadJSON('pumpkin.json'),
       loadJSON('effects.json'),
       loadJSON('palettes.json'),
       loadJSON('effects-reference.json'),
-      loadJSON('palettes-reference.json')
+      loadJSON('palettes-reference.json'),
+      // Optional: each subsystem runs with its defaults without its file
+      loadOptionalJSON('idle.json'),
+      loadOptionalJSON('fseq.json'),
+      loadOptionalJSON('dmx.json'),
+      loadOptionalJSON('mqtt.json'),
+      loadOptionalJSON('triggers.json'),
+      loadOptionalJSON('webhooks.json')
     ]);
 
-    return {
+    config = {
       pumpkin,
       effects,
       palettes,
       effectsReference,
-      palettesReference
+      palettesReference,
+      idle,
+      fseq,
+      dmx,
+      mqtt,
+      triggers,
+      webhooks
     };
   } catch (error) {
     console.error('Error loading configuration:', error);
     throw new Error(`Failed to load configuration: ${error.message}`);
   }
+
+  // Catch typos in controllers, segments and targets now instead of at request time
+  const { errors, warnings } = validateConfig(config);
+  warnings.forEach(warning => console.warn(`⚠ [Config] ${warning}`));
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration (npm run validate-config):\n  ${errors.join('\n  ')}`);
+  }
+
+  return config;
 }
 
 /**
@@ -51,22 +99,85 @@ export function validateFeature(config, featureName) {
 }
 
 /**
- * Get controller configuration for a feature
+ * Get controller configuration for a feature that drives one segment
+ * (composites are resolved, so { "includes": ["mouth"] } works too)
  */
 export function getControllerForFeature(config, featureName) {
-  const feature = validateFeature(config, featureName);
-  const controller = config.pumpkin.controllers[feature.controller];
-  
+  const targets = getFeatureTargets(config, featureName);
+  if (targets.length !== 1) {
+    throw new Error(`Feature '${featureName}' drives ${targets.length} segments, use getFeatureTargets()`);
+  }
+
+  const [{ controller: key, segment }] = targets;
+  const controller = config.pumpkin.controllers[key];
   if (!controller) {
-    throw new Error(`Controller '${feature.controller}' not found for feature '${featureName}'`);
+    throw new Error(`Controller '${key}' not found for feature '${featureName}'`);
   }
-  
+
   return {
     ...controller,
-    segment: feature.segment
+    segment
   };
 }
 
+/**
+ * Get the controller/segment pairs a feature controls. Composite features
+ * are resolved recursively: "all": true is every segment of every
+ * controller, "includes" is the targets of the listed features (each pair
+ * once, in order).
+ * @returns {array} [{ controller, segment }, ...]
+ */
+export function getFeatureTargets(config, featureName) {
+  validateFeature(config, featureName);
+  return resolveTargets(config.pumpkin, featureName, []);
+}
+
+function resolveTargets(pumpkin, featureName, chain) {
+  const feature = pumpkin.features[featureName];
+  if (!feature) {
+    throw new Error(`Feature '${chain[chain.length - 1]}' includes unknown feature '${featureName}'`);
+  }
+  if (chain.includes(featureName)) {
+    throw new Error(`Feature '${featureName}' includes itself (${[...chain.slice(chain.indexOf(featureName)), featureName].join(' → ')})`);
+  }
+
+  if (feature.all) {
+    return Object.entries(pumpkin.controllers)
+      .flatMap(([controller, { segments = 0 }]) =>
+        Array.from({ length: segments }, (_, segment) => ({ controller, segment })));
+  }
+
+  if (feature.includes) {
+    const targets = new Map();
+    for (const included of feature.includes) {
+      for (const target of resolveTargets(pumpkin, included, [...chain, featureName])) {
+        targets.set(`${target.controller}:${target.segment}`, target);
+      }
+    }
+    return [...targets.values()];
+  }
+
+  if (feature.multiSegment && feature.targets) {
+    return feature.targets;
+  }
+
+  return [{ controller: feature.controller, segment: feature.segment }];
+}
+
+/**
+ * Features with their resolved targets, as the kiosks expect them: composites
+ * ("includes", "all") are sent as multiSegment features with their targets
+ */
+export function getResolvedFeatures(config) {
+  const features = {};
+  for (const [key, feature] of Object.entries(config.pumpkin.features)) {
+    features[key] = feature.includes || feature.all
+      ? { ...feature, multiSegment: true, targets: getFeatureTargets(config, key) }
+      : feature;
+  }
+  return features;
+}
+
 /**
  * Get all features grouped by their group property
  */
@@ -0,0 +1,347 @@
+/**
+ * Config Validator
+ * Schema and cross-reference checks for pumpkin.json, effects.json and
+ * palettes.json, run when the config is loaded or reloaded and by
+ * `npm run validate-config`. Every problem names the file and the JSON path:
+ *
+ *   pumpkin.json $.features.bothEyes.targets[1].controller: unknown controller 'pumpkin12v' (known: pumpkin_12v, pumpkin_24v)
+ *
+ * Errors stop the config from being used. Warnings are for configs that work
+ * but are probably not what was meant: duplicate effect/palette ids, features
+ * that drive exactly the same segments, unknown (misspelt) keys.
+ *
+ * Composite features ("includes", "all") are resolved the way
+ * getFeatureTargets() resolves them, so an include cycle is an error and the
+ * same-segments warning compares what a composite really drives.
+ */
+
+const CONTROLLER_KEYS = ['ip', 'name', 'segments', 'streamPort', 'universe'];
+const FEATURE_KEYS = ['name', 'group', 'color', 'controller', 'segment', 'multiSegment', 'targets', 'includes', 'all'];
+const ATTRACT_KEYS = ['enabled', 'idleAfterSeconds', 'cycleSeconds'];
+const FORM_LABELS = {
+  all: 'an "all" feature (every segment is used)',
+  includes: 'an "includes" feature (the included features are used)',
+  multiSegment: 'a multiSegment feature (only targets are used)'
+};
+
+// Keys end up in URLs and MQTT topics (/api/feature/<key>, pumpkin/<key>/set)
+export const KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Check the pumpkin, effects and palettes config
+ * @param {object} config - { pumpkin, effects, palettes } as parsed from the files
+ * @returns {object} { errors: string[], warnings: string[] }
+ */
+export function validateConfig({ pumpkin, effects, palettes }) {
+  const issues = { errors: [], warnings: [] };
+
+  validatePumpkin(pumpkin, reporter(issues, 'pumpkin.json'));
+  validateList(effects, 'effects', reporter(issues, 'effects.json'));
+  validateList(palettes, 'palettes', reporter(issues, 'palettes.json'));
+
+  return issues;
+}
+
+function reporter(issues, file) {
+  return {
+    error: (path, message) => issues.errors.push(`${file} ${path}: ${message}`),
+    warn: (path, message) => issues.warnings.push(`${file} ${path}: ${message}`)
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function describe(value) {
+  return value === undefined ? 'missing' : `got ${JSON.stringify(value)}`;
+}
+
+/**
+ * Warn about keys nobody reads (usually a typo); "_comment" style keys are fine
+ */
+function checkKeys(object, known, path, report) {
+  for (const key of Object.keys(object)) {
+    if (!known.includes(key) && !key.startsWith('_')) {
+      report.warn(`${path}.${key}`, `unknown key, ignored (expected one of ${known.join(', ')})`);
+    }
+  }
+}
+
+function checkKey(key, path, report) {
+  if (!KEY_PATTERN.test(key)) {
+    report.error(path, 'key may only use letters, digits, _ and -');
+  }
+}
+
+function validatePumpkin(pumpkin, report) {
+  if (!isObject(pumpkin)) {
+    report.error('$', 'must be an object with controllers and features');
+    return;
+  }
+
+  if (typeof pumpkin.name !== 'string' || pumpkin.name.trim() === '') {
+    report.error('$.name', `must be a non-empty string (${describe(pumpkin.name)})`);
+  }
+
+  if (pumpkin.attract !== undefined) {
+    if (!isObject(pumpkin.attract)) {
+      report.error('$.attract', 'must be an object');
+    } else {
+      checkKeys(pumpkin.attract, ATTRACT_KEYS, '$.attract', report);
+      if (pumpkin.attract.enabled !== undefined && typeof pumpkin.attract.enabled !== 'boolean') {
+        report.error('$.attract.enabled', `must be true or false (${describe(pumpkin.attract.enabled)})`);
+      }
+      for (const field of ['idleAfterSeconds', 'cycleSeconds']) {
+        const value = pumpkin.attract[field];
+        if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+          report.error(`$.attract.${field}`, `must be a number of seconds above 0 (${describe(value)})`);
+        }
+      }
+    }
+  }
+
+  const controllers = validateControllers(pumpkin.controllers, report);
+  validateFeatures(pumpkin.features, controllers, report);
+}
+
+/**
+ * @returns {object} The usable controllers (key → controller), for the feature checks
+ */
+function validateControllers(controllers, report) {
+  if (!isObject(controllers) || Object.keys(controllers).length === 0) {
+    report.error('$.controllers', 'must name at least one controller, e.g. { "main": { "ip": "10.0.1.140", "segments": 8 } }');
+    return {};
+  }
+
+  const usable = {};
+  for (const [key, controller] of Object.entries(controllers)) {
+    const path = `$.controllers.${key}`;
+    checkKey(key, path, report);
+    if (!isObject(controller)) {
+      report.error(path, 'must be an object with an ip');
+      continue;
+    }
+    checkKeys(controller, CONTROLLER_KEYS, path, report);
+
+    if (typeof controller.ip !== 'string' || controller.ip.trim() === '') {
+      report.error(`${path}.ip`, `must be the controller's address, e.g. "10.0.1.140" (${describe(controller.ip)})`);
+    } else if (/^[a-z]+:\/\//i.test(controller.ip)) {
+      report.error(`${path}.ip`, `must be the bare address without a scheme, e.g. "${controller.ip.replace(/^[a-z]+:\/\//i, '')}"`);
+    }
+    if (controller.name !== undefined && typeof controller.name !== 'string') {
+      report.error(`${path}.name`, `must be a string (${describe(controller.name)})`);
+    }
+    if (controller.segments !== undefined && !(Number.isInteger(controller.segments) && controller.segments > 0)) {
+      report.error(`${path}.segments`, `must be the number of segments configured in WLED (${describe(controller.segments)})`);
+    }
+    if (controller.streamPort !== undefined &&
+        !(Number.isInteger(controller.streamPort) && controller.streamPort > 0 && controller.streamPort <= 65535)) {
+      report.error(`${path}.streamPort`, `must be a UDP port 1-65535 (${describe(controller.streamPort)})`);
+    }
+    if (controller.universe !== undefined &&
+        !(Number.isInteger(controller.universe) && controller.universe >= 1 && controller.universe <= 63999)) {
+      report.error(`${path}.universe`, `must be an E1.31 universe 1-63999 (${describe(controller.universe)})`);
+    }
+
+    usable[key] = controller;
+  }
+  return usable;
+}
+
+function validateFeatures(features, controllers, report) {
+  if (!isObject(features)) {
+    report.error('$.features', 'must be an object of features, e.g. { "leftEye": { "controller": "main", "segment": 2 } }');
+    return;
+  }
+
+  const known = Object.keys(controllers).join(', ');
+  const resolved = new Map(); // feature key → ["controller:segment", ...], null if a target is invalid
+  const composites = new Map(); // feature key → included feature keys
+
+  const checkTarget = (path, target) => {
+    if (!isObject(target)) {
+      report.error(path, 'must be { "controller", "segment" }');
+      return null;
+    }
+    const controller = controllers[target.controller];
+    if (target.controller === undefined) {
+      report.error(`${path}.controller`, `missing (known: ${known})`);
+    } else if (!controller) {
+      report.error(`${path}.controller`, `unknown controller '${target.controller}' (known: ${known})`);
+    }
+    if (!isNonNegativeInteger(target.segment)) {
+      report.error(`${path}.segment`, `must be a segment index 0 or above (${describe(target.segment)})`);
+      return null;
+    }
+    if (controller && Number.isInteger(controller.segments) && target.segment >= controller.segments) {
+      report.error(`${path}.segment`, `${target.segment} is out of range, ${target.controller} has segments 0-${controller.segments - 1}`);
+      return null;
+    }
+    return controller ? `${target.controller}:${target.segment}` : null;
+  };
+
+  for (const [key, feature] of Object.entries(features)) {
+    const path = `$.features.${key}`;
+    checkKey(key, path, report);
+    if (!isObject(feature)) {
+      report.error(path, 'must be an object');
+      continue;
+    }
+    checkKeys(feature, FEATURE_KEYS, path, report);
+
+    for (const field of ['name', 'group']) {
+      if (feature[field] !== undefined && typeof feature[field] !== 'string') {
+        report.error(`${path}.${field}`, `must be a string (${describe(feature[field])})`);
+      }
+    }
+    if (feature.color !== undefined && !/^#[0-9a-f]{6}$/i.test(feature.color)) {
+      report.error(`${path}.color`, `must be a "#RRGGBB" color (${describe(feature.color)})`);
+    }
+    if (feature.multiSegment !== undefined && typeof feature.multiSegment !== 'boolean') {
+      report.error(`${path}.multiSegment`, `must be true or false (${describe(feature.multiSegment)})`);
+    }
+
+    const forms = ['all', 'includes', 'multiSegment'].filter(field => feature[field] !== undefined && feature[field] !== false);
+    if (forms.length > 1) {
+      report.error(path, `use only one of "all", "includes" or "multiSegment" (got ${forms.join(', ')})`);
+      continue;
+    }
+
+    let segments = [];
+    if (feature.all !== undefined && feature.all !== false) {
+      if (feature.all !== true) {
+        report.error(`${path}.all`, `must be true (${describe(feature.all)})`);
+        continue;
+      }
+      const uncounted = Object.keys(controllers).filter(name => !Number.isInteger(controllers[name].segments));
+      if (uncounted.length > 0) {
+        report.error(`${path}.all`, `needs "segments" on every controller (missing on ${uncounted.join(', ')})`);
+        continue;
+      }
+      segments = Object.entries(controllers)
+        .flatMap(([name, controller]) => Array.from({ length: controller.segments }, (_, segment) => `${name}:${segment}`));
+    } else if (feature.includes !== undefined) {
+      if (!Array.isArray(feature.includes) || feature.includes.length === 0) {
+        report.error(`${path}.includes`, 'must be a non-empty array of feature keys, e.g. ["leftEye", "rightEye"]');
+        continue;
+      }
+      const seen = new Set();
+      feature.includes.forEach((included, index) => {
+        if (!Object.hasOwn(features, included)) {
+          report.error(`${path}.includes[${index}]`, `unknown feature ${JSON.stringify(included)}`);
+        } else if (seen.has(included)) {
+          report.warn(`${path}.includes[${index}]`, `${included} is listed twice`);
+        }
+        seen.add(included);
+      });
+      composites.set(key, feature.includes);
+    } else if (feature.multiSegment === true) {
+      if (!Array.isArray(feature.targets) || feature.targets.length === 0) {
+        report.error(`${path}.targets`, 'a multiSegment feature needs a non-empty array of { "controller", "segment" }');
+      } else {
+        segments = feature.targets.map((target, index) => checkTarget(`${path}.targets[${index}]`, target));
+        const seen = new Set();
+        segments.forEach((segment, index) => {
+          if (segment && seen.has(segment)) {
+            report.warn(`${path}.targets[${index}]`, `${segment} is listed twice`);
+          }
+          seen.add(segment);
+        });
+      }
+    } else {
+      if (feature.targets !== undefined) {
+        report.warn(`${path}.targets`, 'ignored without "multiSegment": true');
+      }
+      segments = [checkTarget(path, feature)];
+    }
+
+    if (forms.length > 0) {
+      const ignored = forms[0] === 'multiSegment' ? ['controller', 'segment'] : ['controller', 'segment', 'targets'];
+      for (const field of ignored) {
+        if (feature[field] !== undefined) {
+          report.warn(`${path}.${field}`, `ignored for ${FORM_LABELS[forms[0]]}`);
+        }
+      }
+    }
+
+    if (!composites.has(key)) {
+      // Only compare features whose targets all check out
+      resolved.set(key, segments.length > 0 && segments.every(Boolean) ? segments : null);
+    }
+  }
+
+  const resolve = (key, chain) => {
+    if (resolved.has(key)) return resolved.get(key);
+    if (!composites.has(key)) return null;
+    if (chain.includes(key)) {
+      const cycle = [...chain.slice(chain.indexOf(key)), key];
+      report.error(`$.features.${key}.includes`, `includes itself (${cycle.join(' → ')})`);
+      return null;
+    }
+    const parts = composites.get(key).map(included => resolve(included, [...chain, key]));
+    const segments = parts.every(Boolean) ? [...new Set(parts.flat())] : null;
+    resolved.set(key, segments);
+    return segments;
+  };
+
+  const segmentSets = new Map(); // "controller:segment,..." → feature keys
+  for (const key of Object.keys(features)) {
+    const segments = resolve(key, []);
+    if (segments) {
+      const set = [...new Set(segments)].sort().join(',');
+      segmentSets.set(set, [...(segmentSets.get(set) || []), key]);
+    }
+  }
+
+  for (const [set, keys] of segmentSets) {
+    if (keys.length > 1) {
+      report.warn(`$.features.${keys[0]}`, `maps to the same segments (${set}) as ${keys.slice(1).join(', ')}`);
+    }
+  }
+}
+
+/**
+ * effects.json / palettes.json: { "<field>": [{ "id", "name", "show" }, ...] }
+ */
+function validateList(list, field, report) {
+  if (!isObject(list) || !Array.isArray(list[field])) {
+    report.error(`$.${field}`, `must be an array of { "id", "name" }`);
+    return;
+  }
+
+  const categories = field === 'effects' && isObject(list.categories) ? list.categories : null;
+  const firstById = new Map();
+
+  list[field].forEach((entry, index) => {
+    const path = `$.${field}[${index}]`;
+    if (!isObject(entry)) {
+      report.error(path, 'must be an object with id and name');
+      return;
+    }
+    if (!isNonNegativeInteger(entry.id)) {
+      report.error(`${path}.id`, `must be the WLED id, an integer 0 or above (${describe(entry.id)})`);
+    } else if (firstById.has(entry.id)) {
+      report.warn(`${path}.id`, `duplicate id ${entry.id} (also ${field}[${firstById.get(entry.id)}])`);
+    } else {
+      firstById.set(entry.id, index);
+    }
+    if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+      report.error(`${path}.name`, `must be a non-empty string (${describe(entry.name)})`);
+    }
+    if (entry.show !== undefined && typeof entry.show !== 'boolean') {
+      report.error(`${path}.show`, `must be true or false (${describe(entry.show)})`);
+    }
+    if (categories && entry.category !== undefined && !categories[entry.category]) {
+      report.warn(`${path}.category`, `unknown category '${entry.category}' (known: ${Object.keys(categories).join(', ')})`);
+    }
+    if (entry.colors !== undefined &&
+        !(Array.isArray(entry.colors) && entry.colors.every(color => /^#[0-9a-f]{6}$/i.test(color)))) {
+      report.error(`${path}.colors`, 'must be an array of "#RRGGBB" colors');
+    }
+  });
+}
@@ -0,0 +1,188 @@
+import { watch } from 'fs';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { CONFIG_DIR } from './config-loader.js';
+import { validateConfig } from './config-validator.js';
+
+// Files picked up without a restart → their key in the loaded config
+export const RELOADABLE_FILES = {
+  'pumpkin.json': 'pumpkin',
+  'effects.json': 'effects',
+  'palettes.json': 'palettes'
+};
+
+/**
+ * Config Watcher
+ * Watches pumpkin.json, effects.json and palettes.json and swaps edits into
+ * the running config object, so routes and controllers pick them up without
+ * a restart (and without dropping every kiosk). Edited files are checked
+ * with validateConfig() from config-validator.js first: an invalid edit is
+ * rejected with the problems logged and the last good config stays active.
+ *
+ * After a reload ControllerManager adds or drops WLEDClients to match the
+ * controllers, and 'config' is emitted on it for the other services and the
+ * kiosks (through the event stream).
+ */
+export class ConfigWatcher {
+  /**
+   * @param {object} config - Loaded configuration, updated in place
+   * @param {ControllerManager} controllerManager - Clients to sync, 'config' events
+   * @param {object} options - { check: next => string[] } extra reasons to reject a new config (no simulator for a controller),
+   *                           { prepare: next => void } adjusts a new config before it is swapped in (simulator ips),
+   *                           { dir, debounceMs }
+   */
+  constructor(config, controllerManager, options = {}) {
+    this.config = config;
+    this.controllerManager = controllerManager;
+    this.check = options.check;
+    this.prepare = options.prepare;
+    this.dir = options.dir || CONFIG_DIR;
+    this.debounceMs = options.debounceMs ?? 300;
+
+    this.watcher = null;
+    this.timer = null;
+    this.pending = new Set(); // files changed since the last reload
+    this.contents = new Map(); // file → text of the version in use
+    this.reloading = Promise.resolve();
+    this.reloads = 0;
+    this.lastReloadAt = null;
+    this.lastError = null; // { files, errors, at } of the last rejected edit
+  }
+
+  /**
+   * Remember the files in use and start watching the config directory
+   */
+  async start() {
+    for (const file of Object.keys(RELOADABLE_FILES)) {
+      this.contents.set(file, await readFile(join(this.dir, file), 'utf-8'));
+    }
+
+    // Watch the directory: editors (and writeJSONFile) replace files by renaming
+    this.watcher = watch(this.dir, (eventType, filename) => {
+      if (!RELOADABLE_FILES[filename]) return;
+      this.pending.add(filename);
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.flush(), this.debounceMs);
+    });
+    this.watcher.on('error', error => console.error('[Config] Watcher error:', error.message));
+    console.log(`👀 Watching ${Object.keys(RELOADABLE_FILES).join(', ')} for changes`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  flush() {
+    const files = [...this.pending];
+    this.pending.clear();
+    this.enqueue(files).catch(() => {});
+  }
+
+  /**
+   * Reload files once the reloads already under way are done
+   * (ConfigEditor calls this right after writing a file)
+   */
+  enqueue(files) {
+    const result = this.reloading.then(() => this.reload(files));
+    this.reloading = result.catch(error => console.error('[Config] Reload failed:', error.message));
+    return result;
+  }
+
+  /**
+   * Check config files about to replace the running ones
+   * @param {object} next - { pumpkin, effects, palettes }, any of them; the rest are the running ones
+   * @returns {object} { errors, warnings } as for validateConfig()
+   */
+  validate(next) {
+    const result = validateConfig({
+      pumpkin: this.config.pumpkin,
+      effects: this.config.effects,
+      palettes: this.config.palettes,
+      ...next
+    });
+    if (result.errors.length === 0 && this.check) {
+      result.errors.push(...this.check(next));
+    }
+    return result;
+  }
+
+  /**
+   * Read, check and swap in the given files
+   * @returns {Promise<object>} { success, files, controllers } or { success: false, errors }
+   */
+  async reload(files) {
+    const next = {};
+    const texts = new Map();
+    const errors = [];
+
+    for (const file of files) {
+      let text;
+      try {
+        text = await readFile(join(this.dir, file), 'utf-8');
+      } catch (error) {
+        errors.push(`${file}: ${error.code === 'ENOENT' ? 'file is missing' : error.message}`);
+        continue;
+      }
+      if (text === this.contents.get(file)) continue;
+
+      try {
+        next[RELOADABLE_FILES[file]] = JSON.parse(text);
+        texts.set(file, text);
+      } catch (error) {
+        errors.push(`${file}: invalid JSON (${error.message})`);
+      }
+    }
+
+    if (errors.length === 0 && texts.size === 0) {
+      // Saved without changes, or put back to the version in use
+      this.lastError = null;
+      return { success: true, files: [] };
+    }
+
+    let warnings = [];
+    if (errors.length === 0) {
+      const result = this.validate(next);
+      errors.push(...result.errors);
+      warnings = result.warnings;
+    }
+
+    if (errors.length > 0) {
+      this.lastError = { files, errors, at: Date.now() };
+      console.error(`✗ [Config] Rejected changes to ${files.join(', ')}, keeping the last good config:`);
+      errors.forEach(error => console.error(`    ${error}`));
+      this.controllerManager.emit('config', { success: false, files, errors, at: this.lastError.at });
+      return { success: false, errors };
+    }
+
+    warnings.forEach(warning => console.warn(`⚠ [Config] ${warning}`));
+    this.prepare?.(next);
+    Object.assign(this.config, next);
+    texts.forEach((text, file) => this.contents.set(file, text));
+
+    const changed = [...texts.keys()];
+    const controllers = this.controllerManager.syncControllers();
+    this.reloads++;
+    this.lastReloadAt = Date.now();
+    this.lastError = null;
+
+    const summary = Object.entries(controllers)
+      .filter(([, keys]) => keys.length > 0)
+      .map(([change, keys]) => `${change} ${keys.join(', ')}`);
+    console.log(`✓ [Config] Reloaded ${changed.join(', ')}${summary.length ? ` (controllers ${summary.join('; ')})` : ''}`);
+    this.controllerManager.emit('config', { success: true, files: changed, controllers, at: this.lastReloadAt });
+
+    return { success: true, files: changed, controllers };
+  }
+
+  getStatus() {
+    return {
+      watching: this.watcher !== null,
+      files: Object.keys(RELOADABLE_FILES),
+      reloads: this.reloads,
+      lastReloadAt: this.lastReloadAt,
+      lastError: this.lastError
+    };
+  }
+}
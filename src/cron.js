@@ -0,0 +1,135 @@
+/**
+ * Cron Expressions
+ * Standard 5-field cron ("minute hour day-of-month month day-of-week") in the
+ * server's local time. Fields accept *, numbers, ranges (1-5), lists (1,3,5)
+ * and steps (*\/15, 0-30/10). Month and weekday names (jan, mon) are allowed,
+ * and 7 means Sunday like 0. As in classic cron, when both day-of-month and
+ * day-of-week are restricted, a day matching either one fires.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+/**
+ * Parse a cron expression
+ * @returns {object} { minute, hour, dayOfMonth, month, dayOfWeek } as Sets, plus restricted flags
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression '${expression}' (expected 5 fields: minute hour day month weekday)`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+
+  // Sunday can be written as 0 or 7
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+function parseField(text, field, expression) {
+  const values = new Set();
+
+  for (const item of text.toLowerCase().split(',')) {
+    const [rangeText, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step '${item}' in ${field.name} of '${expression}'`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      [start, end] = rangeText.split('-').map(value => parseValue(value, field, expression));
+    } else {
+      start = parseValue(rangeText, field, expression);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range '${item}' in ${field.name} of '${expression}'`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseValue(text, field, expression) {
+  const nameIndex = field.names ? field.names.indexOf(text) : -1;
+  const value = nameIndex !== -1 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(text);
+
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} '${text}' in '${expression}' (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Next time a parsed cron expression fires strictly after `from`
+ * @returns {Date|null} null if it never fires within ~4 years (e.g. Feb 30)
+ */
+export function nextCronTime(cron, from) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.valueOf() + 4 * 366 * 86400000;
+
+  while (date.valueOf() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
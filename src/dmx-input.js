@@ -0,0 +1,350 @@
+import dgram from 'dgram';
+import { getFeatureTargets } from './config-loader.js';
+import { E131_PORT } from './frame-output.js';
+
+export const ARTNET_PORT = 6454;
+export const DMX_PARAMS = ['r', 'g', 'b', 'fx', 'pal', 'sx', 'ix', 'bri'];
+
+const ARTNET_ID = 'Art-Net\0';
+const ARTNET_OP_DMX = 0x5000;
+const E131_OPTION_PREVIEW = 0x80;
+const E131_OPTION_TERMINATED = 0x40;
+const DEFAULT_PRIORITY = 100; // sACN default; also used for Art-Net, which has none
+
+/**
+ * DMX Input
+ * Lets a lighting desk or xLights drive features live over E1.31 (sACN) or
+ * Art-Net. Each mapped feature takes a block of DMX channels (r, g, b, fx,
+ * pal, sx, ix, bri by default), and changed values are sent through
+ * ControllerManager.setFeature at most every `rateMs`.
+ *
+ * While DMX is live the desk has priority: the attract program is held off
+ * and API writes to the features it drives are refused. When no packets have
+ * arrived for `timeoutSeconds` the kiosk gets control back. Between several
+ * sACN sources the highest priority wins, as in the standard.
+ *
+ * Settings come from config/dmx.json.
+ */
+export class DmxInput {
+  /**
+   * @param {object} config - Loaded configuration (config.dmx)
+   * @param {ControllerManager} controllerManager - Target of the DMX values
+   * @param {object} services - { attractMode } is held off while DMX is live
+   */
+  constructor(config, controllerManager, services = {}) {
+    const settings = config.dmx || {};
+
+    this.config = config;
+    this.controllerManager = controllerManager;
+    this.attractMode = services.attractMode;
+    this.enabled = settings.enabled === true;
+    this.e131 = { enabled: true, universe: 1, port: E131_PORT, ...settings.e131 };
+    this.artnet = { enabled: true, universe: 0, port: ARTNET_PORT, priority: DEFAULT_PRIORITY, ...settings.artnet };
+    this.timeoutMs = (settings.timeoutSeconds ?? 3) * 1000;
+    this.rateMs = settings.rateMs ?? 50;
+
+    this.sockets = [];
+    this.sources = new Map(); // sACN CID (or 'artnet:<ip>') → { name, priority, sequence, lastAt }
+    this.data = null; // latest accepted DMX frame
+    this.lastSent = {}; // feature → props last sent
+    this.live = false;
+    this.lastPacketAt = null;
+    this.packets = 0;
+    this.flushTimer = null;
+    this.lastFlushAt = 0;
+    this.timeoutTimer = null;
+
+    this.loadFeatures();
+
+    // Features may have been added or removed by a config reload
+    controllerManager.on('config', ({ success }) => {
+      if (success) this.loadFeatures();
+    });
+  }
+
+  /**
+   * Map the dmx.json features and note the segments they drive
+   */
+  loadFeatures() {
+    this.mappings = loadMappings(this.config, this.config.dmx?.features || []);
+
+    // Segments driven by DMX, to refuse overlapping API writes while live
+    this.segments = new Set();
+    for (const { feature } of this.mappings) {
+      for (const target of getFeatureTargets(this.config, feature)) {
+        this.segments.add(`${target.controller}:${target.segment}`);
+      }
+    }
+  }
+
+  /**
+   * Open the UDP listeners
+   */
+  async start() {
+    if (!this.enabled || this.mappings.length === 0) return;
+
+    if (this.e131.enabled) {
+      const socket = await this.listen(this.e131.port, packet => this.receiveE131(packet));
+
+      // Universes are multicast to 239.255.<hi>.<lo>; unicast works without this
+      const group = `239.255.${(this.e131.universe >> 8) & 0xFF}.${this.e131.universe & 0xFF}`;
+      try {
+        socket.addMembership(group);
+      } catch (error) {
+        console.warn(`⚠ [DMX] Could not join sACN multicast ${group} (unicast only): ${error.message}`);
+      }
+      console.log(`[DMX] Listening for sACN universe ${this.e131.universe} on UDP ${this.e131.port}`);
+    }
+
+    if (this.artnet.enabled) {
+      await this.listen(this.artnet.port, (packet, rinfo) => this.receiveArtNet(packet, rinfo));
+      console.log(`[DMX] Listening for Art-Net universe ${this.artnet.universe} on UDP ${this.artnet.port}`);
+    }
+
+    console.log(`[DMX] ${this.mappings.length} features mapped, kiosk takes over after ${this.timeoutMs / 1000}s without DMX`);
+  }
+
+  listen(port, onMessage) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      socket.on('message', onMessage);
+      socket.once('error', reject);
+      socket.bind(port, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', error => console.error('[DMX] Socket error:', error.message));
+        this.sockets.push(socket);
+        resolve(socket);
+      });
+    });
+  }
+
+  stop() {
+    for (const socket of this.sockets) {
+      socket.close();
+    }
+    this.sockets = [];
+    clearTimeout(this.flushTimer);
+    clearTimeout(this.timeoutTimer);
+    this.release();
+  }
+
+  receiveE131(packet) {
+    const frame = parseE131(packet);
+    if (!frame || frame.universe !== this.e131.universe || frame.preview) return;
+
+    if (frame.terminated) {
+      this.sources.delete(frame.cid);
+      return;
+    }
+
+    // Drop packets that arrive out of order (within the standard's window of 20)
+    const source = this.sources.get(frame.cid);
+    if (source) {
+      const delta = (frame.sequence - source.sequence + 256) % 256;
+      if (delta === 0 || delta > 235) return;
+    }
+
+    this.accept(frame.cid, frame.sourceName, frame.priority, frame.sequence, frame.data);
+  }
+
+  receiveArtNet(packet, rinfo) {
+    const frame = parseArtDmx(packet);
+    if (!frame || frame.universe !== this.artnet.universe) return;
+
+    this.accept(`artnet:${rinfo.address}`, `Art-Net ${rinfo.address}`, this.artnet.priority, frame.sequence, frame.data);
+  }
+
+  /**
+   * Keep a frame if its source has the highest priority among live sources
+   */
+  accept(id, name, priority, sequence, data) {
+    const now = Date.now();
+    this.sources.set(id, { name, priority, sequence, lastAt: now });
+
+    for (const [key, source] of this.sources) {
+      if (now - source.lastAt > this.timeoutMs) this.sources.delete(key);
+    }
+    const highest = Math.max(...[...this.sources.values()].map(source => source.priority));
+    if (priority < highest) return;
+
+    this.data = data;
+    this.packets++;
+    this.lastPacketAt = now;
+
+    if (!this.live) {
+      this.live = true;
+      this.attractMode?.hold('dmx');
+      console.log(`[DMX] Live (${name})`);
+      this.controllerManager.emit('dmx', { live: true, source: name, at: now });
+    }
+
+    clearTimeout(this.timeoutTimer);
+    this.timeoutTimer = setTimeout(() => this.release(), this.timeoutMs);
+
+    if (!this.flushTimer) {
+      const wait = Math.max(0, this.lastFlushAt + this.rateMs - now);
+      this.flushTimer = setTimeout(() => this.flush(), wait);
+    }
+  }
+
+  /**
+   * Send each mapped feature's changed values
+   */
+  flush() {
+    this.flushTimer = null;
+    this.lastFlushAt = Date.now();
+    if (!this.live || !this.data) return;
+
+    for (const mapping of this.mappings) {
+      const props = propsFromChannels(this.data, mapping);
+      const previous = this.lastSent[mapping.feature] || {};
+      const changed = {};
+      for (const [key, value] of Object.entries(props)) {
+        if (JSON.stringify(value) !== JSON.stringify(previous[key])) {
+          changed[key] = value;
+        }
+      }
+      if (Object.keys(changed).length === 0) continue;
+
+      this.lastSent[mapping.feature] = props;
+      this.controllerManager.setFeature(mapping.feature, changed)
+        .catch(error => console.error(`[DMX] ${mapping.feature}:`, error.message));
+    }
+  }
+
+  /**
+   * DMX stopped: hand control back
+   */
+  release() {
+    clearTimeout(this.timeoutTimer);
+    this.timeoutTimer = null;
+    if (!this.live) return;
+
+    this.live = false;
+    this.lastSent = {}; // resend everything when DMX comes back
+    this.sources.clear();
+    console.log('[DMX] Stream stopped, kiosk has control');
+    this.controllerManager.emit('dmx', { live: false, at: Date.now() });
+    this.attractMode?.release('dmx');
+  }
+
+  /**
+   * Features among `featureNames` that DMX currently owns (sharing a segment with a mapped feature)
+   */
+  conflicts(featureNames) {
+    if (!this.live) return [];
+
+    return featureNames.filter(name => {
+      if (!this.config.pumpkin.features[name]) return false;
+      return getFeatureTargets(this.config, name)
+        .some(target => this.segments.has(`${target.controller}:${target.segment}`));
+    });
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      live: this.live,
+      e131: this.e131.enabled ? { universe: this.e131.universe, port: this.e131.port } : null,
+      artnet: this.artnet.enabled ? { universe: this.artnet.universe, port: this.artnet.port } : null,
+      timeoutMs: this.timeoutMs,
+      lastPacketAt: this.lastPacketAt,
+      packets: this.packets,
+      sources: [...this.sources.values()].map(({ name, priority, lastAt }) => ({ name, priority, lastAt })),
+      features: this.mappings.map(({ feature, start, params }) => ({
+        feature,
+        start,
+        params,
+        values: this.lastSent[feature] || null
+      }))
+    };
+  }
+}
+
+/**
+ * Parse an E1.31 data packet
+ * @returns {object|null} { cid, sourceName, priority, sequence, universe, preview, terminated, data }
+ */
+export function parseE131(packet) {
+  if (packet.length < 126 || packet.toString('ascii', 4, 16) !== 'ASC-E1.17\0\0\0') return null;
+  if (packet.readUInt32BE(18) !== 0x00000004 || packet.readUInt32BE(40) !== 0x00000002) return null;
+  if (packet[117] !== 0x02 || packet[125] !== 0x00) return null; // DMX start code only
+
+  const count = packet.readUInt16BE(123) - 1;
+  const options = packet[112];
+  return {
+    cid: packet.toString('hex', 22, 38),
+    sourceName: packet.toString('utf8', 44, 108).replace(/\0+$/, ''),
+    priority: packet[108],
+    sequence: packet[111],
+    universe: packet.readUInt16BE(113),
+    preview: Boolean(options & E131_OPTION_PREVIEW),
+    terminated: Boolean(options & E131_OPTION_TERMINATED),
+    data: packet.subarray(126, 126 + Math.max(0, count))
+  };
+}
+
+/**
+ * Parse an Art-Net ArtDmx packet
+ * @returns {object|null} { universe (15-bit port-address), sequence, data }
+ */
+export function parseArtDmx(packet) {
+  if (packet.length < 18 || packet.toString('ascii', 0, 8) !== ARTNET_ID) return null;
+  if (packet.readUInt16LE(8) !== ARTNET_OP_DMX) return null;
+
+  const length = packet.readUInt16BE(16);
+  return {
+    universe: ((packet[15] & 0x7F) << 8) | packet[14],
+    sequence: packet[12],
+    data: packet.subarray(18, 18 + length)
+  };
+}
+
+/**
+ * Keep the dmx.json feature entries that can be used, warning about the rest
+ */
+function loadMappings(config, entries) {
+  const mappings = [];
+
+  entries.forEach((entry, index) => {
+    const label = entry.feature || `features[${index}]`;
+    const params = entry.params || DMX_PARAMS;
+
+    if (!config.pumpkin.features[entry.feature]) {
+      console.warn(`⚠ [DMX] ${label}: unknown feature, skipped`);
+      return;
+    }
+    if (!(Number.isInteger(entry.start) && entry.start >= 1 && entry.start + params.length - 1 <= 512)) {
+      console.warn(`⚠ [DMX] ${label}: start must leave room for ${params.length} channels in 1-512, skipped`);
+      return;
+    }
+    const unknown = params.filter(param => !DMX_PARAMS.includes(param));
+    if (unknown.length > 0) {
+      console.warn(`⚠ [DMX] ${label}: unknown params ${unknown.join(', ')} (allowed: ${DMX_PARAMS.join(', ')}), skipped`);
+      return;
+    }
+
+    mappings.push({ feature: entry.feature, start: entry.start, params });
+  });
+
+  return mappings;
+}
+
+/**
+ * Read a feature's props from its DMX channels (missing channels read as 0)
+ */
+function propsFromChannels(data, mapping) {
+  const values = {};
+  mapping.params.forEach((param, index) => {
+    values[param] = data[mapping.start - 1 + index] ?? 0;
+  });
+
+  const props = {};
+  if ('r' in values || 'g' in values || 'b' in values) {
+    props.col = [[values.r ?? 0, values.g ?? 0, values.b ?? 0]];
+  }
+  for (const param of ['fx', 'pal', 'sx', 'ix', 'bri']) {
+    if (param in values) props[param] = values[param];
+  }
+  return props;
+}
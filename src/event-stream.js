@@ -0,0 +1,131 @@
+/**
+ * Event Stream
+ * Server-Sent Events for GET /api/events. Relays ControllerManager events to
+ * every open kiosk and admin page so they all show the real current pumpkin,
+ * whoever changed it.
+ *
+ * SSE event types:
+ *   - 'hello'      ({ states, controllers })          sent once on connect: shadow states and online status
+ *   - 'feature'    ({ feature, props, success, at })  a feature was set (also per feature of a batch/scene)
+ *   - 'power'      ({ on, success, at })
+ *   - 'brightness' ({ brightness, success, at })
+ *   - 'preset'     ({ preset, success, at })
+ *   - 'scene'      ({ scene, name, success, at })     a saved scene was applied
+ *   - 'controller' ({ controller, online, websocket, breaker, at })  a controller went online or offline
+ *   - 'reconcile'  ({ controller, reason, segments, ... })          drifted state was re-applied
+ *   - 'attract'    ({ active, reason, at })                          the attract program started or stopped
+ *   - 'schedule'   ({ rule, scheduledAt, at, success, results })     a schedule rule fired
+ *   - 'show'       ({ action, show, state, positionMs, durationMs, ... })  sequencer playback changed, and progress every second
+ *   - 'dmx'        ({ live, source, at })                            DMX input took or gave back control
+ *   - 'trigger'    ({ trigger, phase, durationMs | restored, at })  a trigger started ('start') or ended ('end')
+ *   - 'config'     ({ success, files, controllers | errors, at })   edited config files were reloaded (re-fetch /api/config) or rejected
+ */
+export class EventStream {
+  /**
+   * @param {ControllerManager} controllerManager - Source of events
+   * @param {object} options - { heartbeatMs: keep-alive comment interval (default 15000) }
+   */
+  constructor(controllerManager, options = {}) {
+    this.controllerManager = controllerManager;
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.clients = new Set();
+    this.nextId = 1;
+
+    controllerManager.on('feature', ({ feature, props, success, at }) => {
+      this.broadcast('feature', { feature, props, success, at });
+    });
+    controllerManager.on('power', ({ on, results, at }) => {
+      this.broadcast('power', { on, success: allSucceeded(results), at });
+    });
+    controllerManager.on('brightness', ({ brightness, results, at }) => {
+      this.broadcast('brightness', { brightness, success: allSucceeded(results), at });
+    });
+    controllerManager.on('preset', ({ preset, results, at }) => {
+      this.broadcast('preset', { preset, success: allSucceeded(results), at });
+    });
+    controllerManager.on('scene', (status) => {
+      this.broadcast('scene', status);
+    });
+    controllerManager.on('controller', (status) => {
+      this.broadcast('controller', status);
+    });
+    controllerManager.on('reconcile', (action) => {
+      this.broadcast('reconcile', action);
+    });
+    controllerManager.on('attract', (status) => {
+      this.broadcast('attract', status);
+    });
+    controllerManager.on('schedule', (firing) => {
+      this.broadcast('schedule', firing);
+    });
+    controllerManager.on('show', (status) => {
+      this.broadcast('show', status);
+    });
+    controllerManager.on('dmx', (status) => {
+      this.broadcast('dmx', status);
+    });
+    controllerManager.on('trigger', (status) => {
+      this.broadcast('trigger', status);
+    });
+    controllerManager.on('config', (status) => {
+      this.broadcast('config', status);
+    });
+
+    this.heartbeat = setInterval(() => {
+      for (const res of this.clients) {
+        res.write(': keep-alive\n\n');
+      }
+    }, this.heartbeatMs);
+    this.heartbeat.unref?.();
+  }
+
+  /**
+   * Take over an HTTP request as an SSE subscriber
+   */
+  attach(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+
+    this.send(res, 'hello', {
+      states: this.controllerManager.getShadowStates(),
+      controllers: this.controllerManager.getControllerHealth()
+    });
+  }
+
+  broadcast(type, data) {
+    for (const res of this.clients) {
+      this.send(res, type, data);
+    }
+  }
+
+  send(res, type, data) {
+    res.write(`id: ${this.nextId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  getClientCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * End every subscriber (server shutdown)
+   */
+  close() {
+    clearInterval(this.heartbeat);
+    for (const res of this.clients) {
+      res.end();
+    }
+    this.clients.clear();
+  }
+}
+
+function allSucceeded(results) {
+  return Object.values(results || {}).every(result => result.success);
+}
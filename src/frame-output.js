@@ -0,0 +1,408 @@
+import dgram from 'dgram';
+import { randomBytes } from 'crypto';
+import { getFeatureTargets } from './config-loader.js';
+
+/**
+ * Real-time Frame Output
+ * Streams per-pixel frames to WLED controllers over UDP (DDP or E1.31/sACN),
+ * bypassing the built-in effect engine. WLED switches to realtime mode while
+ * frames arrive and returns to its effects when the stream ends.
+ */
+
+export const DDP_PORT = 4048;
+export const E131_PORT = 5568;
+
+const DDP_HEADER_LENGTH = 10;
+const DDP_MAX_DATA = 1440; // 480 RGB pixels per packet
+const DDP_VERSION_1 = 0x40;
+const DDP_PUSH = 0x01;
+const DDP_TYPE_RGB8 = 0x0B;
+const DDP_DEFAULT_OUTPUT = 0x01;
+
+const E131_HEADER_LENGTH = 126;
+const E131_CHANNELS_PER_UNIVERSE = 510; // 170 RGB pixels
+const E131_SOURCE_NAME = 'Pumpkin Painter';
+
+/**
+ * Build the DDP packets for one controller's frame
+ * @param {Uint8Array} pixels - RGB bytes for the whole controller
+ * @param {number} sequence - Sequence number (1-15, 0 disables sequencing)
+ * @returns {Buffer[]} Packets; the last one carries the push flag
+ */
+export function buildDdpPackets(pixels, sequence = 0) {
+  const packets = [];
+
+  for (let offset = 0; offset < pixels.length; offset += DDP_MAX_DATA) {
+    const chunk = pixels.subarray(offset, Math.min(offset + DDP_MAX_DATA, pixels.length));
+    const isLast = offset + chunk.length >= pixels.length;
+    const packet = Buffer.alloc(DDP_HEADER_LENGTH + chunk.length);
+
+    packet[0] = DDP_VERSION_1 | (isLast ? DDP_PUSH : 0);
+    packet[1] = sequence & 0x0F;
+    packet[2] = DDP_TYPE_RGB8;
+    packet[3] = DDP_DEFAULT_OUTPUT;
+    packet.writeUInt32BE(offset, 4);
+    packet.writeUInt16BE(chunk.length, 8);
+    packet.set(chunk, DDP_HEADER_LENGTH);
+
+    packets.push(packet);
+  }
+
+  return packets;
+}
+
+/**
+ * Build one E1.31 (sACN) data packet
+ * @param {number} universe - Universe number (1-63999)
+ * @param {Uint8Array} channels - DMX channel data (up to 512 bytes)
+ * @param {number} sequence - Sequence number (0-255)
+ * @param {Buffer} cid - 16-byte component identifier
+ * @param {number} priority - sACN priority (0-200, default 100)
+ */
+export function buildE131Packet(universe, channels, sequence, cid, priority = 100) {
+  const packet = Buffer.alloc(E131_HEADER_LENGTH + channels.length);
+
+  // Root layer
+  packet.writeUInt16BE(0x0010, 0);
+  packet.writeUInt16BE(0x0000, 2);
+  packet.write('ASC-E1.17\0\0\0', 4, 'ascii');
+  packet.writeUInt16BE(0x7000 | (packet.length - 16), 16);
+  packet.writeUInt32BE(0x00000004, 18);
+  cid.copy(packet, 22, 0, 16);
+
+  // Framing layer
+  packet.writeUInt16BE(0x7000 | (packet.length - 38), 38);
+  packet.writeUInt32BE(0x00000002, 40);
+  packet.write(E131_SOURCE_NAME, 44, 64, 'utf8');
+  packet[108] = priority;
+  packet.writeUInt16BE(0, 109); // sync address
+  packet[111] = sequence & 0xFF;
+  packet[112] = 0; // options
+  packet.writeUInt16BE(universe, 113);
+
+  // DMP layer
+  packet.writeUInt16BE(0x7000 | (packet.length - 115), 115);
+  packet[117] = 0x02;
+  packet[118] = 0xA1;
+  packet.writeUInt16BE(0x0000, 119);
+  packet.writeUInt16BE(0x0001, 121);
+  packet.writeUInt16BE(channels.length + 1, 123);
+  packet[125] = 0x00; // DMX start code
+  packet.set(channels, E131_HEADER_LENGTH);
+
+  return packet;
+}
+
+/**
+ * Build the E1.31 packets for one controller's frame (170 pixels per universe)
+ */
+export function buildE131Packets(pixels, startUniverse, sequence, cid, priority) {
+  const packets = [];
+  let universe = startUniverse;
+
+  for (let offset = 0; offset < pixels.length; offset += E131_CHANNELS_PER_UNIVERSE) {
+    const channels = pixels.subarray(offset, Math.min(offset + E131_CHANNELS_PER_UNIVERSE, pixels.length));
+    packets.push(buildE131Packet(universe, channels, sequence, cid, priority));
+    universe++;
+  }
+
+  return packets;
+}
+
+/**
+ * A single frame of pixel data for every controller
+ * Pixels are addressed either per controller or per pumpkin.json feature.
+ */
+export class Frame {
+  constructor(layout) {
+    this.layout = layout;
+    this.buffers = {};
+
+    for (const [key, controller] of Object.entries(layout.controllers)) {
+      this.buffers[key] = new Uint8Array(controller.ledCount * 3);
+    }
+  }
+
+  /**
+   * Set every pixel on every controller
+   */
+  fill(rgb) {
+    for (const key of Object.keys(this.buffers)) {
+      this.fillRange(key, 0, this.layout.controllers[key].ledCount, rgb);
+    }
+  }
+
+  fillRange(controllerKey, start, stop, rgb) {
+    const buffer = this.buffers[controllerKey];
+    for (let i = start; i < stop; i++) {
+      buffer[i * 3] = rgb[0];
+      buffer[i * 3 + 1] = rgb[1];
+      buffer[i * 3 + 2] = rgb[2];
+    }
+  }
+
+  /**
+   * Set one pixel by controller-wide index
+   */
+  setPixel(controllerKey, index, rgb) {
+    const buffer = this.buffers[controllerKey];
+    if (!buffer || index < 0 || index * 3 >= buffer.length) return;
+    buffer[index * 3] = rgb[0];
+    buffer[index * 3 + 1] = rgb[1];
+    buffer[index * 3 + 2] = rgb[2];
+  }
+
+  /**
+   * Number of pixels covered by a feature (all of its ranges, in order)
+   */
+  featureLength(featureName) {
+    const ranges = this.layout.features[featureName] || [];
+    return ranges.reduce((total, range) => total + (range.stop - range.start), 0);
+  }
+
+  /**
+   * Set every pixel of a feature to one color
+   */
+  setFeature(featureName, rgb) {
+    for (const range of this.layout.features[featureName] || []) {
+      this.fillRange(range.controller, range.start, range.stop, rgb);
+    }
+  }
+
+  /**
+   * Set the nth pixel of a feature, counting across its ranges in order
+   */
+  setFeaturePixel(featureName, index, rgb) {
+    let remaining = index;
+    for (const range of this.layout.features[featureName] || []) {
+      const length = range.stop - range.start;
+      if (remaining < length) {
+        this.setPixel(range.controller, range.start + remaining, rgb);
+        return;
+      }
+      remaining -= length;
+    }
+  }
+}
+
+/**
+ * Built-in streamed animations
+ * Each is called once per frame with (frame, elapsedMs).
+ */
+export const ANIMATIONS = {
+  // Orange waves rolling along the mouth over a dim shell
+  ripple(frame, elapsed) {
+    frame.fill([0, 0, 0]);
+    frame.setFeature('pumpkinShell', [40, 12, 0]);
+
+    const length = frame.featureLength('mouth');
+    for (let i = 0; i < length; i++) {
+      const level = (Math.sin(i / 8 - elapsed / 150) + 1) / 2;
+      frame.setFeaturePixel('mouth', i, [Math.round(255 * level), Math.round(90 * level), 0]);
+    }
+  },
+
+  // A glowing dot chasing around each eye
+  eyeChase(frame, elapsed) {
+    frame.fill([0, 0, 0]);
+
+    for (const eye of ['leftEye', 'rightEye']) {
+      const length = frame.featureLength(eye);
+      if (length === 0) continue;
+      const head = Math.floor(elapsed / 20) % length;
+      for (let tail = 0; tail < 12; tail++) {
+        const level = 1 - tail / 12;
+        frame.setFeaturePixel(eye, (head - tail + length) % length, [Math.round(255 * level), 0, Math.round(40 * level)]);
+      }
+    }
+  }
+};
+
+/**
+ * Frame Output
+ * Maps pumpkin.json features to pixel ranges and streams frames over UDP
+ */
+export class FrameOutput {
+  /**
+   * @param {object} config - Loaded configuration
+   * @param {ControllerManager} controllerManager - Used to read segment layout and hand control back
+   * @param {object} options - { protocol: 'ddp' | 'e131', fps: 30 }
+   */
+  constructor(config, controllerManager, options = {}) {
+    this.config = config;
+    this.controllerManager = controllerManager;
+    this.protocol = options.protocol || 'ddp';
+    this.fps = options.fps || 30;
+    this.layout = null;
+    this.socket = null;
+    this.timer = null;
+    this.animation = null;
+    this.startedAt = null;
+    this.framesSent = 0;
+    this.sequence = 0;
+    this.cid = randomBytes(16);
+  }
+
+  /**
+   * Read segment pixel ranges (start/stop) from each controller and map
+   * every pumpkin.json feature onto them
+   */
+  async loadLayout() {
+    const controllers = {};
+
+    for (const [key, controller] of Object.entries(this.config.pumpkin.controllers)) {
+      const result = await this.controllerManager.getClient(key).getState();
+      if (!result.success) {
+        throw new Error(`Cannot read segment layout from '${key}': ${result.error}`);
+      }
+
+      const segments = {};
+      let ledCount = 0;
+      for (const seg of result.data.seg || []) {
+        segments[seg.id] = { start: seg.start, stop: seg.stop };
+        ledCount = Math.max(ledCount, seg.stop);
+      }
+
+      controllers[key] = {
+        host: controller.ip.split('/')[0].split(':')[0],
+        port: controller.streamPort || (this.protocol === 'e131' ? E131_PORT : DDP_PORT),
+        universe: controller.universe || 1,
+        ledCount,
+        segments
+      };
+    }
+
+    const features = {};
+    for (const name of Object.keys(this.config.pumpkin.features)) {
+      features[name] = getFeatureTargets(this.config, name)
+        .map(target => {
+          const segment = controllers[target.controller]?.segments[target.segment];
+          return segment ? { controller: target.controller, ...segment } : null;
+        })
+        .filter(Boolean);
+    }
+
+    this.layout = { controllers, features };
+    return this.layout;
+  }
+
+  /**
+   * Create an empty (black) frame for the current layout
+   */
+  createFrame() {
+    if (!this.layout) {
+      throw new Error('Layout not loaded');
+    }
+    return new Frame(this.layout);
+  }
+
+  /**
+   * Send one frame to every controller
+   */
+  send(frame) {
+    if (!this.socket) {
+      this.socket = dgram.createSocket('udp4');
+      this.socket.on('error', (error) => {
+        console.error('Frame output socket error:', error.message);
+      });
+    }
+
+    this.sequence = (this.sequence % 15) + 1;
+
+    for (const [key, controller] of Object.entries(this.layout.controllers)) {
+      const pixels = frame.buffers[key];
+      const packets = this.protocol === 'e131'
+        ? buildE131Packets(pixels, controller.universe, this.sequence, this.cid)
+        : buildDdpPackets(pixels, this.sequence);
+
+      for (const packet of packets) {
+        this.socket.send(packet, controller.port, controller.host);
+      }
+    }
+
+    this.framesSent++;
+  }
+
+  /**
+   * Start streaming an animation
+   * @param {string|function} animation - Name from ANIMATIONS or a render(frame, elapsedMs)
+   *   function; a render function returning false ends the stream
+   * @param {object} options - { fps, protocol, name: shown in the status for render functions }
+   */
+  async start(animation, options = {}) {
+    const render = typeof animation === 'function' ? animation : ANIMATIONS[animation];
+    if (!render) {
+      throw new Error(`Animation '${animation}' not found`);
+    }
+
+    this.stopTimer();
+    if (options.protocol) this.protocol = options.protocol;
+    if (options.fps) this.fps = options.fps;
+
+    await this.loadLayout();
+
+    this.animation = typeof animation === 'function' ? (options.name || animation.name || 'custom') : animation;
+    this.startedAt = Date.now();
+    this.framesSent = 0;
+
+    const frame = this.createFrame();
+    this.timer = setInterval(() => {
+      if (render(frame, Date.now() - this.startedAt) === false) {
+        console.log(`[Stream] '${this.animation}' finished`);
+        this.stop().catch(error => console.error('[Stream] Stop failed:', error.message));
+        return;
+      }
+      this.send(frame);
+    }, Math.round(1000 / this.fps));
+
+    console.log(`[Stream] Started '${this.animation}' over ${this.protocol.toUpperCase()} at ${this.fps} fps`);
+    return this.getStatus();
+  }
+
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Stop streaming and hand control back to WLED's effect engine
+   */
+  async stop() {
+    const wasStreaming = this.timer !== null;
+    this.stopTimer();
+    this.animation = null;
+
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+
+    // WLED leaves realtime mode on its own after a timeout; ask it to do so now
+    const results = {};
+    if (wasStreaming) {
+      for (const [key, client] of Object.entries(this.controllerManager.clients)) {
+        results[key] = await client.writeState({ live: false }, ' (end realtime)', 'ending realtime mode');
+      }
+      console.log('[Stream] Stopped, effects restored');
+    }
+
+    return results;
+  }
+
+  /**
+   * Current streaming status
+   */
+  getStatus() {
+    return {
+      streaming: this.timer !== null,
+      animation: this.animation,
+      protocol: this.protocol,
+      fps: this.fps,
+      framesSent: this.framesSent,
+      startedAt: this.startedAt,
+      animations: Object.keys(ANIMATIONS)
+    };
+  }
+}
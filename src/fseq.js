@@ -0,0 +1,413 @@
+import { readdir, readFile, writeFile, rename, unlink, stat, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { inflateSync } from 'zlib';
+import { decompress as zstdDecompress } from 'fzstd';
+import { getFeatureTargets } from './config-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_DIR = join(__dirname, '..', 'data', 'fseq');
+const FILE_NAME = /^[a-z0-9][a-z0-9 _.-]*\.fseq$/i;
+
+const COMPRESSION = ['none', 'zstd', 'zlib'];
+
+/**
+ * FSEQ Playback
+ * Plays xLights / Falcon Player sequence files (.fseq v2) onto the pumpkin
+ * through FrameOutput. Channel ranges from the file are mapped onto
+ * controllers, segments or features by config/fseq.json.
+ *
+ * File layout (little-endian):
+ *   0  'PSEQ'                       18  step time (ms per frame)
+ *   4  channel data offset (u16)    20  compression (low 4 bits: 0 none, 1 zstd, 2 zlib)
+ *   6  minor / major version        21  compression block count (+ high 4 bits of byte 20)
+ *   8  variable header offset (u16) 22  sparse range count
+ *   10 channels per frame (u32)     24  unique id (u64)
+ *   14 frame count (u32)            32  block index (frame u32, length u32), sparse ranges
+ *                                       (start u24, count u24), variable headers
+ */
+
+/**
+ * Parse an FSEQ v2 file
+ * @param {Buffer} buffer - Whole file
+ * @returns {FseqSequence}
+ */
+export function parseFseq(buffer) {
+  if (buffer.length < 32 || buffer.toString('ascii', 0, 4) !== 'PSEQ') {
+    throw new Error('Not an FSEQ file (missing PSEQ header)');
+  }
+
+  const major = buffer[7];
+  const minor = buffer[6];
+  if (major !== 2) {
+    throw new Error(`FSEQ version ${major}.${minor} is not supported (only v2; re-save it from xLights)`);
+  }
+
+  const dataOffset = buffer.readUInt16LE(4);
+  const variableHeaderOffset = buffer.readUInt16LE(8);
+  const channelCount = buffer.readUInt32LE(10);
+  const frameCount = buffer.readUInt32LE(14);
+  const stepMs = buffer[18];
+  const compressionType = buffer[20] & 0x0F;
+  const blockCount = ((buffer[20] & 0xF0) << 4) | buffer[21];
+  const sparseCount = buffer[22];
+
+  const compression = COMPRESSION[compressionType];
+  if (!compression) {
+    throw new Error(`Unknown FSEQ compression type ${compressionType}`);
+  }
+  if (stepMs === 0) {
+    throw new Error('FSEQ step time is 0');
+  }
+
+  // Compression block index; xLights pads it with empty entries
+  const blocks = [];
+  let offset = 32;
+  let blockStart = dataOffset;
+  for (let i = 0; i < blockCount; i++, offset += 8) {
+    const frame = buffer.readUInt32LE(offset);
+    const length = buffer.readUInt32LE(offset + 4);
+    if (length > 0) {
+      blocks.push({ frame, offset: blockStart, length });
+      blockStart += length;
+    }
+  }
+
+  const sparseRanges = [];
+  for (let i = 0; i < sparseCount; i++, offset += 6) {
+    sparseRanges.push({ start: buffer.readUIntLE(offset, 3), count: buffer.readUIntLE(offset + 3, 3) });
+  }
+
+  // Variable headers: u16 length (including these 4 bytes), 2-character code, data
+  const headers = {};
+  offset = variableHeaderOffset;
+  while (offset + 4 <= dataOffset) {
+    const length = buffer.readUInt16LE(offset);
+    if (length < 4) break;
+    const code = buffer.toString('ascii', offset + 2, offset + 4);
+    headers[code] = buffer.toString('utf-8', offset + 4, offset + length).replace(/\0+$/, '');
+    offset += length;
+  }
+
+  if (compression === 'none' && dataOffset + channelCount * frameCount > buffer.length) {
+    throw new Error('FSEQ file is truncated');
+  }
+  if (compression !== 'none' && blocks.some(block => block.offset + block.length > buffer.length)) {
+    throw new Error('FSEQ file is truncated');
+  }
+
+  return new FseqSequence(buffer, {
+    version: `${major}.${minor}`,
+    dataOffset,
+    channelCount,
+    frameCount,
+    stepMs,
+    durationMs: frameCount * stepMs,
+    compression,
+    blocks,
+    sparseRanges,
+    headers
+  });
+}
+
+/**
+ * A parsed sequence; frames are decompressed one block at a time as needed
+ */
+export class FseqSequence {
+  constructor(buffer, header) {
+    this.buffer = buffer;
+    Object.assign(this, header);
+    this.cachedBlock = null; // { index, data }
+  }
+
+  /**
+   * Channel data for one frame
+   * @returns {Uint8Array} channelCount bytes (only the sparse ranges' channels if the file is sparse)
+   */
+  getFrame(index) {
+    if (index < 0 || index >= this.frameCount) {
+      throw new Error(`Frame ${index} out of range (0-${this.frameCount - 1})`);
+    }
+
+    if (this.compression === 'none') {
+      const start = this.dataOffset + index * this.channelCount;
+      return this.buffer.subarray(start, start + this.channelCount);
+    }
+
+    const blockIndex = this.findBlock(index);
+    const block = this.blocks[blockIndex];
+    if (!this.cachedBlock || this.cachedBlock.index !== blockIndex) {
+      const compressed = this.buffer.subarray(block.offset, block.offset + block.length);
+      const data = this.compression === 'zstd' ? zstdDecompress(compressed) : inflateSync(compressed);
+      this.cachedBlock = { index: blockIndex, data };
+    }
+
+    const start = (index - block.frame) * this.channelCount;
+    if (start + this.channelCount > this.cachedBlock.data.length) {
+      throw new Error(`Frame ${index} is missing from its compression block`);
+    }
+    return this.cachedBlock.data.subarray(start, start + this.channelCount);
+  }
+
+  findBlock(frameIndex) {
+    let found = 0;
+    for (let i = 0; i < this.blocks.length; i++) {
+      if (this.blocks[i].frame <= frameIndex) found = i;
+    }
+    return found;
+  }
+
+  /**
+   * Where an absolute channel (0-based) is within a frame's data
+   * @returns {object|null} { offset, available: channels carried from there on },
+   *   null if the file doesn't carry the channel
+   */
+  locateChannel(channel) {
+    if (this.sparseRanges.length === 0) {
+      return channel < this.channelCount ? { offset: channel, available: this.channelCount - channel } : null;
+    }
+
+    let offset = 0;
+    for (const range of this.sparseRanges) {
+      if (channel >= range.start && channel < range.start + range.count) {
+        return { offset: offset + channel - range.start, available: range.start + range.count - channel };
+      }
+      offset += range.count;
+    }
+    return null;
+  }
+
+  getInfo() {
+    return {
+      version: this.version,
+      channels: this.channelCount,
+      frames: this.frameCount,
+      stepMs: this.stepMs,
+      fps: Math.round(1000 / this.stepMs),
+      durationMs: this.durationMs,
+      compression: this.compression,
+      sparse: this.sparseRanges.length > 0,
+      media: this.headers.mf || null
+    };
+  }
+}
+
+/**
+ * FseqPlayer
+ * Stores uploaded .fseq files (data/fseq/) and streams them with FrameOutput
+ */
+export class FseqPlayer {
+  /**
+   * @param {object} config - Loaded configuration (channel map from config.fseq)
+   * @param {FrameOutput} frameOutput - Pixel stream to play into
+   * @param {object} options - { dir: where .fseq files are kept, channels: channel map override }
+   */
+  constructor(config, frameOutput, options = {}) {
+    this.config = config;
+    this.frameOutput = frameOutput;
+    this.dir = options.dir || DEFAULT_DIR;
+    this.channels = options.channels || config.fseq?.channels || [];
+    this.current = null; // { name, loop, startedAt, ...sequence info }
+  }
+
+  /**
+   * Sequences in the storage directory with their header info
+   */
+  async list() {
+    let files = [];
+    try {
+      files = (await readdir(this.dir)).filter(file => FILE_NAME.test(file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const sequences = [];
+    for (const name of files.sort()) {
+      try {
+        const buffer = await readFile(join(this.dir, name));
+        sequences.push({ name, size: buffer.length, ...parseFseq(buffer).getInfo() });
+      } catch (error) {
+        sequences.push({ name, error: error.message });
+      }
+    }
+    return sequences;
+  }
+
+  /**
+   * Store an uploaded sequence after checking it parses
+   * @returns {Promise<object>} { error } or { sequence: info }
+   */
+  async save(name, buffer) {
+    const fileName = sequenceFileName(name);
+    if (!fileName) {
+      return { error: `Invalid sequence name '${name}'` };
+    }
+
+    let info;
+    try {
+      info = parseFseq(buffer).getInfo();
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    await mkdir(this.dir, { recursive: true });
+    const tmpPath = join(this.dir, `${fileName}.tmp`);
+    await writeFile(tmpPath, buffer);
+    await rename(tmpPath, join(this.dir, fileName));
+
+    return { sequence: { name: fileName, size: buffer.length, ...info } };
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the file existed
+   */
+  async remove(name) {
+    const fileName = sequenceFileName(name);
+    if (!fileName) return false;
+    try {
+      await stat(join(this.dir, fileName));
+    } catch {
+      return false;
+    }
+
+    if (this.current && this.current.name === fileName) {
+      await this.stop();
+    }
+    await unlink(join(this.dir, fileName));
+    return true;
+  }
+
+  /**
+   * Start streaming a sequence at its own frame rate
+   * @param {object} options - { loop: start over at the end }
+   * @returns {Promise<object|null>} Status, null if there is no such sequence
+   */
+  async play(name, options = {}) {
+    const fileName = sequenceFileName(name);
+    if (!fileName) return null;
+
+    let buffer;
+    try {
+      buffer = await readFile(join(this.dir, fileName));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const sequence = parseFseq(buffer);
+    const loop = options.loop === true;
+    let map = null;
+
+    const render = (frame, elapsed) => {
+      // The layout is read from the controllers when the stream starts
+      if (!map) {
+        map = buildChannelMap(this.config, this.channels, sequence, frame.layout);
+      }
+
+      let index = Math.floor(elapsed / sequence.stepMs);
+      if (index >= sequence.frameCount) {
+        if (!loop) {
+          this.current = null;
+          return false;
+        }
+        index %= sequence.frameCount;
+      }
+
+      const data = sequence.getFrame(index);
+      for (const range of map) {
+        frame.buffers[range.controller].set(data.subarray(range.source, range.source + range.length), range.target);
+      }
+      return true;
+    };
+
+    await this.frameOutput.start(render, {
+      fps: Math.round(1000 / sequence.stepMs),
+      name: `fseq:${fileName}`
+    });
+
+    this.current = { name: fileName, loop, startedAt: Date.now(), ...sequence.getInfo() };
+    console.log(`[FSEQ] Playing ${fileName} (${sequence.frameCount} frames at ${sequence.stepMs}ms, ${sequence.compression})`);
+    return this.getStatus();
+  }
+
+  async stop() {
+    const wasPlaying = this.current !== null;
+    this.current = null;
+    if (wasPlaying && this.frameOutput.getStatus().animation?.startsWith('fseq:')) {
+      await this.frameOutput.stop();
+    }
+    return this.getStatus();
+  }
+
+  getStatus() {
+    // Another stream (POST /api/stream/start) may have taken over the output
+    const streaming = this.frameOutput.getStatus().animation;
+    if (this.current && streaming !== `fseq:${this.current.name}`) {
+      this.current = null;
+    }
+
+    return {
+      playing: this.current !== null,
+      sequence: this.current && {
+        ...this.current,
+        positionMs: this.current.loop
+          ? (Date.now() - this.current.startedAt) % this.current.durationMs
+          : Math.min(Date.now() - this.current.startedAt, this.current.durationMs)
+      }
+    };
+  }
+}
+
+/**
+ * Resolve config/fseq.json entries to byte copies from a frame into controller buffers
+ * @returns {array} [{ controller, source, target, length }] in bytes
+ */
+export function buildChannelMap(config, entries, sequence, layout) {
+  const map = [];
+
+  for (const entry of entries) {
+    // Pixel ranges on the controllers this entry covers, in channel order
+    let ranges;
+    if (entry.feature) {
+      ranges = getFeatureTargets(config, entry.feature)
+        .map(target => ({ controller: target.controller, ...layout.controllers[target.controller]?.segments[target.segment] }));
+    } else if (entry.segment !== undefined) {
+      ranges = [{ controller: entry.controller, ...layout.controllers[entry.controller]?.segments[entry.segment] }];
+    } else {
+      ranges = [{ controller: entry.controller, start: 0, stop: layout.controllers[entry.controller]?.ledCount }];
+    }
+
+    let channel = entry.start - 1;
+    for (const range of ranges) {
+      if (!layout.controllers[range.controller] || range.start === undefined || range.stop === undefined) {
+        console.warn(`⚠ [FSEQ] Channel ${entry.start}: ${range.controller} segment not found, skipped`);
+        continue;
+      }
+
+      const length = (range.stop - range.start) * 3;
+      const location = sequence.locateChannel(channel);
+      if (location) {
+        map.push({
+          controller: range.controller,
+          source: location.offset,
+          target: range.start * 3,
+          length: Math.min(length, location.available)
+        });
+      }
+      channel += length;
+    }
+  }
+
+  return map;
+}
+
+/**
+ * File name for a sequence name (".fseq" optional)
+ * @returns {string|null} null if the name isn't a safe file name
+ */
+function sequenceFileName(name) {
+  const fileName = String(name).endsWith('.fseq') ? String(name) : `${name}.fseq`;
+  return FILE_NAME.test(fileName) ? fileName : null;
+}
@@ -0,0 +1,105 @@
+/**
+ * Home Assistant MQTT Discovery
+ * Builds the retained discovery messages that make the pumpkin show up in
+ * Home Assistant by itself, pointing each entity at the MqttBridge topics:
+ *
+ *   - light          one per pumpkin.json feature (JSON schema, RGB, effect
+ *                    list from the visible effects.json entries)
+ *   - select         scene (scenes.json names, once there are any) and preset (1-16)
+ *   - switch         attract program
+ *   - binary_sensor  one per controller (connectivity)
+ *
+ * Every entity belongs to one device and follows <prefix>/status for availability.
+ */
+
+export const DEFAULT_DISCOVERY_PREFIX = 'homeassistant';
+export const PRESET_OPTIONS = Array.from({ length: 16 }, (_, i) => String(i + 1));
+
+/**
+ * Discovery payloads for the loaded configuration
+ * @param {object} config - Loaded configuration
+ * @param {object} options - { prefix, discoveryPrefix, nodeId, scenes: [{ id, name }] }
+ * @returns {object} Map of discovery config topic → payload object
+ */
+export function buildDiscovery(config, { prefix, discoveryPrefix = DEFAULT_DISCOVERY_PREFIX, nodeId, scenes = [] }) {
+  const messages = {};
+  const device = {
+    identifiers: [nodeId],
+    name: config.pumpkin.name,
+    manufacturer: 'Pumpkin Painter',
+    model: `WLED pumpkin (${Object.keys(config.pumpkin.controllers).length} controllers)`
+  };
+  const common = {
+    availability_topic: `${prefix}/status`,
+    device
+  };
+
+  const add = (component, objectId, payload) => {
+    messages[`${discoveryPrefix}/${component}/${nodeId}/${objectId}/config`] = {
+      ...payload,
+      unique_id: `${nodeId}_${objectId}`,
+      ...common
+    };
+  };
+
+  const effectList = (config.effects?.effects || [])
+    .filter(effect => effect.show !== false)
+    .map(effect => effect.name);
+
+  for (const [key, feature] of Object.entries(config.pumpkin.features)) {
+    add('light', key, {
+      name: feature.name || key,
+      schema: 'json',
+      state_topic: `${prefix}/${key}/state`,
+      command_topic: `${prefix}/${key}/set`,
+      brightness: true,
+      supported_color_modes: ['rgb'],
+      effect: true,
+      effect_list: effectList
+    });
+  }
+
+  // A select needs at least one option
+  if (scenes.length > 0) {
+    add('select', 'scene', {
+      name: 'Scene',
+      icon: 'mdi:palette',
+      state_topic: `${prefix}/scene/state`,
+      command_topic: `${prefix}/scene/set`,
+      options: uniqueNames(scenes)
+    });
+  }
+
+  add('select', 'preset', {
+    name: 'Preset',
+    icon: 'mdi:playlist-star',
+    state_topic: `${prefix}/preset/state`,
+    command_topic: `${prefix}/preset/set`,
+    options: PRESET_OPTIONS
+  });
+
+  add('switch', 'attract', {
+    name: 'Attract Mode',
+    icon: 'mdi:motion-play',
+    state_topic: `${prefix}/attract/state`,
+    command_topic: `${prefix}/attract/set`
+  });
+
+  for (const [key, controller] of Object.entries(config.pumpkin.controllers)) {
+    add('binary_sensor', `${key}_online`, {
+      name: controller.name || key,
+      device_class: 'connectivity',
+      entity_category: 'diagnostic',
+      state_topic: `${prefix}/controllers/${key}/state`
+    });
+  }
+
+  return messages;
+}
+
+/**
+ * Scene names for the select entity (a select can't offer the same option twice)
+ */
+function uniqueNames(scenes) {
+  return [...new Set(scenes.map(scene => scene.name))];
+}
@@ -0,0 +1,42 @@
+/**
+ * Drift: a slow walk around the colour wheel in solid colours, one step
+ * at a time spread over the whole cycle
+ *
+ * idle.json: { "type": "drift", "features": ["wholePumpkin"], "steps": 12, "hueStep": 8 }
+ */
+export default {
+  type: 'drift',
+
+  build(mode, { cycleMs, randomInt }) {
+    const steps = mode.steps || 12;
+    const hueStep = mode.hueStep || 8;
+    const saturation = mode.saturation ?? 1;
+    const holdMs = Math.floor(cycleMs / steps);
+    const startHue = randomInt(0, 359);
+
+    const result = [];
+    for (let i = 0; i < steps; i++) {
+      const props = { fx: 0, col: [hsvToRgb((startHue + i * hueStep) % 360, saturation, 1)] };
+      const look = {};
+      for (const feature of mode.features || ['wholePumpkin']) {
+        look[feature] = props;
+      }
+      result.push({ look, holdMs });
+    }
+
+    return result;
+  }
+};
+
+function hsvToRgb(h, s, v) {
+  const c = v * s;
+  const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+  const m = v - c;
+  const [r, g, b] =
+    h < 60 ? [c, x, 0] :
+    h < 120 ? [x, c, 0] :
+    h < 180 ? [0, c, x] :
+    h < 240 ? [0, x, c] :
+    h < 300 ? [x, 0, c] : [c, 0, x];
+  return [r, g, b].map(value => Math.round((value + m) * 255));
+}
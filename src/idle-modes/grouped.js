@@ -0,0 +1,25 @@
+/**
+ * Grouped: each group of features gets its own effect and palette
+ *
+ * idle.json: { "type": "grouped", "groups": [["bothEyes", "nose", "mouth"], ["innerFiller"]] }
+ */
+export default {
+  type: 'grouped',
+
+  build(mode, { effects, palettes, pick, params }) {
+    const look = {};
+    const usedPalettes = [];
+
+    for (const group of mode.groups || []) {
+      const palette = pick(palettes, usedPalettes);
+      usedPalettes.push(palette.id);
+
+      const props = { fx: pick(effects).id, pal: palette.id, ...params };
+      for (const feature of group) {
+        look[feature] = props;
+      }
+    }
+
+    return look;
+  }
+};
@@ -0,0 +1,43 @@
+import { readdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Idle Mode Registry
+ * Every module in this directory whose default export is { type, build }
+ * is an idle mode that config/idle.json can use by its `type`. To add a mode,
+ * drop a new file here; the attract loop doesn't need to change.
+ *
+ * build(mode, context) receives the mode's entry from idle.json and
+ *   { config, effects, palettes, params: { sx, ix }, cycleMs, pick, randomInt }
+ * where effects/palettes are the mode's resolved pools, and returns either a
+ * look (feature → props, applied as one batch) or a list of
+ * { look, holdMs } steps played one after another during the cycle.
+ */
+export async function loadIdleModes() {
+  const modes = new Map();
+  const files = (await readdir(__dirname))
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(join(__dirname, file)).href);
+    const mode = module.default;
+
+    if (!mode || typeof mode.type !== 'string' || typeof mode.build !== 'function') {
+      console.warn(`⚠ Skipping idle mode module ${file}: default export must be { type, build }`);
+      continue;
+    }
+    if (modes.has(mode.type)) {
+      console.warn(`⚠ Skipping idle mode module ${file}: type '${mode.type}' already registered`);
+      continue;
+    }
+
+    modes.set(mode.type, mode);
+  }
+
+  return modes;
+}
@@ -0,0 +1,25 @@
+/**
+ * Same effect, multi palette: one effect everywhere, a different palette per group
+ *
+ * idle.json: { "type": "sameEffectMultiPalette", "groups": [["bothEyes"], ["nose"], ["mouth"]] }
+ */
+export default {
+  type: 'sameEffectMultiPalette',
+
+  build(mode, { effects, palettes, pick, params }) {
+    const fx = pick(effects).id;
+    const look = {};
+    const usedPalettes = [];
+
+    for (const group of mode.groups || []) {
+      const palette = pick(palettes, usedPalettes);
+      usedPalettes.push(palette.id);
+
+      for (const feature of group) {
+        look[feature] = { fx, pal: palette.id, ...params };
+      }
+    }
+
+    return look;
+  }
+};
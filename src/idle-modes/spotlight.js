@@ -0,0 +1,29 @@
+/**
+ * Spotlight: one random feature runs an effect while the rest of the
+ * pumpkin holds a dim background look
+ *
+ * idle.json: {
+ *   "type": "spotlight",
+ *   "features": ["leftEye", "rightEye", "nose", "mouth"],
+ *   "background": { "feature": "wholePumpkin", "props": { "fx": 0, "col": [[40, 12, 0]] } }
+ * }
+ */
+export default {
+  type: 'spotlight',
+
+  build(mode, { effects, palettes, pick, params }) {
+    const look = {};
+
+    if (mode.background) {
+      look[mode.background.feature || 'wholePumpkin'] = mode.background.props || { fx: 0, col: [[40, 12, 0]] };
+    }
+
+    // Narrower features override the background where they overlap
+    const features = (mode.features || []).map(id => ({ id }));
+    if (features.length > 0) {
+      look[pick(features).id] = { fx: pick(effects).id, pal: pick(palettes).id, ...params };
+    }
+
+    return look;
+  }
+};
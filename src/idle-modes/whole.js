@@ -0,0 +1,17 @@
+/**
+ * Whole: every listed feature gets the same random effect and palette
+ *
+ * idle.json: { "type": "whole", "features": ["wholePumpkin"], "palettes": { "include": [1] } }
+ */
+export default {
+  type: 'whole',
+
+  build(mode, { effects, palettes, pick, params }) {
+    const props = { fx: pick(effects).id, pal: pick(palettes).id, ...params };
+    const look = {};
+    for (const feature of mode.features || ['wholePumpkin']) {
+      look[feature] = props;
+    }
+    return look;
+  }
+};
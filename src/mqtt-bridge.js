@@ -0,0 +1,530 @@
+import mqtt from 'mqtt';
+import { getFeatureTargets } from './config-loader.js';
+import { getApplicableFeatures, applyScene } from './scene-store.js';
+import { buildDiscovery, DEFAULT_DISCOVERY_PREFIX } from './ha-discovery.js';
+
+const PUBLISH_DELAY_MS = 100; // coalesce bursts of events (DMX, batches) into one publish
+const PROPS = ['fx', 'pal', 'sx', 'ix'];
+const STATE_EVENTS = ['feature', 'change', 'power', 'brightness', 'reconcile', 'restore', 'attract', 'controller'];
+
+/**
+ * MQTT Bridge
+ * Mirrors the pumpkin onto an MQTT broker for home automation and other
+ * controllers. Every feature publishes its current look (from the shadow
+ * state, retained) and takes JSON commands:
+ *
+ *   <prefix>/status             'online' / 'offline' (retained, offline is the last will)
+ *   <prefix>/<feature>/state    { state, brightness, color_mode, color: { r, g, b }, fx, effect, pal, palette, sx, ix }
+ *   <prefix>/<feature>/set      { fx, pal, sx, ix, color: '#rrggbb' | [r, g, b] | { r, g, b },
+ *                                 state: 'ON' | 'OFF', brightness, effect: name }
+ *   <prefix>/power/state|set    'ON' / 'OFF'
+ *   <prefix>/brightness/state|set  0-255
+ *   <prefix>/preset/state|set   1-16
+ *   <prefix>/scene/state|set    scene name
+ *   <prefix>/attract/state|set  'ON' / 'OFF'
+ *   <prefix>/controllers/<key>/state  'ON' / 'OFF' (reachable)
+ *
+ * With `homeAssistant` enabled it also publishes Home Assistant discovery
+ * messages (see ha-discovery.js), again whenever Home Assistant restarts or
+ * the scenes change, and clears entities that no longer exist.
+ *
+ * The client reconnects by itself; on every (re)connect it resubscribes and
+ * republishes everything. Settings come from config/mqtt.json.
+ */
+export class MqttBridge {
+  /**
+   * @param {object} config - Loaded configuration (config.mqtt)
+   * @param {ControllerManager} controllerManager - Source of state, target of commands
+   * @param {object} services - { attractMode, dmxInput, sceneStore }
+   */
+  constructor(config, controllerManager, services = {}) {
+    const settings = config.mqtt || {};
+    const homeAssistant = settings.homeAssistant || {};
+
+    this.config = config;
+    this.controllerManager = controllerManager;
+    this.attractMode = services.attractMode;
+    this.dmxInput = services.dmxInput;
+    this.sceneStore = services.sceneStore;
+    this.enabled = settings.enabled === true;
+    this.url = settings.url || 'mqtt://localhost:1883';
+    this.prefix = (settings.prefix || 'pumpkin').replace(/\/+$/, '');
+    this.clientId = settings.clientId || 'pumpkin-painter';
+    this.username = settings.username || undefined;
+    this.password = settings.password || undefined;
+    this.reconnectMs = (settings.reconnectSeconds ?? 5) * 1000;
+    this.discoveryEnabled = homeAssistant.enabled === true;
+    this.discoveryPrefix = homeAssistant.discoveryPrefix || DEFAULT_DISCOVERY_PREFIX;
+    this.nodeId = homeAssistant.nodeId || this.clientId.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+    this.client = null;
+    this.connected = false;
+    this.connectedAt = null;
+    this.lastError = null;
+    this.published = new Map(); // topic → payload last published
+    this.discovery = new Map(); // discovery topic → payload last published
+    this.publishTimer = null;
+    this.received = 0;
+    this.preset = null; // last preset loaded through the manager
+    this.scene = null; // name of the last scene applied
+
+    this.onStateEvent = () => this.schedulePublish();
+    this.onPreset = ({ preset }) => {
+      this.preset = preset;
+      this.schedulePublish();
+    };
+    this.onScene = ({ name, success }) => {
+      if (success) this.scene = name;
+      this.schedulePublish();
+    };
+    this.onScenesChanged = () => this.publishDiscovery();
+    this.onConfig = ({ success }) => {
+      if (!success) return;
+      this.publishDiscovery();
+      this.schedulePublish();
+    };
+  }
+
+  /**
+   * Connect to the broker and start mirroring
+   */
+  start() {
+    if (!this.enabled || this.client) return;
+
+    this.client = mqtt.connect(this.url, {
+      clientId: this.clientId,
+      username: this.username,
+      password: this.password,
+      reconnectPeriod: this.reconnectMs,
+      connectTimeout: 10000,
+      will: { topic: this.topic('status'), payload: 'offline', qos: 1, retain: true }
+    });
+
+    this.client.on('connect', () => this.handleConnect());
+    this.client.on('close', () => {
+      if (!this.connected) return;
+      this.connected = false;
+      console.warn(`⚠ [MQTT] Disconnected from ${this.url}, retrying every ${this.reconnectMs / 1000}s`);
+    });
+    this.client.on('error', error => {
+      // Logged once per outage; the client keeps retrying
+      if (this.lastError !== error.message) {
+        console.error(`[MQTT] ${error.message}`);
+      }
+      this.lastError = error.message;
+    });
+    this.client.on('message', (topic, payload) => {
+      this.handleMessage(topic, payload.toString()).catch(error => {
+        console.error(`[MQTT] ${topic}:`, error.message);
+      });
+    });
+
+    for (const event of STATE_EVENTS) {
+      this.controllerManager.on(event, this.onStateEvent);
+    }
+    this.controllerManager.on('preset', this.onPreset);
+    this.controllerManager.on('scene', this.onScene);
+    this.controllerManager.on('config', this.onConfig);
+    this.sceneStore?.on('change', this.onScenesChanged);
+
+    console.log(`[MQTT] Connecting to ${this.url} as ${this.clientId} (topics under ${this.prefix}/)`);
+  }
+
+  /**
+   * Publish 'offline' and disconnect
+   */
+  async stop() {
+    if (!this.client) return;
+
+    for (const event of STATE_EVENTS) {
+      this.controllerManager.off(event, this.onStateEvent);
+    }
+    this.controllerManager.off('preset', this.onPreset);
+    this.controllerManager.off('scene', this.onScene);
+    this.controllerManager.off('config', this.onConfig);
+    this.sceneStore?.off('change', this.onScenesChanged);
+    clearTimeout(this.publishTimer);
+    this.publishTimer = null;
+
+    const client = this.client;
+    this.client = null;
+    if (this.connected) {
+      await client.publishAsync(this.topic('status'), 'offline', { qos: 1, retain: true }).catch(() => {});
+    }
+    this.connected = false;
+    await client.endAsync();
+  }
+
+  topic(...parts) {
+    return [this.prefix, ...parts].join('/');
+  }
+
+  async handleConnect() {
+    const reconnect = this.connectedAt !== null;
+    this.connected = true;
+    this.connectedAt = Date.now();
+    this.lastError = null;
+    console.log(`✓ [MQTT] ${reconnect ? 'Reconnected' : 'Connected'} to ${this.url}`);
+
+    try {
+      await this.client.subscribeAsync(this.topic('+', 'set'), { qos: 1 });
+      await this.client.publishAsync(this.topic('status'), 'online', { qos: 1, retain: true });
+
+      // The broker may have lost our retained messages while we were away
+      this.published.clear();
+      this.discovery.clear();
+      this.publishDiscovery();
+      this.publishStates();
+
+      if (this.discoveryEnabled) {
+        // Home Assistant's birth message, and our own retained discovery
+        // messages from earlier runs (to clear entities that are gone)
+        await this.client.subscribeAsync([
+          `${this.discoveryPrefix}/status`,
+          `${this.discoveryPrefix}/+/${this.nodeId}/+/config`
+        ], { qos: 1 });
+      }
+    } catch (error) {
+      console.error('[MQTT] Could not subscribe/publish after connect:', error.message);
+    }
+  }
+
+  /**
+   * Publish changed Home Assistant discovery messages and clear removed ones
+   */
+  publishDiscovery() {
+    if (!this.connected || !this.discoveryEnabled) return;
+
+    const messages = buildDiscovery(this.config, {
+      prefix: this.prefix,
+      discoveryPrefix: this.discoveryPrefix,
+      nodeId: this.nodeId,
+      scenes: this.sceneStore?.list() || []
+    });
+
+    for (const topic of this.discovery.keys()) {
+      if (!messages[topic]) {
+        this.discovery.delete(topic);
+        this.client.publish(topic, '', { qos: 1, retain: true });
+      }
+    }
+
+    for (const [topic, message] of Object.entries(messages)) {
+      const payload = JSON.stringify(message);
+      if (this.discovery.get(topic) === payload) continue;
+      this.discovery.set(topic, payload);
+      this.client.publish(topic, payload, { qos: 1, retain: true });
+    }
+  }
+
+  /**
+   * A retained discovery message under our node id that this run didn't publish
+   */
+  handleDiscoveryEcho(topic, text) {
+    if (text === '' || this.discovery.has(topic)) return;
+    console.log(`[MQTT] Removing stale Home Assistant entity ${topic}`);
+    this.client.publish(topic, '', { qos: 1, retain: true });
+  }
+
+  schedulePublish() {
+    if (this.publishTimer) return;
+    this.publishTimer = setTimeout(() => {
+      this.publishTimer = null;
+      this.publishStates();
+    }, PUBLISH_DELAY_MS);
+  }
+
+  /**
+   * Publish every state topic whose payload changed since it was last sent
+   */
+  publishStates() {
+    if (!this.connected) return;
+
+    for (const [topic, payload] of Object.entries(this.buildStates())) {
+      if (this.published.get(topic) === payload) continue;
+      this.published.set(topic, payload);
+      this.client.publish(topic, payload, { qos: 0, retain: true });
+    }
+  }
+
+  /**
+   * Current state payloads by topic, from the shadow state
+   */
+  buildStates() {
+    const states = {};
+
+    for (const name of Object.keys(this.config.pumpkin.features)) {
+      const state = this.getFeatureState(name);
+      if (state) states[this.topic(name, 'state')] = JSON.stringify(state);
+    }
+
+    const controllers = Object.keys(this.controllerManager.clients)
+      .map(key => this.controllerManager.shadow.getController(key)?.data || {});
+    const known = controllers.filter(data => data.on !== undefined);
+
+    if (known.length > 0) {
+      states[this.topic('power', 'state')] = known.some(data => data.on) ? 'ON' : 'OFF';
+    }
+    const bri = controllers.find(data => data.bri !== undefined)?.bri;
+    if (bri !== undefined) {
+      states[this.topic('brightness', 'state')] = String(bri);
+    }
+    const preset = controllers.find(data => data.ps > 0)?.ps ?? this.preset;
+    if (preset) {
+      states[this.topic('preset', 'state')] = String(preset);
+    }
+    if (this.scene) {
+      states[this.topic('scene', 'state')] = this.scene;
+    }
+    if (this.attractMode) {
+      states[this.topic('attract', 'state')] = this.attractMode.active ? 'ON' : 'OFF';
+    }
+
+    for (const [key, { online }] of Object.entries(this.controllerManager.getControllerHealth())) {
+      states[this.topic('controllers', key, 'state')] = online ? 'ON' : 'OFF';
+    }
+
+    return states;
+  }
+
+  /**
+   * A feature's look, read from the shadow copy of its first segment
+   * @returns {object|null} null until the segment's state is known
+   */
+  getFeatureState(name) {
+    const [target] = getFeatureTargets(this.config, name);
+    const segment = this.controllerManager.shadow.getSegment(target.controller, target.segment);
+    if (!segment) return null;
+
+    const [r, g, b] = segment.col?.[0] || [0, 0, 0];
+    const state = {
+      state: segment.on === false ? 'OFF' : 'ON',
+      brightness: segment.bri ?? 255,
+      color_mode: 'rgb',
+      color: { r, g, b }
+    };
+    for (const prop of PROPS) {
+      if (segment[prop] !== undefined) state[prop] = segment[prop];
+    }
+    if (state.fx !== undefined) state.effect = lookupName(this.config.effects?.effects, state.fx);
+    if (state.pal !== undefined) state.palette = lookupName(this.config.palettes?.palettes, state.pal);
+
+    return state;
+  }
+
+  /**
+   * Handle a command on <prefix>/<name>/set
+   */
+  async handleMessage(topic, text) {
+    if (topic === `${this.discoveryPrefix}/status`) {
+      if (text === 'online') {
+        // Home Assistant restarted: it wants the discovery messages and states again
+        this.discovery.clear();
+        this.published.clear();
+        this.publishDiscovery();
+        this.publishStates();
+      }
+      return;
+    }
+    if (topic.startsWith(`${this.discoveryPrefix}/`)) {
+      return this.handleDiscoveryEcho(topic, text);
+    }
+
+    const match = topic.match(new RegExp(`^${escapeRegExp(this.prefix)}/([^/]+)/set$`));
+    if (!match) return;
+
+    const name = match[1];
+    this.received++;
+
+    if (name === 'attract') {
+      const on = parseSwitch(text);
+      if (on === null) return warn(topic, `expected ON or OFF, got '${text}'`);
+      if (!this.attractMode) return warn(topic, 'attract mode not available');
+      if (on) {
+        this.attractMode.start();
+      } else {
+        this.attractMode.stop();
+      }
+      this.schedulePublish();
+      return;
+    }
+
+    this.attractMode?.recordActivity();
+
+    if (name === 'power') {
+      const on = parseSwitch(text);
+      if (on === null) return warn(topic, `expected ON or OFF, got '${text}'`);
+      await this.controllerManager.setAllPower(on);
+      return;
+    }
+
+    if (name === 'brightness') {
+      const brightness = Number(text);
+      if (!isByte(brightness)) return warn(topic, `expected 0-255, got '${text}'`);
+      await this.controllerManager.setAllBrightness(brightness);
+      return;
+    }
+
+    if (name === 'preset') {
+      const preset = Number(text);
+      if (!Number.isInteger(preset) || preset < 1 || preset > 16) return warn(topic, `expected a preset 1-16, got '${text}'`);
+      await this.controllerManager.loadPresetAll(preset);
+      return;
+    }
+
+    if (name === 'scene') {
+      return this.applyScene(topic, text);
+    }
+
+    if (!this.config.pumpkin.features[name]) {
+      return warn(topic, `unknown feature '${name}'`);
+    }
+
+    let command;
+    try {
+      command = JSON.parse(text);
+    } catch {
+      return warn(topic, 'payload is not JSON');
+    }
+
+    const { props, error } = parseFeatureCommand(this.config, command);
+    if (error) return warn(topic, error);
+
+    const conflicts = this.dmxInput?.conflicts([name]) || [];
+    if (conflicts.length > 0) {
+      return warn(topic, 'DMX input is live on this feature');
+    }
+
+    const result = await this.controllerManager.setFeature(name, props);
+    if (!result.success) {
+      console.error(`[MQTT] ${name}: ${result.error}`);
+    }
+  }
+
+  /**
+   * Apply a scene chosen by name (or id)
+   */
+  async applyScene(topic, text) {
+    const scenes = this.sceneStore?.list() || [];
+    const scene = scenes.find(entry => entry.name === text) || scenes.find(entry => entry.id === text);
+    if (!scene) return warn(topic, `unknown scene '${text}'`);
+
+    const { features } = getApplicableFeatures(this.config, scene);
+    const held = this.dmxInput?.conflicts(Object.keys(features)) || [];
+    if (held.length > 0) {
+      return warn(topic, `under DMX control: ${held.join(', ')}`);
+    }
+
+    const result = await applyScene(this.config, this.controllerManager, scene);
+    if (!result.success) {
+      console.error(`[MQTT] Scene ${scene.id}: ${result.error}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      connected: this.connected,
+      url: this.url,
+      clientId: this.clientId,
+      prefix: this.prefix,
+      connectedAt: this.connectedAt,
+      lastError: this.lastError,
+      topics: this.published.size,
+      homeAssistant: this.discoveryEnabled
+        ? { discoveryPrefix: this.discoveryPrefix, nodeId: this.nodeId, entities: this.discovery.size }
+        : null,
+      commandsReceived: this.received
+    };
+  }
+}
+
+/**
+ * Turn a <feature>/set payload into setFeature props
+ * `state`, `brightness` and `effect` (a name) are what Home Assistant's JSON lights send.
+ * @returns {object} { props } or { error }
+ */
+export function parseFeatureCommand(config, command) {
+  if (!command || typeof command !== 'object' || Array.isArray(command)) {
+    return { error: 'payload must be a JSON object' };
+  }
+
+  const props = {};
+  for (const prop of PROPS) {
+    if (command[prop] === undefined) continue;
+    if (!isByte(command[prop])) return { error: `${prop} must be an integer 0-255` };
+    props[prop] = command[prop];
+  }
+
+  if (command.color !== undefined) {
+    const color = parseColor(command.color);
+    if (!color) return { error: "color must be '#rrggbb', [r, g, b] or { r, g, b }" };
+    props.col = [color];
+  }
+
+  if (command.effect !== undefined) {
+    const effect = config.effects?.effects?.find(entry => entry.name === command.effect);
+    if (!effect) return { error: `unknown effect '${command.effect}'` };
+    props.fx = effect.id;
+  }
+
+  if (command.brightness !== undefined) {
+    if (!isByte(command.brightness)) return { error: 'brightness must be an integer 0-255' };
+    props.bri = command.brightness;
+  }
+
+  if (command.state !== undefined) {
+    const on = parseSwitch(String(command.state));
+    if (on === null) return { error: "state must be 'ON' or 'OFF'" };
+    props.on = on;
+  }
+
+  if (Object.keys(props).length === 0) {
+    return { error: `nothing to set (expected any of ${[...PROPS, 'color', 'effect', 'brightness', 'state'].join(', ')})` };
+  }
+  return { props };
+}
+
+/**
+ * Parse '#rrggbb', [r, g, b] or { r, g, b } into [r, g, b]
+ * @returns {number[]|null}
+ */
+export function parseColor(value) {
+  let rgb = null;
+
+  if (typeof value === 'string') {
+    const hex = value.replace(/^#/, '');
+    if (/^[0-9a-f]{6}$/i.test(hex)) {
+      rgb = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+  } else if (Array.isArray(value)) {
+    rgb = value.slice(0, 3);
+  } else if (value && typeof value === 'object') {
+    rgb = [value.r, value.g, value.b];
+  }
+
+  return rgb && rgb.length === 3 && rgb.every(isByte) ? rgb : null;
+}
+
+function parseSwitch(text) {
+  const value = text.trim().toUpperCase();
+  if (['ON', 'TRUE', '1'].includes(value)) return true;
+  if (['OFF', 'FALSE', '0'].includes(value)) return false;
+  return null;
+}
+
+function isByte(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 255;
+}
+
+function lookupName(entries, id) {
+  return entries?.find(entry => entry.id === id)?.name ?? null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function warn(topic, message) {
+  console.warn(`⚠ [MQTT] Ignored ${topic}: ${message}`);
+}
@@ -0,0 +1,242 @@
+import { getFeatureTargets } from './config-loader.js';
+
+const MAX_LOG_ENTRIES = 100;
+
+// Segment properties the controllers report back; anything else in a request
+// body would never match and be re-applied as drift forever
+const SEGMENT_PROPS = ['fx', 'pal', 'sx', 'ix', 'col', 'on', 'bri'];
+
+/**
+ * Desired-State Reconciler
+ * Remembers what the pumpkin should look like (the last props set per
+ * feature, plus power and brightness) and periodically compares it with the
+ * controllers. Differences are re-applied, and a controller whose
+ * info.uptime went backwards is treated as rebooted and gets everything
+ * re-applied. Loading a WLED preset hands the look over to the preset, so it
+ * clears the desired state.
+ */
+export class Reconciler {
+  /**
+   * @param {object} config - Loaded configuration
+   * @param {ControllerManager} controllerManager - Source of desired state and target of re-applies
+   * @param {object} options - { interval: ms between checks (default 30000) }
+   */
+  constructor(config, controllerManager, options = {}) {
+    this.config = config;
+    this.controllerManager = controllerManager;
+    this.interval = options.interval || 30000;
+
+    this.desiredFeatures = new Map(); // feature → props, in the order they were applied
+    this.desiredGlobal = {}; // { on, bri }
+    this.uptimes = {}; // controller → last seen info.uptime (seconds)
+    this.actions = []; // most recent reconciliation actions, newest last
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.saved = new WeakMap(); // snapshot → desired state when it was taken
+
+    controllerManager.on('feature', ({ feature, props, success }) => {
+      if (!success) return;
+      const desired = Object.fromEntries(Object.entries(props).filter(([prop]) => SEGMENT_PROPS.includes(prop)));
+      if (Object.keys(desired).length === 0) return;
+      const previous = this.desiredFeatures.get(feature) || {};
+      // Re-insert so the most recently applied feature folds in last
+      this.desiredFeatures.delete(feature);
+      this.desiredFeatures.set(feature, { ...previous, ...desired });
+    });
+    controllerManager.on('power', ({ on }) => {
+      this.desiredGlobal.on = on;
+    });
+    controllerManager.on('brightness', ({ brightness }) => {
+      this.desiredGlobal.bri = brightness;
+    });
+    controllerManager.on('preset', () => {
+      this.desiredFeatures.clear();
+    });
+
+    // A restored snapshot brings back the desired state from when it was taken
+    controllerManager.on('snapshot', (snapshot) => {
+      this.saved.set(snapshot, {
+        features: new Map([...this.desiredFeatures].map(([name, props]) => [name, { ...props }])),
+        global: { ...this.desiredGlobal }
+      });
+    });
+    controllerManager.on('restore', ({ snapshot }) => {
+      const saved = this.saved.get(snapshot);
+      if (!saved) return;
+      this.desiredFeatures = saved.features;
+      this.desiredGlobal = saved.global;
+    });
+  }
+
+  /**
+   * Start reconciling on a schedule
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.reconcile(), this.interval);
+    console.log(`[Reconcile] Checking controllers every ${Math.round(this.interval / 1000)}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Fold desired feature props into desired props per controller segment
+   * @returns {object} controller → segment id → props
+   */
+  getDesiredSegments() {
+    const desired = {};
+
+    for (const [featureName, props] of this.desiredFeatures) {
+      if (!this.config.pumpkin.features[featureName]) continue;
+
+      for (const target of getFeatureTargets(this.config, featureName)) {
+        desired[target.controller] = desired[target.controller] || {};
+        desired[target.controller][target.segment] = {
+          ...desired[target.controller][target.segment],
+          ...props
+        };
+      }
+    }
+
+    return desired;
+  }
+
+  /**
+   * Check every controller once and re-apply anything that drifted
+   * @returns {Promise<array>} Actions taken during this run
+   */
+  async reconcile() {
+    if (this.running) return [];
+    this.running = true;
+
+    const desired = this.getDesiredSegments();
+    const actions = [];
+
+    try {
+      const keys = Object.keys(this.controllerManager.clients);
+      await Promise.all(keys.map(async (key) => {
+        const action = await this.reconcileController(key, desired[key] || {});
+        if (action) actions.push(action);
+      }));
+    } finally {
+      this.running = false;
+      this.lastRunAt = Date.now();
+    }
+
+    return actions;
+  }
+
+  async reconcileController(controllerKey, desiredSegments) {
+    const client = this.controllerManager.getClient(controllerKey);
+
+    const info = await client.getInfo();
+    if (!info.success) return null;
+
+    // Realtime streams own the pixels; don't fight them
+    if (info.data.live) return null;
+
+    const uptime = info.data.uptime;
+    const lastUptime = this.uptimes[controllerKey];
+    this.uptimes[controllerKey] = uptime;
+    const rebooted = lastUptime !== undefined && uptime < lastUptime;
+
+    const state = await client.getState({ fresh: true });
+    if (!state.success) return null;
+
+    const live = state.data;
+    const extra = {};
+    const diffs = [];
+
+    for (const [field, value] of Object.entries(this.desiredGlobal)) {
+      if (rebooted || !valuesMatch(value, live[field])) {
+        extra[field] = value;
+        diffs.push({ field, desired: value, actual: live[field] });
+      }
+    }
+
+    const segments = [];
+    for (const [id, props] of Object.entries(desiredSegments)) {
+      const segmentId = Number(id);
+      const liveSegment = (live.seg || []).find(seg => seg.id === segmentId) || {};
+      const changed = Object.entries(props).filter(([prop, value]) => !valuesMatch(value, liveSegment[prop]));
+
+      if (rebooted || changed.length > 0) {
+        segments.push({ id: segmentId, ...props });
+        for (const [prop, value] of changed) {
+          diffs.push({ segment: segmentId, field: prop, desired: value, actual: liveSegment[prop] });
+        }
+      }
+    }
+
+    if (segments.length === 0 && Object.keys(extra).length === 0) {
+      return null;
+    }
+
+    const result = segments.length > 0
+      ? await client.setSegments(segments, extra)
+      : await client.writeState(extra, ' (reconcile)', 'reconciling state');
+
+    return this.record({
+      controller: controllerKey,
+      reason: rebooted ? 'reboot' : 'drift',
+      uptime,
+      previousUptime: lastUptime,
+      segments: segments.map(seg => seg.id),
+      diffs,
+      success: result.success,
+      error: result.error
+    });
+  }
+
+  record(action) {
+    const entry = { at: Date.now(), ...action };
+    this.actions.push(entry);
+    if (this.actions.length > MAX_LOG_ENTRIES) {
+      this.actions.shift();
+    }
+
+    const segments = entry.segments.length > 0 ? ` segments [${entry.segments.join(', ')}]` : '';
+    console.log(
+      `[Reconcile] ${entry.controller}: ${entry.reason === 'reboot' ? 'reboot detected' : 'drift detected'},` +
+      ` re-applied${segments} (${entry.diffs.length} differences) - ${entry.success ? 'OK' : entry.error}`
+    );
+
+    this.controllerManager.emit('reconcile', entry);
+    return entry;
+  }
+
+  /**
+   * Status for the API: desired state and recent actions
+   */
+  getStatus() {
+    return {
+      running: this.timer !== null,
+      interval: this.interval,
+      lastRunAt: this.lastRunAt,
+      desired: {
+        features: Object.fromEntries(this.desiredFeatures),
+        global: this.desiredGlobal
+      },
+      uptimes: this.uptimes,
+      actions: this.actions
+    };
+  }
+}
+
+/**
+ * Compare a desired value with what WLED reports
+ * Colors are compared by the slots we set (WLED always reports three).
+ */
+function valuesMatch(desired, actual) {
+  if (Array.isArray(desired)) {
+    if (!Array.isArray(actual)) return false;
+    return desired.every((item, i) => valuesMatch(item, actual[i]));
+  }
+  return desired === actual;
+}
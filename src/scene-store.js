@@ -0,0 +1,244 @@
+import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { getFeatureTargets, writeJSONFile } from './config-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_PATH = join(__dirname, '..', 'config', 'scenes.json');
+
+/**
+ * Segment properties a scene records for each feature
+ */
+export const SCENE_PROPS = ['fx', 'pal', 'sx', 'ix', 'col'];
+
+/**
+ * Scene Store
+ * Named whole-pumpkin looks, persisted in config/scenes.json as
+ * { scenes: [{ id, name, features: { featureName: { fx, pal, sx, ix, col } }, createdAt, updatedAt }] }
+ *
+ * Events:
+ *   - 'change' (scenes)  a scene was created, updated or deleted
+ */
+export class SceneStore extends EventEmitter {
+  constructor(filePath = DEFAULT_PATH) {
+    super();
+    this.filePath = filePath;
+    this.scenes = [];
+  }
+
+  /**
+   * Read scenes from disk (a missing file means no scenes yet)
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await readFile(this.filePath, 'utf-8'));
+      this.scenes = data.scenes || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load scenes: ${error.message}`);
+      }
+      this.scenes = [];
+    }
+    return this.scenes;
+  }
+
+  /**
+   * Write scenes to disk
+   */
+  async save() {
+    await writeJSONFile(this.filePath, { scenes: this.scenes });
+    this.emit('change', this.scenes);
+  }
+
+  list() {
+    return this.scenes;
+  }
+
+  get(id) {
+    return this.scenes.find(scene => scene.id === id) || null;
+  }
+
+  /**
+   * Add a scene
+   * @param {object} data - { name, features }
+   */
+  async create({ name, features }) {
+    const now = Date.now();
+    const scene = {
+      id: this.uniqueId(slugify(name)),
+      name,
+      features,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.scenes.push(scene);
+    await this.save();
+    return scene;
+  }
+
+  /**
+   * Update a scene's name and/or features
+   * @returns {Promise<object|null>} Updated scene, or null if not found
+   */
+  async update(id, { name, features }) {
+    const scene = this.get(id);
+    if (!scene) return null;
+
+    if (name !== undefined) scene.name = name;
+    if (features !== undefined) scene.features = features;
+    scene.updatedAt = Date.now();
+
+    await this.save();
+    return scene;
+  }
+
+  /**
+   * Delete a scene
+   * @returns {Promise<boolean>} Whether the scene existed
+   */
+  async remove(id) {
+    const index = this.scenes.findIndex(scene => scene.id === id);
+    if (index === -1) return false;
+
+    this.scenes.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  uniqueId(base) {
+    let id = base || 'scene';
+    for (let n = 2; this.get(id); n++) {
+      id = `${base || 'scene'}-${n}`;
+    }
+    return id;
+  }
+}
+
+/**
+ * Check a scene body from the API
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateScene(config, scene, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || scene.name !== undefined) {
+    if (typeof scene.name !== 'string' || scene.name.trim() === '') {
+      errors.push('name is required');
+    }
+  }
+
+  if (scene.features !== undefined) {
+    if (!scene.features || typeof scene.features !== 'object' || Array.isArray(scene.features)) {
+      errors.push('features must be an object of feature name → props');
+      return errors;
+    }
+
+    for (const [featureName, props] of Object.entries(scene.features)) {
+      if (!config.pumpkin.features[featureName]) {
+        errors.push(`Feature '${featureName}' not found`);
+        continue;
+      }
+      const unknown = Object.keys(props || {}).filter(prop => !SCENE_PROPS.includes(prop));
+      if (unknown.length > 0) {
+        errors.push(`${featureName}: unsupported properties ${unknown.join(', ')} (allowed: ${SCENE_PROPS.join(', ')})`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * A scene's features that still exist in pumpkin.json
+ * @returns {object} { features, skipped } - skipped lists removed features
+ */
+export function getApplicableFeatures(config, scene) {
+  const features = {};
+  const skipped = [];
+
+  for (const [featureName, props] of Object.entries(scene.features)) {
+    if (config.pumpkin.features[featureName]) {
+      features[featureName] = props;
+    } else {
+      skipped.push(featureName);
+    }
+  }
+
+  return { features, skipped };
+}
+
+/**
+ * Apply a scene's (still existing) features in one batch and emit 'scene'
+ * @param {object} options - As for ControllerManager.setFeatures
+ * @returns {Promise<object>} setFeatures result plus `skipped`
+ */
+export async function applyScene(config, controllerManager, scene, options = {}) {
+  const { features, skipped } = getApplicableFeatures(config, scene);
+  const result = await controllerManager.setFeatures(features, options);
+
+  controllerManager.emit('scene', { scene: scene.id, name: scene.name, success: result.success, at: Date.now() });
+  return { ...result, skipped };
+}
+
+/**
+ * Build scene features from controller states
+ * Each feature takes the look of its first segment; features whose segment
+ * isn't in the states are listed in `missing`, and segments that no feature
+ * covers are listed in `unmapped`.
+ * @param {object} states - Map of controller key → WLED state ({ seg: [...] })
+ * @returns {object} { features, missing, unmapped: [{ controller, segment }] }
+ */
+export function featuresFromStates(config, states) {
+  const features = {};
+  const missing = [];
+  const covered = new Set();
+
+  for (const featureName of Object.keys(config.pumpkin.features)) {
+    const targets = getFeatureTargets(config, featureName);
+    for (const target of targets) {
+      covered.add(`${target.controller}:${target.segment}`);
+    }
+
+    const [target] = targets;
+    const segment = (states[target.controller]?.seg || []).find(seg => seg.id === target.segment);
+
+    if (!segment) {
+      missing.push(featureName);
+      continue;
+    }
+
+    features[featureName] = pickSceneProps(segment);
+  }
+
+  const unmapped = [];
+  for (const [controller, state] of Object.entries(states)) {
+    for (const segment of state?.seg || []) {
+      if (!covered.has(`${controller}:${segment.id}`)) {
+        unmapped.push({ controller, segment: segment.id });
+      }
+    }
+  }
+
+  return { features, missing, unmapped };
+}
+
+function pickSceneProps(segment) {
+  const props = {};
+  for (const prop of SCENE_PROPS) {
+    if (segment[prop] !== undefined) {
+      props[prop] = segment[prop];
+    }
+  }
+  return props;
+}
+
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
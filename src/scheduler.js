@@ -0,0 +1,467 @@
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { writeJSONFile } from './config-loader.js';
+import { parseCron, nextCronTime } from './cron.js';
+import { parseSolar, nextSolarTime } from './solar.js';
+import { applyScene } from './scene-store.js';
+import { summarizeResults } from './wled-client.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_PATH = join(__dirname, '..', 'config', 'schedule.json');
+const MAX_WAIT_MS = 60000; // re-check at least every minute (clock changes, DST)
+const MAX_HISTORY = 50;
+
+export const ACTION_TYPES = ['power', 'brightness', 'scene', 'preset', 'attract', 'show'];
+
+/**
+ * Scheduler
+ * Time-of-day rules persisted in config/schedule.json:
+ *
+ *   {
+ *     "location": { "latitude": 40.71, "longitude": -74.01 },
+ *     "rules": [
+ *       { "id": "dusk", "name": "On at dusk", "solar": "sunset-15min",
+ *         "actions": [{ "type": "power", "on": true }, { "type": "attract", "action": "start" }] },
+ *       { "id": "night", "name": "Off at 11pm", "cron": "0 23 * * *",
+ *         "actions": [{ "type": "power", "on": false }] }
+ *     ]
+ *   }
+ *
+ * Each rule has either `cron` (5-field, server local time) or `solar`
+ * ("sunrise"/"sunset" with an optional offset, computed offline from
+ * `location`). Actions run through the ControllerManager in order.
+ */
+export class Scheduler {
+  /**
+   * @param {object} config - Loaded configuration
+   * @param {ControllerManager} controllerManager - Target of scheduled actions
+   * @param {object} services - { sceneStore, attractMode, sequencer } for scene/attract/show actions
+   */
+  constructor(config, controllerManager, services = {}, filePath = DEFAULT_PATH) {
+    this.config = config;
+    this.controllerManager = controllerManager;
+    this.sceneStore = services.sceneStore;
+    this.attractMode = services.attractMode;
+    this.sequencer = services.sequencer;
+    this.filePath = filePath;
+
+    this.schedule = { location: null, rules: [] };
+    this.nextAt = new Map(); // rule id → Date of next firing
+    this.timer = null;
+    this.history = []; // most recent firings, newest last
+  }
+
+  /**
+   * Read the schedule from disk (a missing file means no rules)
+   */
+  async load() {
+    let schedule;
+    try {
+      schedule = JSON.parse(await readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load schedule: ${error.message}`);
+      }
+      schedule = { location: null, rules: [] };
+    }
+
+    const errors = this.validate(schedule);
+    if (errors.length > 0) {
+      throw new Error(`Invalid schedule.json: ${errors.join('; ')}`);
+    }
+
+    this.schedule = normalizeSchedule(schedule);
+    return this.schedule;
+  }
+
+  async save() {
+    await writeJSONFile(this.filePath, this.schedule);
+  }
+
+  /**
+   * Check a schedule
+   * @returns {string[]} Problems found (empty if valid)
+   */
+  validate(schedule) {
+    return validateSchedule(schedule, {
+      sceneExists: id => !this.sceneStore || Boolean(this.sceneStore.get(id)),
+      showExists: id => !this.sequencer || Boolean(this.sequencer.get(id))
+    });
+  }
+
+  start() {
+    this.scheduleNext();
+    const count = this.schedule.rules.filter(rule => rule.enabled).length;
+    console.log(`[Schedule] ${count} active rules`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Next time a rule fires strictly after `from` (null if never)
+   */
+  nextFiring(rule, from = new Date()) {
+    if (rule.cron) {
+      return nextCronTime(parseCron(rule.cron), from);
+    }
+
+    const { latitude, longitude } = this.schedule.location;
+    return nextSolarTime(parseSolar(rule.solar), from, latitude, longitude);
+  }
+
+  /**
+   * Recompute every rule's next firing and sleep until the earliest
+   */
+  scheduleNext() {
+    this.stop();
+    this.nextAt.clear();
+
+    const now = new Date();
+    for (const rule of this.schedule.rules) {
+      if (!rule.enabled) continue;
+      const at = this.nextFiring(rule, now);
+      if (at) this.nextAt.set(rule.id, at);
+    }
+
+    if (this.nextAt.size === 0) return;
+
+    const earliest = Math.min(...[...this.nextAt.values()].map(at => at.getTime()));
+    const wait = Math.max(0, Math.min(earliest - Date.now(), MAX_WAIT_MS));
+    this.timer = setTimeout(() => this.tick(), wait);
+    this.timer.unref?.();
+  }
+
+  tick() {
+    this.timer = null;
+    const now = Date.now();
+
+    for (const rule of this.schedule.rules) {
+      const at = this.nextAt.get(rule.id);
+      if (at && at.getTime() <= now) {
+        this.fire(rule, at);
+      }
+    }
+
+    // Recompute from a moment after now so rules that just fired move on
+    this.scheduleNext();
+  }
+
+  /**
+   * Run a rule's actions in order
+   */
+  async fire(rule, scheduledAt = new Date()) {
+    console.log(`[Schedule] ${rule.name || rule.id}: ${rule.actions.map(describeAction).join(', ')}`);
+
+    const results = [];
+    for (const action of rule.actions) {
+      try {
+        results.push({ action, ...(await this.runAction(action)) });
+      } catch (error) {
+        console.error(`[Schedule] ${rule.id}: ${describeAction(action)} failed:`, error.message);
+        results.push({ action, success: false, error: error.message });
+      }
+    }
+
+    const entry = {
+      rule: rule.id,
+      scheduledAt: scheduledAt.getTime(),
+      at: Date.now(),
+      success: results.every(result => result.success),
+      results
+    };
+    this.history.push(entry);
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+
+    this.controllerManager.emit('schedule', entry);
+    return entry;
+  }
+
+  async runAction(action) {
+    switch (action.type) {
+      case 'power':
+        return summarizeResults(await this.controllerManager.setAllPower(action.on));
+
+      case 'brightness':
+        return summarizeResults(await this.controllerManager.setAllBrightness(action.brightness));
+
+      case 'preset':
+        return summarizeResults(await this.controllerManager.loadPresetAll(action.preset));
+
+      case 'scene': {
+        const scene = this.sceneStore && this.sceneStore.get(action.scene);
+        if (!scene) {
+          return { success: false, error: `Scene '${action.scene}' not found` };
+        }
+        const result = await applyScene(this.config, this.controllerManager, scene);
+        return { success: result.success, error: result.error };
+      }
+
+      case 'attract':
+        if (!this.attractMode) {
+          return { success: false, error: 'Attract mode not available' };
+        }
+        if (action.action === 'stop') {
+          this.attractMode.stop();
+        } else {
+          this.attractMode.start();
+        }
+        return { success: true };
+
+      case 'show':
+        if (!this.sequencer) {
+          return { success: false, error: 'Sequencer not available' };
+        }
+        this.sequencer.play(action.show, { positionMs: 0 });
+        return { success: true };
+
+      default:
+        return { success: false, error: `Unknown action type '${action.type}'` };
+    }
+  }
+
+  /**
+   * The next `count` firings across all enabled rules
+   */
+  preview(count = 10, from = new Date()) {
+    const firings = [];
+    const cursors = new Map();
+
+    for (const rule of this.schedule.rules) {
+      if (!rule.enabled) continue;
+      const at = this.nextFiring(rule, from);
+      if (at) cursors.set(rule, at);
+    }
+
+    while (firings.length < count && cursors.size > 0) {
+      const [rule, at] = [...cursors.entries()].reduce((a, b) => (b[1] < a[1] ? b : a));
+      firings.push({
+        rule: rule.id,
+        name: rule.name,
+        at: at.toISOString(),
+        local: at.toString(),
+        actions: rule.actions
+      });
+
+      const next = this.nextFiring(rule, at);
+      if (next) {
+        cursors.set(rule, next);
+      } else {
+        cursors.delete(rule);
+      }
+    }
+
+    return firings;
+  }
+
+  getSchedule() {
+    return {
+      location: this.schedule.location,
+      rules: this.schedule.rules.map(rule => ({
+        ...rule,
+        nextAt: this.nextAt.has(rule.id) ? this.nextAt.get(rule.id).toISOString() : null
+      })),
+      history: this.history
+    };
+  }
+
+  /**
+   * Replace the whole schedule
+   * @returns {Promise<string[]>} Validation errors (nothing saved if any)
+   */
+  async replace(schedule) {
+    const errors = this.validate(schedule);
+    if (errors.length > 0) return errors;
+
+    this.schedule = normalizeSchedule(schedule);
+    await this.save();
+    this.scheduleNext();
+    return [];
+  }
+
+  /**
+   * Add a rule (its id is derived from the name if not given)
+   * @returns {Promise<object>} { errors } or { rule }
+   */
+  async addRule(rule) {
+    const id = rule.id || uniqueId(slugify(rule.name || 'rule'), this.schedule.rules);
+    if (this.schedule.rules.some(existing => existing.id === id)) {
+      return { errors: [`Rule '${id}' already exists`] };
+    }
+
+    const errors = await this.replace({
+      ...this.schedule,
+      rules: [...this.schedule.rules, { ...rule, id }]
+    });
+    return errors.length > 0 ? { errors } : { rule: this.getRule(id) };
+  }
+
+  /**
+   * Replace one rule
+   * @returns {Promise<object|null>} { errors } or { rule }, null if not found
+   */
+  async updateRule(id, rule) {
+    if (!this.getRule(id)) return null;
+
+    const errors = await this.replace({
+      ...this.schedule,
+      rules: this.schedule.rules.map(existing => (existing.id === id ? { ...rule, id } : existing))
+    });
+    return errors.length > 0 ? { errors } : { rule: this.getRule(id) };
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the rule existed
+   */
+  async removeRule(id) {
+    if (!this.getRule(id)) return false;
+
+    await this.replace({
+      ...this.schedule,
+      rules: this.schedule.rules.filter(rule => rule.id !== id)
+    });
+    return true;
+  }
+
+  getRule(id) {
+    return this.schedule.rules.find(rule => rule.id === id) || null;
+  }
+}
+
+/**
+ * Check a schedule's structure, rule timing and actions
+ * @param {object} options - { sceneExists, showExists: id => boolean }
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateSchedule(schedule, { sceneExists = () => true, showExists = () => true } = {}) {
+  const errors = [];
+
+  if (!schedule || typeof schedule !== 'object') {
+    return ['schedule must be an object with rules'];
+  }
+  if (!Array.isArray(schedule.rules)) {
+    return ['rules must be an array'];
+  }
+
+  const { location } = schedule;
+  const hasLocation = location &&
+    typeof location.latitude === 'number' && Math.abs(location.latitude) <= 90 &&
+    typeof location.longitude === 'number' && Math.abs(location.longitude) <= 180;
+  if (location && !hasLocation) {
+    errors.push('location needs numeric latitude (-90..90) and longitude (-180..180)');
+  }
+
+  const ids = new Set();
+  schedule.rules.forEach((rule, index) => {
+    const label = rule && rule.id ? `rule '${rule.id}'` : `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (typeof rule.id !== 'string' || rule.id === '') {
+      errors.push(`${label}: id is required`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${label}: duplicate id`);
+    }
+    ids.add(rule.id);
+
+    if (Boolean(rule.cron) === Boolean(rule.solar)) {
+      errors.push(`${label}: needs exactly one of cron or solar`);
+    } else if (rule.cron) {
+      try {
+        parseCron(rule.cron);
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+    } else {
+      try {
+        parseSolar(rule.solar);
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+      if (!hasLocation) {
+        errors.push(`${label}: solar rules need location.latitude and location.longitude`);
+      }
+    }
+
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      errors.push(`${label}: actions must be a non-empty array`);
+      return;
+    }
+
+    rule.actions.forEach((action, i) => {
+      const where = `${label} action ${i + 1}`;
+      if (!action || !ACTION_TYPES.includes(action.type)) {
+        errors.push(`${where}: type must be one of ${ACTION_TYPES.join(', ')}`);
+        return;
+      }
+      if (action.type === 'power' && typeof action.on !== 'boolean') {
+        errors.push(`${where}: power needs on: true/false`);
+      }
+      if (action.type === 'brightness' &&
+          !(Number.isInteger(action.brightness) && action.brightness >= 0 && action.brightness <= 255)) {
+        errors.push(`${where}: brightness must be 0-255`);
+      }
+      if (action.type === 'preset' &&
+          !(Number.isInteger(action.preset) && action.preset >= 1 && action.preset <= 16)) {
+        errors.push(`${where}: preset must be 1-16`);
+      }
+      if (action.type === 'scene' && !sceneExists(action.scene)) {
+        errors.push(`${where}: scene '${action.scene}' not found`);
+      }
+      if (action.type === 'show' && !showExists(action.show)) {
+        errors.push(`${where}: show '${action.show}' not found`);
+      }
+      if (action.type === 'attract' && action.action !== 'start' && action.action !== 'stop') {
+        errors.push(`${where}: attract action must be "start" or "stop"`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+function normalizeSchedule(schedule) {
+  return {
+    ...schedule,
+    location: schedule.location || null,
+    rules: schedule.rules.map(rule => ({ ...rule, enabled: rule.enabled !== false }))
+  };
+}
+
+function describeAction(action) {
+  switch (action.type) {
+    case 'power': return `power ${action.on ? 'on' : 'off'}`;
+    case 'brightness': return `brightness ${action.brightness}`;
+    case 'preset': return `preset ${action.preset}`;
+    case 'scene': return `scene ${action.scene}`;
+    case 'attract': return `attract ${action.action}`;
+    case 'show': return `show ${action.show}`;
+    default: return action.type;
+  }
+}
+
+function uniqueId(base, rules) {
+  let id = base || 'rule';
+  for (let n = 2; rules.some(rule => rule.id === id); n++) {
+    id = `${base || 'rule'}-${n}`;
+  }
+  return id;
+}
+
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
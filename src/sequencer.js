@@ -0,0 +1,496 @@
+import { readdir, readFile, unlink } from 'fs/promises';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { performance } from 'perf_hooks';
+import { writeJSONFile } from './config-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_DIR = join(__dirname, '..', 'config', 'shows');
+const PROGRESS_MS = 1000;
+const SHOW_ID = /^[a-z0-9][a-z0-9_-]*$/i;
+
+export const CUE_PROPS = ['fx', 'pal', 'sx', 'ix', 'col'];
+
+/**
+ * Sequencer
+ * Plays keyframed shows from config/shows/<id>.json:
+ *
+ *   {
+ *     "name": "Spooky Routine",
+ *     "duration": "2:00",
+ *     "cues": [
+ *       { "at": "0:00", "feature": "wholePumpkin", "fx": 0, "col": [[255, 60, 0]], "transition": 10 },
+ *       { "at": 4.5, "feature": "bothEyes", "fx": 2, "pal": 35 }
+ *     ]
+ *   }
+ *
+ * `at` is seconds or "m:ss.fff". Cues sharing a timestamp go out as one
+ * batch per controller (with setFeatures precedence). Every cue is timed
+ * from the show's start rather than from the previous cue, so a late timer
+ * or a slow controller never pushes the rest of the show back.
+ */
+export class Sequencer {
+  /**
+   * @param {object} config - Loaded configuration
+   * @param {ControllerManager} controllerManager - Target of the cues
+   * @param {object} services - { attractMode } is held off while a show is loaded
+   */
+  constructor(config, controllerManager, services = {}, showsDir = DEFAULT_DIR) {
+    this.config = config;
+    this.controllerManager = controllerManager;
+    this.attractMode = services.attractMode;
+    this.showsDir = showsDir;
+
+    this.shows = new Map(); // id → show as authored
+    this.current = null; // compiled show being played or paused
+    this.state = 'stopped';
+    this.startedAt = 0; // performance.now() at show position 0
+    this.positionMs = 0; // while paused
+    this.cueIndex = 0; // next cue to fire
+    this.maxLateMs = 0;
+    this.timer = null;
+    this.progressTimer = null;
+  }
+
+  /**
+   * Read every show in the shows directory, skipping invalid ones with a warning
+   */
+  async load() {
+    let files = [];
+    try {
+      files = (await readdir(this.showsDir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read shows: ${error.message}`);
+      }
+    }
+
+    this.shows.clear();
+    for (const file of files) {
+      const id = basename(file, '.json');
+      try {
+        const show = JSON.parse(await readFile(join(this.showsDir, file), 'utf-8'));
+        const errors = validateShow(this.config, show);
+        if (errors.length > 0) {
+          console.warn(`⚠ [Show] ${file}: ${errors.join('; ')}, skipped`);
+          continue;
+        }
+        this.shows.set(id, show);
+      } catch (error) {
+        console.warn(`⚠ [Show] ${file}: ${error.message}, skipped`);
+      }
+    }
+
+    return this.list();
+  }
+
+  list() {
+    return [...this.shows.entries()].map(([id, show]) => {
+      const compiled = compileShow(id, show);
+      return { id, name: compiled.name, durationMs: compiled.durationMs, cues: compiled.cues.length, loop: compiled.loop };
+    });
+  }
+
+  get(id) {
+    return this.shows.get(id) || null;
+  }
+
+  /**
+   * Create or replace a show file
+   * @returns {Promise<string[]>} Validation errors (nothing saved if any)
+   */
+  async save(id, show) {
+    if (!SHOW_ID.test(id)) {
+      return ['show id may only contain letters, digits, - and _'];
+    }
+
+    const errors = validateShow(this.config, show);
+    if (errors.length > 0) return errors;
+
+    await writeJSONFile(join(this.showsDir, `${id}.json`), show);
+    this.shows.set(id, show);
+    return [];
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the show existed
+   */
+  async remove(id) {
+    if (!this.shows.has(id)) return false;
+
+    if (this.current && this.current.id === id) {
+      this.stop();
+    }
+    await unlink(join(this.showsDir, `${id}.json`));
+    this.shows.delete(id);
+    return true;
+  }
+
+  /**
+   * Play a show, or resume the paused one when no id is given
+   * @param {object} options - { positionMs } to start somewhere other than the beginning (or the paused position)
+   */
+  play(id, options = {}) {
+    if (id && (!this.current || this.current.id !== id || this.state === 'stopped')) {
+      const show = this.shows.get(id);
+      if (!show) {
+        throw new Error(`Show '${id}' not found`);
+      }
+      this.stopTimers();
+      this.current = compileShow(id, show);
+      this.state = 'stopped';
+      this.positionMs = 0;
+    } else if (!this.current || this.state === 'stopped') {
+      throw new Error('No show to resume');
+    }
+
+    const positionMs = options.positionMs ?? this.position();
+    this.maxLateMs = 0;
+    this.startAt(clamp(positionMs, 0, this.current.durationMs));
+    this.emitStatus('play');
+    return this.getStatus();
+  }
+
+  pause() {
+    if (this.state !== 'playing') return this.getStatus();
+
+    this.positionMs = this.position();
+    this.stopTimers();
+    this.state = 'paused';
+    console.log(`[Show] ${this.current.name} paused at ${formatTime(this.positionMs)}`);
+    this.emitStatus('pause');
+    return this.getStatus();
+  }
+
+  /**
+   * Jump to a position, applying the look the show has there
+   */
+  seek(positionMs) {
+    if (!this.current || this.state === 'stopped') {
+      throw new Error('No show is playing');
+    }
+
+    const target = clamp(positionMs, 0, this.current.durationMs);
+    if (this.state === 'playing') {
+      this.startAt(target);
+    } else {
+      this.positionMs = target;
+      this.catchUp(target, true);
+      this.cueIndex = this.current.cues.filter(cue => cue.ms <= target).length;
+    }
+    this.emitStatus('seek');
+    return this.getStatus();
+  }
+
+  stop() {
+    if (this.state === 'stopped') return this.getStatus();
+
+    this.stopTimers();
+    this.state = 'stopped';
+    this.positionMs = 0;
+    console.log(`[Show] ${this.current.name} stopped`);
+    this.emitStatus('stop');
+    this.attractMode?.release('show');
+    return this.getStatus();
+  }
+
+  /**
+   * Start the clock at a show position
+   */
+  startAt(positionMs) {
+    this.stopTimers();
+    this.state = 'playing';
+    this.startedAt = performance.now() - positionMs;
+    this.attractMode?.hold('show');
+
+    // Cues before the position are replayed instantly so a seek lands on the right look
+    this.catchUp(positionMs, false);
+    this.cueIndex = this.current.cues.findIndex(cue => cue.ms >= positionMs);
+    if (this.cueIndex === -1) this.cueIndex = this.current.cues.length;
+
+    console.log(`[Show] ${this.current.name} playing from ${formatTime(positionMs)}`);
+    this.progressTimer = setInterval(() => this.emitStatus('progress'), PROGRESS_MS);
+    this.scheduleNext();
+  }
+
+  /**
+   * Apply the cues up to a position in order, without transitions
+   * @param {boolean} inclusive - Also apply cues exactly at the position
+   */
+  catchUp(positionMs, inclusive) {
+    const cues = this.current.cues.filter(cue => (inclusive ? cue.ms <= positionMs : cue.ms < positionMs));
+    for (const batch of groupByTime(cues)) {
+      this.sendCues(batch, 0);
+    }
+  }
+
+  /**
+   * Sleep until the next cue (or the end), measured from the show's start
+   */
+  scheduleNext() {
+    const next = this.current.cues[this.cueIndex];
+    const targetMs = next ? next.ms : this.current.durationMs;
+    const delay = Math.max(0, targetMs - this.position());
+    this.timer = setTimeout(() => this.advance(), delay);
+  }
+
+  advance() {
+    this.timer = null;
+    const positionMs = this.position();
+    const { cues } = this.current;
+
+    const due = [];
+    while (this.cueIndex < cues.length && cues[this.cueIndex].ms <= positionMs) {
+      due.push(cues[this.cueIndex++]);
+    }
+    if (due.length > 0) {
+      this.maxLateMs = Math.max(this.maxLateMs, positionMs - due[0].ms);
+      this.sendCues(due);
+    }
+
+    if (this.cueIndex >= cues.length && positionMs >= this.current.durationMs) {
+      this.finish();
+    } else {
+      this.scheduleNext();
+    }
+  }
+
+  finish() {
+    if (this.current.loop) {
+      this.startAt(0);
+      this.emitStatus('loop');
+      return;
+    }
+
+    this.stopTimers();
+    this.state = 'stopped';
+    this.positionMs = 0;
+    console.log(`[Show] ${this.current.name} finished (max ${Math.round(this.maxLateMs)}ms late)`);
+    this.emitStatus('end');
+    this.attractMode?.release('show');
+  }
+
+  /**
+   * Send cues as one setFeatures batch per transition value
+   * @param {number} transition - Override every cue's transition (catch-up)
+   */
+  sendCues(cues, transition) {
+    const batches = new Map(); // transition → look
+    for (const cue of cues) {
+      const key = transition ?? cue.transition;
+      const look = batches.get(key) || {};
+      look[cue.feature] = { ...look[cue.feature], ...cue.props };
+      batches.set(key, look);
+    }
+
+    for (const [key, look] of batches) {
+      const options = key === undefined ? {} : { transition: key };
+      this.controllerManager.setFeatures(look, options)
+        .then(result => {
+          if (!result.success) {
+            console.warn(`⚠ [Show] ${Object.keys(look).join(', ')}: ${result.error}`);
+          }
+        })
+        .catch(error => console.error('[Show] Cue failed:', error.message));
+    }
+  }
+
+  position() {
+    return this.state === 'playing' ? performance.now() - this.startedAt : this.positionMs;
+  }
+
+  stopTimers() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.progressTimer) {
+      clearInterval(this.progressTimer);
+      this.progressTimer = null;
+    }
+  }
+
+  emitStatus(action) {
+    this.controllerManager.emit('show', { action, ...this.getStatus(), at: Date.now() });
+  }
+
+  getStatus() {
+    if (!this.current) {
+      return { show: null, state: this.state };
+    }
+
+    return {
+      show: this.current.id,
+      name: this.current.name,
+      state: this.state,
+      positionMs: Math.round(Math.min(this.position(), this.current.durationMs)),
+      durationMs: this.current.durationMs,
+      loop: this.current.loop,
+      cue: this.cueIndex,
+      cues: this.current.cues.length,
+      maxLateMs: Math.round(this.maxLateMs)
+    };
+  }
+}
+
+/**
+ * Check a show against the configured features, effects and palettes
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateShow(config, show) {
+  const errors = [];
+
+  if (!show || typeof show !== 'object' || Array.isArray(show)) {
+    return ['show must be an object with cues'];
+  }
+  if (typeof show.name !== 'string' || show.name.trim() === '') {
+    errors.push('name is required');
+  }
+  if (!Array.isArray(show.cues) || show.cues.length === 0) {
+    errors.push('cues must be a non-empty array');
+    return errors;
+  }
+
+  const effectIds = new Set(config.effects.effects.map(effect => effect.id));
+  const paletteIds = new Set(config.palettes.palettes.map(palette => palette.id));
+  let lastMs = 0;
+
+  show.cues.forEach((cue, index) => {
+    const label = `cues[${index}]`;
+    if (!cue || typeof cue !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    const ms = parseTimestamp(cue.at);
+    if (Number.isNaN(ms)) {
+      errors.push(`${label}: at must be seconds or "m:ss" (got ${JSON.stringify(cue.at)})`);
+    } else {
+      lastMs = Math.max(lastMs, ms);
+    }
+
+    if (!config.pumpkin.features[cue.feature]) {
+      errors.push(`${label}: feature '${cue.feature}' not found`);
+    }
+
+    const unknown = Object.keys(cue).filter(key => !['at', 'feature', 'transition', ...CUE_PROPS].includes(key));
+    if (unknown.length > 0) {
+      errors.push(`${label}: unsupported properties ${unknown.join(', ')}`);
+    }
+    if (!CUE_PROPS.some(prop => cue[prop] !== undefined)) {
+      errors.push(`${label}: needs at least one of ${CUE_PROPS.join(', ')}`);
+    }
+
+    if (cue.fx !== undefined && !effectIds.has(cue.fx)) {
+      errors.push(`${label}: effect ${cue.fx} is not in effects.json`);
+    }
+    if (cue.pal !== undefined && !paletteIds.has(cue.pal)) {
+      errors.push(`${label}: palette ${cue.pal} is not in palettes.json`);
+    }
+    for (const prop of ['sx', 'ix']) {
+      if (cue[prop] !== undefined && !isByte(cue[prop])) {
+        errors.push(`${label}: ${prop} must be 0-255`);
+      }
+    }
+    if (cue.col !== undefined && !isColorList(cue.col)) {
+      errors.push(`${label}: col must be up to 3 colours of [r, g, b]`);
+    }
+    if (cue.transition !== undefined &&
+        !(Number.isInteger(cue.transition) && cue.transition >= 0 && cue.transition <= 65535)) {
+      errors.push(`${label}: transition must be 0-65535 (units of 100ms)`);
+    }
+  });
+
+  if (show.duration !== undefined) {
+    const durationMs = parseTimestamp(show.duration);
+    if (Number.isNaN(durationMs)) {
+      errors.push('duration must be seconds or "m:ss"');
+    } else if (durationMs < lastMs) {
+      errors.push(`duration ${show.duration} ends before the last cue`);
+    }
+  }
+  if (show.loop !== undefined && typeof show.loop !== 'boolean') {
+    errors.push('loop must be true or false');
+  } else if (show.loop === true) {
+    // A zero-length loop would replay its cues back to back without pause
+    const durationMs = show.duration !== undefined ? parseTimestamp(show.duration) : lastMs;
+    if (durationMs === 0) {
+      errors.push('a looping show needs a duration above 0 (or a cue after 0:00)');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a cue time: seconds (4.5) or "m:ss.fff" / "h:mm:ss"
+ * @returns {number} Milliseconds, NaN if invalid
+ */
+export function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value * 1000) : NaN;
+  }
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) {
+    return NaN;
+  }
+
+  const seconds = value.trim().split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return Math.round(seconds * 1000);
+}
+
+/**
+ * Sort cues by time and fill in defaults
+ */
+function compileShow(id, show) {
+  const cues = show.cues
+    .map((cue, index) => {
+      const props = {};
+      for (const prop of CUE_PROPS) {
+        if (cue[prop] !== undefined) props[prop] = cue[prop];
+      }
+      return { ms: parseTimestamp(cue.at), feature: cue.feature, props, transition: cue.transition, index };
+    })
+    .sort((a, b) => a.ms - b.ms || a.index - b.index);
+
+  const lastMs = cues.length > 0 ? cues[cues.length - 1].ms : 0;
+  return {
+    id,
+    name: show.name,
+    loop: show.loop === true,
+    durationMs: show.duration !== undefined ? parseTimestamp(show.duration) : lastMs,
+    cues
+  };
+}
+
+function groupByTime(cues) {
+  const groups = [];
+  for (const cue of cues) {
+    const last = groups[groups.length - 1];
+    if (last && last[0].ms === cue.ms) {
+      last.push(cue);
+    } else {
+      groups.push([cue]);
+    }
+  }
+  return groups;
+}
+
+function isByte(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 255;
+}
+
+function isColorList(col) {
+  return Array.isArray(col) && col.length >= 1 && col.length <= 3 &&
+    col.every(color => Array.isArray(color) && (color.length === 3 || color.length === 4) && color.every(isByte));
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
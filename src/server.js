@@ -3,6 +3,20 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { loadConfig } from './config-loader.js';
 import { ControllerManager } from './wled-client.js';
+import { FrameOutput } from './frame-output.js';
+import { Reconciler } from './reconciler.js';
+import { SceneStore } from './scene-store.js';
+import { EventStream } from './event-stream.js';
+import { AttractMode } from './attract-mode.js';
+import { Scheduler } from './scheduler.js';
+import { Sequencer } from './sequencer.js';
+import { FseqPlayer } from './fseq.js';
+import { DmxInput } from './dmx-input.js';
+import { MqttBridge } from './mqtt-bridge.js';
+import { Triggers } from './triggers.js';
+import { Webhooks } from './webhooks.js';
+import { ConfigWatcher } from './config-watcher.js';
+import { ConfigEditor } from './config-editor.js';
 import { setupRoutes } from './api-routes.js';
 import { startSimulator } from './simulator.js';
 
@@ -12,6 +26,9 @@ const __dirname = dirname(__filename);
 // Configuration
 const PORT = process.env.PORT || 3000;
 const SIMULATOR_PORT = process.env.SIMULATOR_PORT || 8080;
+const SIMULATOR_UDP_PORT = parseInt(process.env.SIMULATOR_UDP_PORT || '4048', 10);
+const STREAM_PROTOCOL = process.env.STREAM_PROTOCOL || 'ddp'; // 'ddp' or 'e131'
+const RECONCILE_INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS || '30000', 10);
 const HOST = process.env.HOST || '0.0.0.0';
 
 // Parse command line arguments
@@ -28,7 +45,7 @@ app.use(express.static(join(__dirname, '..', 'public')));
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Trigger-Secret');
   next();
 });
 
@@ -56,14 +73,25 @@ async function startServer() {
     console.log(`✓ ${config.palettes.palettes.length} palettes available\n`);
 
     // Start simulator if requested
+    let pointAtSimulator = null;
+    let simulatorProblems = null;
     if (USE_SIMULATOR) {
       console.log('🎮 SIMULATOR MODE ENABLED\n');
-      await startSimulator(config.pumpkin, SIMULATOR_PORT);
+      const { udpPorts } = await startSimulator(config.pumpkin, SIMULATOR_PORT, SIMULATOR_UDP_PORT);
       
-      // Update controller IPs to point to simulator
-      Object.keys(config.pumpkin.controllers).forEach(key => {
-        config.pumpkin.controllers[key].ip = `localhost:${SIMULATOR_PORT}/simulator/${key}`;
-      });
+      // Controllers added by a reload have no simulator to point at
+      simulatorProblems = (pumpkin) => Object.keys(pumpkin.controllers)
+        .filter(key => udpPorts[key] === undefined)
+        .map(key => `pumpkin.json $.controllers.${key}: no simulator for a controller added after startup (restart the server)`);
+
+      // Update controller IPs (and realtime UDP ports) to point to simulator
+      pointAtSimulator = (pumpkin) => {
+        Object.keys(pumpkin.controllers).forEach(key => {
+          pumpkin.controllers[key].ip = `localhost:${SIMULATOR_PORT}/simulator/${key}`;
+          pumpkin.controllers[key].streamPort = udpPorts[key];
+        });
+      };
+      pointAtSimulator(config.pumpkin);
       console.log('');
     }
 
@@ -87,10 +115,78 @@ async function startServer() {
     } else {
       console.log('✓ Using simulator endpoints (hardware not required)');
     }
+
+    // Keep a live WebSocket mirror of every controller (HTTP is used while a socket is down)
+    controllerManager.on('connection', ({ controller, connected }) => {
+      const name = config.pumpkin.controllers[controller]?.name || controller;
+      console.log(`${connected ? '⇄' : '✗'} ${name} - WebSocket ${connected ? 'connected' : 'disconnected (using HTTP)'}`);
+    });
+    controllerManager.connectAll();
+
+    // Prime the shadow state so /api/state can answer without hitting hardware
+    controllerManager.getAllStates();
     console.log('');
 
+    // Real-time pixel streaming (DDP / E1.31), idle until an animation is started
+    const frameOutput = new FrameOutput(config, controllerManager, { protocol: STREAM_PROTOCOL });
+
+    // xLights sequences (data/fseq/) played through the same stream
+    const fseqPlayer = new FseqPlayer(config, frameOutput);
+
+    // Re-apply the last requested look after reboots or changes made outside the app
+    const reconciler = new Reconciler(config, controllerManager, { interval: RECONCILE_INTERVAL_MS });
+    reconciler.start();
+
+    // Saved whole-pumpkin looks (config/scenes.json)
+    const sceneStore = new SceneStore();
+    await sceneStore.load();
+    console.log(`🎬 Loaded ${sceneStore.list().length} scenes`);
+
+    // Push changes to every open kiosk/admin page (GET /api/events)
+    const eventStream = new EventStream(controllerManager);
+
+    // Keep the pumpkin moving when nobody is using it
+    const attractMode = new AttractMode(config, controllerManager);
+    await attractMode.init();
+
+    // Keyframed shows (config/shows/)
+    const sequencer = new Sequencer(config, controllerManager, { attractMode });
+    await sequencer.load();
+    console.log(`🎭 Loaded ${sequencer.list().length} shows`);
+
+    // Live control from a lighting desk (config/dmx.json)
+    const dmxInput = new DmxInput(config, controllerManager, { attractMode });
+    await dmxInput.start();
+
+    // Scare reactions set off by other systems (config/triggers.json)
+    const triggers = new Triggers(config, controllerManager, { sceneStore, attractMode });
+    console.log(`⚡ Loaded ${triggers.getStatus().triggers.length} triggers${triggers.secret ? '' : ' (disabled until a shared secret is set)'}`);
+
+    // Tell other systems what the pumpkin is doing (config/webhooks.json)
+    const webhooks = new Webhooks(config, controllerManager, { attractMode });
+    await webhooks.start();
+
+    // Home automation over MQTT, with Home Assistant discovery (config/mqtt.json)
+    const mqttBridge = new MqttBridge(config, controllerManager, { attractMode, dmxInput, sceneStore });
+    mqttBridge.start();
+
+    // Time-of-day rules (config/schedule.json)
+    const scheduler = new Scheduler(config, controllerManager, { sceneStore, attractMode, sequencer });
+    await scheduler.load();
+    scheduler.start();
+
+    // Pick up edits to pumpkin.json, effects.json and palettes.json without a restart
+    const configWatcher = new ConfigWatcher(config, controllerManager, {
+      check: next => (next.pumpkin && simulatorProblems?.(next.pumpkin)) || [],
+      prepare: next => next.pumpkin && pointAtSimulator?.(next.pumpkin)
+    });
+    await configWatcher.start();
+
+    // Feature and controller editing from the admin page (written back to pumpkin.json)
+    const configEditor = new ConfigEditor(configWatcher);
+
     // Setup API routes
-    setupRoutes(app, config, controllerManager);
+    setupRoutes(app, config, controllerManager, { frameOutput, reconciler, sceneStore, eventStream, attractMode, scheduler, sequencer, fseqPlayer, dmxInput, mqttBridge, triggers, webhooks, configWatcher, configEditor });
 
     // Start listening
     app.listen(PORT, HOST, () => {
@@ -105,11 +201,35 @@ async function startServer() {
       console.log('\n📱 Open this URL on your iPad to control the pumpkin!\n');
       console.log('Available endpoints:');
       console.log('   GET  /api/config        - Get configuration');
-      console.log('   GET  /api/state         - Get current state');
+      console.log('   GET  /api/config/status - Config reloads and the last rejected edit');
+      console.log('   POST /api/admin/features - Add a feature (PUT/DELETE /:key to edit or remove)');
+      console.log('   POST /api/admin/controllers - Add a controller (PUT/DELETE /:key to edit or remove)');
+      console.log('   GET  /api/state         - Get current state (cached, ?refresh=true)');
+      console.log('   GET  /api/live          - Get live WebSocket state');
+      console.log('   GET  /api/events        - Server-Sent Events stream of changes');
+      console.log('   GET  /api/metrics       - Command queue metrics');
       console.log('   GET  /api/ping          - Test connectivity');
       console.log('   POST /api/feature/:name - Set feature effect/palette');
+      console.log('   POST /api/features/batch - Set several features in one step');
       console.log('   POST /api/power         - Power on/off');
       console.log('   POST /api/brightness    - Set brightness');
+      console.log('   POST /api/stream/start  - Stream a pixel animation');
+      console.log('   POST /api/stream/stop   - Stop streaming, restore effects');
+      console.log('   GET  /api/fseq          - List uploaded xLights sequences');
+      console.log('   POST /api/fseq/:name/play - Play an .fseq sequence');
+      console.log('   GET  /api/reconcile     - Desired state and reconcile log');
+      console.log('   GET  /api/attract       - Attract (idle) program status');
+      console.log('   GET  /api/schedule      - Time-of-day rules');
+      console.log('   GET  /api/dmx           - sACN / Art-Net input status');
+      console.log('   GET  /api/mqtt          - MQTT bridge status');
+      console.log('   POST /api/triggers/:name - Fire a trigger (shared secret)');
+      console.log('   GET  /api/webhooks      - Webhook subscriptions and delivery queue');
+      console.log('   GET  /api/schedule/preview - Next 10 scheduled firings');
+      console.log('   GET  /api/shows         - List shows');
+      console.log('   POST /api/sequencer/play - Play, pause, seek or stop a show');
+      console.log('   GET  /api/scenes        - List saved scenes');
+      console.log('   POST /api/scenes/capture - Save the controllers\' current look');
+      console.log('   POST /api/scenes/:id/apply - Apply a scene');
       console.log('');
     });
 
@@ -0,0 +1,123 @@
+/**
+ * Shadow State
+ * Server-side copy of every controller's state, so reads don't have to hit
+ * the hardware. Updated from our own successful writes and from full states
+ * returned by WLED (HTTP GET responses and WebSocket pushes). Every top-level
+ * field and every segment remembers when it was last updated and from where.
+ */
+export class ShadowState {
+  constructor(controllerKeys = []) {
+    this.controllers = {};
+    for (const key of controllerKeys) {
+      this.ensure(key);
+    }
+  }
+
+  ensure(controllerKey) {
+    if (!this.controllers[controllerKey]) {
+      this.controllers[controllerKey] = {
+        fields: {}, // top-level fields: { on: { value, updatedAt, source } }
+        seg: {} // segment id → { values, updatedAt, source }
+      };
+    }
+    return this.controllers[controllerKey];
+  }
+
+  /**
+   * Remove a controller from the shadow (controller removed from config)
+   */
+  remove(controllerKey) {
+    delete this.controllers[controllerKey];
+  }
+
+  /**
+   * Replace a controller's shadow with a full state reported by WLED
+   * @param {string} source - 'http' or 'ws'
+   */
+  applyState(controllerKey, state, source) {
+    const shadow = this.ensure(controllerKey);
+    const now = Date.now();
+    const { seg, ...fields } = state;
+
+    shadow.fields = {};
+    for (const [name, value] of Object.entries(fields)) {
+      shadow.fields[name] = { value, updatedAt: now, source };
+    }
+
+    shadow.seg = {};
+    for (const segment of seg || []) {
+      const { id, ...values } = segment;
+      shadow.seg[id] = { values, updatedAt: now, source };
+    }
+  }
+
+  /**
+   * Merge a state payload we successfully sent into the shadow
+   */
+  applyWrite(controllerKey, payload) {
+    const shadow = this.ensure(controllerKey);
+    const now = Date.now();
+    const { seg, v, ...fields } = payload;
+
+    for (const [name, value] of Object.entries(fields)) {
+      shadow.fields[name] = { value, updatedAt: now, source: 'write' };
+    }
+
+    for (const segment of seg || []) {
+      const { id, ...values } = segment;
+      const existing = shadow.seg[id];
+      shadow.seg[id] = {
+        values: { ...(existing ? existing.values : {}), ...values },
+        updatedAt: now,
+        source: 'write'
+      };
+    }
+  }
+
+  /**
+   * Known values of one segment (null if never seen)
+   */
+  getSegment(controllerKey, segmentId) {
+    const segment = this.controllers[controllerKey]?.seg[segmentId];
+    return segment ? { id: segmentId, ...segment.values } : null;
+  }
+
+  /**
+   * Snapshot of one controller in WLED state shape, with ages in milliseconds
+   */
+  getController(controllerKey) {
+    const shadow = this.controllers[controllerKey];
+    if (!shadow) return null;
+
+    const now = Date.now();
+    const data = {};
+    const ages = {};
+
+    for (const [name, field] of Object.entries(shadow.fields)) {
+      data[name] = field.value;
+      ages[name] = now - field.updatedAt;
+    }
+
+    data.seg = Object.entries(shadow.seg)
+      .map(([id, segment]) => ({
+        id: Number(id),
+        ...segment.values,
+        ageMs: now - segment.updatedAt,
+        source: segment.source
+      }))
+      .sort((a, b) => a.id - b.id);
+
+    const timestamps = [
+      ...Object.values(shadow.fields).map(field => field.updatedAt),
+      ...Object.values(shadow.seg).map(segment => segment.updatedAt)
+    ];
+    const updatedAt = timestamps.length > 0 ? Math.max(...timestamps) : null;
+
+    return {
+      data,
+      ages,
+      updatedAt,
+      ageMs: updatedAt ? now - updatedAt : null
+    };
+  }
+}
@@ -4,22 +4,47 @@
  */
 
 import express from 'express';
+import dgram from 'dgram';
+import { EventEmitter } from 'events';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const DEFAULT_PORT = 8080;
+const DEFAULT_UDP_PORT = 4048; // DDP port; each controller listens on the next one up
+const LEDS_PER_SEGMENT = 200; // matches the 200-LED strands on the real pumpkin
+const REALTIME_TIMEOUT_MS = 2500; // WLED's default realtime timeout
 
-class WLEDSimulator {
+class WLEDSimulator extends EventEmitter {
   constructor(controllerName, config) {
+    super();
     this.controllerName = controllerName;
     this.config = config;
     
     // Initialize state based on number of segments
     const numSegments = config.segments || 8;
+    this.numSegments = numSegments;
+    this.resetState();
+    this.bootTime = Date.now();
+    
+    // Realtime (DDP / E1.31) frame buffer
+    this.ledCount = numSegments * LEDS_PER_SEGMENT;
+    this.frame = new Uint8Array(this.ledCount * 3);
+    this.framesReceived = 0;
+    this.lastFrameAt = null;
+    this.universe = config.universe || 1;
+    
+    console.log(`✓ Initialized ${controllerName} with ${numSegments} segments`);
+  }
+  
+  /**
+   * Reset to power-on defaults: all segments solid orange
+   */
+  resetState() {
     this.state = {
       on: true,
       bri: 128,
@@ -27,9 +52,12 @@ class WLEDSimulator {
     };
     
     // Initialize all segments
-    for (let i = 0; i < numSegments; i++) {
+    for (let i = 0; i < this.numSegments; i++) {
       this.state.seg.push({
         id: i,
+        start: i * LEDS_PER_SEGMENT,
+        stop: (i + 1) * LEDS_PER_SEGMENT,
+        len: LEDS_PER_SEGMENT,
         on: true,
         bri: 255,
         fx: 0,
@@ -39,8 +67,71 @@ class WLEDSimulator {
         col: [[255, 160, 0]] // Default orange
       });
     }
+  }
+  
+  /**
+   * Fake a power cycle: state back to defaults, uptime restarts at 0 and
+   * WebSocket clients are dropped, like a real controller rebooting
+   */
+  reboot() {
+    this.resetState();
+    this.bootTime = Date.now();
+    this.lastFrameAt = null;
+    console.log(`[${this.controllerName}] Simulated reboot`);
+    this.emit('reboot');
+  }
+  
+  /**
+   * Whether realtime frames are currently overriding effects
+   */
+  isLive() {
+    return this.lastFrameAt !== null && Date.now() - this.lastFrameAt < REALTIME_TIMEOUT_MS;
+  }
+  
+  /**
+   * Handle a realtime UDP packet (DDP or E1.31)
+   */
+  receivePacket(packet) {
+    let offset;
+    let data;
+    let complete;
+    
+    if (packet.length >= 126 && packet.toString('ascii', 4, 13) === 'ASC-E1.17') {
+      // E1.31: 170 RGB pixels per universe, one packet per universe
+      const universe = packet.readUInt16BE(113);
+      const count = packet.readUInt16BE(123) - 1;
+      offset = (universe - this.universe) * 510;
+      data = packet.subarray(126, 126 + count);
+      complete = offset + data.length >= this.frame.length;
+    } else if (packet.length >= 10 && (packet[0] & 0xC0) === 0x40) {
+      // DDP: optional 4-byte timecode after the 10-byte header
+      const headerLength = packet[0] & 0x10 ? 14 : 10;
+      offset = packet.readUInt32BE(4);
+      data = packet.subarray(headerLength, headerLength + packet.readUInt16BE(8));
+      complete = Boolean(packet[0] & 0x01);
+    } else {
+      return;
+    }
     
-    console.log(`✓ Initialized ${controllerName} with ${numSegments} segments`);
+    if (offset < 0 || offset >= this.frame.length) return;
+    this.frame.set(data.subarray(0, this.frame.length - offset), offset);
+    this.lastFrameAt = Date.now();
+    if (complete) {
+      this.framesReceived++;
+    }
+  }
+  
+  /**
+   * Current realtime frame as a hex string (6 characters per pixel)
+   */
+  getFrame() {
+    return {
+      live: this.isLive(),
+      framesReceived: this.framesReceived,
+      lastFrameAt: this.lastFrameAt,
+      ledCount: this.ledCount,
+      pixels: Buffer.from(this.frame).toString('hex')
+    };
   }
   
   /**
@@ -57,6 +148,7 @@ class WLEDSimulator {
     // Update global state
     if (newState.on !== undefined) this.state.on = newState.on;
     if (newState.bri !== undefined) this.state.bri = newState.bri;
+    if (newState.live === false) this.lastFrameAt = null; // leave realtime mode
     
     // Update segments
     if (newState.seg) {
@@ -79,6 +171,9 @@ class WLEDSimulator {
     
     console.log(`[${this.controllerName}] State updated:`, JSON.stringify(newState, null, 2));
     
+    // Push to WebSocket clients, like WLED does after every change
+    this.emit('change', this.state);
+    
     return { success: true };
   }
   
@@ -91,9 +186,9 @@ class WLEDSimulator {
       vid: 99999,
       name: this.controllerName,
       udpport: 21324,
-      live: false,
+      live: this.isLive(),
       leds: {
-        count: 300,
+        count: this.ledCount,
         rgbw: false,
         wv: false,
         cct: false,
@@ -103,7 +198,7 @@ class WLEDSimulator {
         seglc: [this.state.seg.length]
       },
       freeheap: 150000,
-      uptime: Math.floor(Date.now() / 1000),
+      uptime: Math.floor((Date.now() - this.bootTime) / 1000),
       opt: 127,
       brand: "Simulator",
       product: "WLED-Sim",
@@ -154,6 +249,12 @@ export function createSimulatorApp(pumpkinConfig) {
     res.json(req.simulator.getInfo());
   });
   
+  // Fake a reboot (state reset, uptime back to 0) to test reconciliation
+  app.post('/simulator/:controller/reboot', getSimulator, (req, res) => {
+    req.simulator.reboot();
+    res.json({ success: true, rebooted: req.controllerKey });
+  });
+  
   app.get('/simulator/:controller/json', getSimulator, (req, res) => {
     res.json({
       state: req.simulator.getState(),
@@ -167,6 +268,15 @@ export function createSimulatorApp(pumpkinConfig) {
     res.send(html);
   });
   
+  // API to get realtime frames received over DDP / E1.31
+  app.get('/simulator/api/frames', (req, res) => {
+    const frames = {};
+    Object.entries(simulators).forEach(([key, sim]) => {
+      frames[key] = sim.getFrame();
+    });
+    res.json(frames);
+  });
+  
   // API to get all controller states (for visualization)
   app.get('/simulator/api/states', (req, res) => {
     const states = {};
@@ -179,6 +289,66 @@ export function createSimulatorApp(pumpkinConfig) {
   return { app, simulators };
 }
 
+/**
+ * Attach WLED-style WebSocket endpoints (/simulator/:controller/ws) to a server
+ * Like WLED, each socket receives { state, info } on connect and after every
+ * change, and any JSON object sent to it is applied as a state update.
+ */
+export function attachSimulatorWebSocket(server, simulators) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const match = req.url.match(/^\/simulator\/([^/]+)\/ws\/?$/);
+    const simulator = match && simulators[match[1]];
+
+    if (!simulator) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const push = () => {
+        if (ws.readyState === ws.OPEN) {
+          ws.send(JSON.stringify({ state: simulator.getState(), info: simulator.getInfo() }));
+        }
+      };
+
+      // A rebooting controller drops its sockets
+      const drop = () => ws.terminate();
+      
+      simulator.on('change', push);
+      simulator.on('reboot', drop);
+      ws.on('close', () => {
+        simulator.off('change', push);
+        simulator.off('reboot', drop);
+      });
+
+      ws.on('message', (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw.toString());
+        } catch (error) {
+          return;
+        }
+
+        // { v: true } only asks for a full state push
+        const { v, ...update } = message;
+        if (Object.keys(update).length > 0) {
+          simulator.setState(update);
+        } else if (v) {
+          push();
+        }
+      });
+
+      console.log(`[${simulator.controllerName}] WebSocket client connected`);
+      push();
+    });
+  });
+
+  return wss;
+}
+
 /**
  * Create a fallback SVG pumpkin
  */
@@ -620,11 +790,35 @@ function generateVisualizationHTML(simulators, pumpkinConfig) {
 </html>`;
 }
 
+/**
+ * Start a UDP realtime receiver (DDP or E1.31) for each simulated controller
+ * Controllers share localhost, so each gets its own port: basePort, basePort + 1, ...
+ * @returns {Promise<object>} Map of controller key → UDP port
+ */
+export async function startSimulatorUdp(simulators, basePort = DEFAULT_UDP_PORT) {
+  const ports = {};
+  
+  await Promise.all(Object.entries(simulators).map(([key, simulator], index) => {
+    const port = basePort + index;
+    ports[key] = port;
+    
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.on('message', (packet) => simulator.receivePacket(packet));
+      socket.once('error', reject);
+      socket.bind(port, () => resolve(socket));
+    });
+  }));
+  
+  return ports;
+}
+
 /**
  * Start simulator server
  */
-export async function startSimulator(pumpkinConfig, port = DEFAULT_PORT) {
+export async function startSimulator(pumpkinConfig, port = DEFAULT_PORT, udpBasePort = DEFAULT_UDP_PORT) {
   const { app, simulators } = createSimulatorApp(pumpkinConfig);
+  const udpPorts = await startSimulatorUdp(simulators, udpBasePort);
   
   return new Promise((resolve, reject) => {
     const server = app.listen(port, () => {
@@ -634,12 +828,15 @@ export async function startSimulator(pumpkinConfig, port = DEFAULT_PORT) {
       console.log('Controller endpoints:');
       Object.keys(simulators).forEach(key => {
         console.log(`  • http://localhost:${port}/simulator/${key}/json/state`);
+        console.log(`  • ws://localhost:${port}/simulator/${key}/ws`);
+        console.log(`  • udp://localhost:${udpPorts[key]} (DDP / E1.31)`);
       });
       console.log('');
       
-      resolve({ server, simulators });
+      resolve({ server, simulators, udpPorts });
     });
     
+    attachSimulatorWebSocket(server, simulators);
     server.on('error', reject);
   });
 }
@@ -0,0 +1,123 @@
+/**
+ * Solar Times
+ * Offline sunrise/sunset from latitude/longitude, using the standard
+ * sunrise equation (the same approach as NOAA's simplified calculator and
+ * the suncalc library). Accurate to about a minute, which is plenty for
+ * switching a pumpkin on at dusk.
+ */
+
+const rad = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = rad * 23.4397;
+const SUN_ALTITUDE = rad * -0.833; // sun's upper limb on the horizon, with refraction
+
+function toDays(date) {
+  return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(julian) {
+  return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+function solarMeanAnomaly(days) {
+  return rad * (357.5291 + 0.98560028 * days);
+}
+
+function eclipticLongitude(M) {
+  const center = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const perihelion = rad * 102.9372;
+  return M + center + perihelion + Math.PI;
+}
+
+function approxTransit(hourAngle, lw, n) {
+  return J0 + (hourAngle + lw) / (2 * Math.PI) + n;
+}
+
+function solarTransitJ(ds, M, L) {
+  return J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+}
+
+/**
+ * Sunrise and sunset for the calendar day containing `date` (local time)
+ * @returns {object} { sunrise, sunset } as Dates, or null for both when the
+ *   sun doesn't rise or set that day (polar day/night)
+ */
+export function getSunTimes(date, latitude, longitude) {
+  // Local noon keeps us on the right calendar day in any timezone
+  const noon = new Date(date);
+  noon.setHours(12, 0, 0, 0);
+
+  const lw = rad * -longitude;
+  const phi = rad * latitude;
+  const days = toDays(noon);
+
+  const n = Math.round(days - J0 - lw / (2 * Math.PI));
+  const ds = approxTransit(0, lw, n);
+  const M = solarMeanAnomaly(ds);
+  const L = eclipticLongitude(M);
+  const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+  const jNoon = solarTransitJ(ds, M, L);
+
+  const cosHourAngle = (Math.sin(SUN_ALTITUDE) - Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return { sunrise: null, sunset: null };
+  }
+
+  const hourAngle = Math.acos(cosHourAngle);
+  const jSet = solarTransitJ(approxTransit(hourAngle, lw, n), M, L);
+  const jRise = jNoon - (jSet - jNoon);
+
+  return {
+    sunrise: fromJulian(jRise),
+    sunset: fromJulian(jSet)
+  };
+}
+
+/**
+ * Parse a solar expression like "sunset", "sunset-15min", "sunrise+1h"
+ * @returns {object} { event: 'sunrise'|'sunset', offsetMs }
+ */
+export function parseSolar(expression) {
+  const match = /^\s*(sunrise|sunset)\s*(?:([+\-−])\s*(\d+)\s*(m|min|mins|minutes|h|hr|hours)?)?\s*$/i.exec(expression || '');
+  if (!match) {
+    throw new Error(`Invalid solar expression '${expression}' (expected e.g. "sunset", "sunset-15min", "sunrise+1h")`);
+  }
+
+  const [, event, sign, amount, unit] = match;
+  let offsetMs = 0;
+  if (amount) {
+    const unitMs = unit && unit.toLowerCase().startsWith('h') ? 3600000 : 60000;
+    offsetMs = Number(amount) * unitMs * (sign === '+' ? 1 : -1);
+  }
+
+  return { event: event.toLowerCase(), offsetMs };
+}
+
+/**
+ * Next time a solar expression happens strictly after `from`
+ * @returns {Date|null} null if it doesn't happen within a year (polar regions)
+ */
+export function nextSolarTime(solar, from, latitude, longitude) {
+  const day = new Date(from);
+
+  // Start a day early: a large negative offset can pull tomorrow's event into today
+  day.setDate(day.getDate() - 1);
+
+  for (let i = 0; i < 368; i++) {
+    const times = getSunTimes(day, latitude, longitude);
+    const eventTime = times[solar.event];
+
+    if (eventTime) {
+      const at = new Date(eventTime.getTime() + solar.offsetMs);
+      if (at > from) return at;
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return null;
+}
@@ -0,0 +1,330 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { summarizeResults } from './wled-client.js';
+import { getApplicableFeatures, applyScene } from './scene-store.js';
+import { parseTimestamp } from './sequencer.js';
+
+export const TRIGGER_ACTION_TYPES = ['features', 'power', 'brightness', 'scene', 'preset'];
+
+/**
+ * Triggers
+ * Named reactions that another system (a motion sensor, a doorbell) sets off
+ * with POST /api/triggers/:name, e.g. a red strobe face for 5 seconds and
+ * then back to the previous look. Definitions live in config/triggers.json:
+ *
+ *   "scare": {
+ *     "durationSeconds": 5,
+ *     "cooldownSeconds": 30,
+ *     "restore": true,
+ *     "actions": [
+ *       { "type": "features", "features": { "allFace": { "fx": 1, "sx": 255, "col": [[255, 0, 0]] } }, "transition": 0 },
+ *       { "at": 2.5, "type": "brightness", "brightness": 255 }
+ *     ]
+ *   }
+ *
+ * Actions run `at` seconds (or "m:ss.fff") after the trigger fires. With
+ * `restore`, the look is snapshotted through ControllerManager first and put
+ * back after `durationSeconds`. A trigger fired while another is running
+ * takes over, but the look restored is still the one from before the first.
+ * The attract program is held off while a trigger runs.
+ *
+ * Requests must carry the shared secret from TRIGGER_SECRET or triggers.json.
+ */
+export class Triggers {
+  /**
+   * @param {object} config - Loaded configuration (config.triggers)
+   * @param {ControllerManager} controllerManager - Target of the actions, snapshot/restore
+   * @param {object} services - { sceneStore, attractMode }
+   */
+  constructor(config, controllerManager, services = {}) {
+    const settings = config.triggers || {};
+
+    this.config = config;
+    this.controllerManager = controllerManager;
+    this.sceneStore = services.sceneStore;
+    this.attractMode = services.attractMode;
+    this.secret = process.env.TRIGGER_SECRET || settings.secret || null;
+    this.definitions = settings.triggers || {};
+    this.triggers = this.load();
+
+    // Feature references are checked again when pumpkin.json is reloaded
+    controllerManager.on('config', ({ success }) => {
+      if (success) this.triggers = this.load();
+    });
+
+    this.lastFiredAt = new Map(); // trigger name → time it last fired
+    this.active = null; // { name, snapshot, startedAt, endsAt, timers }
+  }
+
+  /**
+   * Whether a request carried the shared secret (always false when none is configured)
+   */
+  authorize(provided) {
+    if (!this.secret || typeof provided !== 'string') return false;
+
+    // Compare digests so the lengths match and the comparison takes constant time
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(provided), digest(this.secret));
+  }
+
+  /**
+   * The triggers.json definitions usable with the current config
+   */
+  load() {
+    return loadTriggers(this.config, this.definitions, {
+      sceneExists: id => Boolean(this.sceneStore?.get(id))
+    });
+  }
+
+  get(name) {
+    return this.triggers.get(name) || null;
+  }
+
+  /**
+   * Milliseconds until a trigger may fire again (0 if it may fire now)
+   */
+  cooldownRemaining(name) {
+    const trigger = this.get(name);
+    const lastAt = this.lastFiredAt.get(name);
+    if (!trigger || lastAt === undefined) return 0;
+    return Math.max(0, lastAt + trigger.cooldownMs - Date.now());
+  }
+
+  /**
+   * Features a trigger's actions write to (for DMX conflict checks)
+   */
+  featuresOf(name) {
+    const trigger = this.get(name);
+    if (!trigger) return [];
+
+    const names = new Set();
+    for (const action of trigger.actions) {
+      if (action.type === 'features') {
+        Object.keys(action.features).forEach(feature => names.add(feature));
+      }
+      if (action.type === 'scene') {
+        const scene = this.sceneStore?.get(action.scene);
+        if (scene) Object.keys(getApplicableFeatures(this.config, scene).features).forEach(feature => names.add(feature));
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Run a trigger's action sequence and schedule the restore
+   * @returns {Promise<object>} { success, trigger, restoreAt, results } - results of the actions at 0s
+   */
+  async fire(name) {
+    const trigger = this.get(name);
+    if (!trigger) {
+      return { success: false, error: `Trigger '${name}' not found` };
+    }
+
+    const now = Date.now();
+    this.lastFiredAt.set(name, now);
+
+    // Keep the look from before the first of overlapping triggers
+    const previous = this.active;
+    if (previous) {
+      this.clearTimers(previous);
+      console.log(`[Trigger] ${name} takes over from ${previous.name}`);
+    }
+    const active = this.active = { name, snapshot: null, startedAt: now, endsAt: now + trigger.durationMs, timers: [] };
+    this.attractMode?.hold('trigger');
+
+    if (trigger.restore) {
+      active.snapshot = previous?.snapshot || await this.controllerManager.snapshot();
+    }
+
+    console.log(`[Trigger] ${name} fired (${trigger.durationMs / 1000}s${trigger.restore ? ', then restore' : ''})`);
+    this.controllerManager.emit('trigger', { trigger: name, phase: 'start', durationMs: trigger.durationMs, at: now });
+
+    for (const action of trigger.actions.filter(entry => entry.ms > 0)) {
+      active.timers.push(setTimeout(() => {
+        this.runAction(action).catch(error => console.error(`[Trigger] ${name}:`, error.message));
+      }, action.ms));
+    }
+    active.timers.push(setTimeout(() => this.end(active), trigger.durationMs));
+
+    const results = [];
+    for (const action of trigger.actions.filter(entry => entry.ms === 0)) {
+      results.push({ type: action.type, ...await this.runAction(action) });
+    }
+
+    return {
+      success: results.every(result => result.success),
+      trigger: name,
+      restoreAt: trigger.restore ? active.endsAt : null,
+      results
+    };
+  }
+
+  async runAction(action) {
+    switch (action.type) {
+      case 'features': {
+        const options = action.transition !== undefined ? { transition: action.transition } : {};
+        const result = await this.controllerManager.setFeatures(action.features, options);
+        return { success: result.success, error: result.error };
+      }
+
+      case 'power':
+        return summarizeResults(await this.controllerManager.setAllPower(action.on));
+
+      case 'brightness':
+        return summarizeResults(await this.controllerManager.setAllBrightness(action.brightness));
+
+      case 'preset':
+        return summarizeResults(await this.controllerManager.loadPresetAll(action.preset));
+
+      case 'scene': {
+        const scene = this.sceneStore && this.sceneStore.get(action.scene);
+        if (!scene) {
+          return { success: false, error: `Scene '${action.scene}' not found` };
+        }
+        const result = await applyScene(this.config, this.controllerManager, scene);
+        return { success: result.success, error: result.error };
+      }
+
+      default:
+        return { success: false, error: `Unknown action type '${action.type}'` };
+    }
+  }
+
+  /**
+   * The trigger's time is up: put the previous look back
+   */
+  async end(active) {
+    if (this.active !== active) return;
+    this.clearTimers(active);
+    this.active = null;
+
+    let restored = false;
+    if (active.snapshot) {
+      const summary = summarizeResults(await this.controllerManager.restore(active.snapshot));
+      restored = summary.success;
+      if (!summary.success) {
+        console.error(`[Trigger] ${active.name}: restore failed (${summary.failed.join(', ')})`);
+      }
+    }
+
+    if (restored) {
+      console.log(`[Trigger] ${active.name} ended, previous look restored`);
+    } else if (!active.snapshot) {
+      console.log(`[Trigger] ${active.name} ended`);
+    }
+    this.controllerManager.emit('trigger', { trigger: active.name, phase: 'end', restored, at: Date.now() });
+
+    // Another trigger may have started while restoring
+    if (!this.active) {
+      this.attractMode?.release('trigger');
+    }
+  }
+
+  clearTimers(active) {
+    for (const timer of active.timers) {
+      clearTimeout(timer);
+    }
+    active.timers = [];
+  }
+
+  getStatus() {
+    return {
+      secretConfigured: Boolean(this.secret),
+      active: this.active
+        ? { trigger: this.active.name, startedAt: this.active.startedAt, endsAt: this.active.endsAt }
+        : null,
+      triggers: [...this.triggers.values()].map(trigger => ({
+        name: trigger.name,
+        label: trigger.label,
+        durationMs: trigger.durationMs,
+        cooldownMs: trigger.cooldownMs,
+        restore: trigger.restore,
+        actions: trigger.actions.length,
+        lastFiredAt: this.lastFiredAt.get(trigger.name) ?? null,
+        cooldownRemainingMs: this.cooldownRemaining(trigger.name)
+      }))
+    };
+  }
+}
+
+/**
+ * Check a trigger definition
+ * @param {object} options - { sceneExists: id => boolean }
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateTrigger(config, trigger, { sceneExists = () => true } = {}) {
+  const errors = [];
+
+  if (!trigger || typeof trigger !== 'object' || Array.isArray(trigger)) {
+    return ['must be an object with actions'];
+  }
+  for (const field of ['durationSeconds', 'cooldownSeconds']) {
+    if (trigger[field] !== undefined && !(typeof trigger[field] === 'number' && trigger[field] >= 0)) {
+      errors.push(`${field} must be a number of seconds`);
+    }
+  }
+  if (!Array.isArray(trigger.actions) || trigger.actions.length === 0) {
+    errors.push('actions must be a non-empty array');
+    return errors;
+  }
+
+  trigger.actions.forEach((action, index) => {
+    const where = `actions[${index}]`;
+    if (!action || !TRIGGER_ACTION_TYPES.includes(action.type)) {
+      errors.push(`${where}: type must be one of ${TRIGGER_ACTION_TYPES.join(', ')}`);
+      return;
+    }
+    if (action.at !== undefined && Number.isNaN(parseTimestamp(action.at))) {
+      errors.push(`${where}: at must be seconds or "m:ss" (got ${JSON.stringify(action.at)})`);
+    }
+    if (action.type === 'features') {
+      if (!action.features || typeof action.features !== 'object' || Object.keys(action.features).length === 0) {
+        errors.push(`${where}: features must map feature names to props`);
+      } else {
+        const unknown = Object.keys(action.features).filter(name => !config.pumpkin.features[name]);
+        if (unknown.length > 0) errors.push(`${where}: unknown features ${unknown.join(', ')}`);
+      }
+    }
+    if (action.type === 'power' && typeof action.on !== 'boolean') {
+      errors.push(`${where}: power needs on: true/false`);
+    }
+    if (action.type === 'brightness' &&
+        !(Number.isInteger(action.brightness) && action.brightness >= 0 && action.brightness <= 255)) {
+      errors.push(`${where}: brightness must be 0-255`);
+    }
+    if (action.type === 'preset' &&
+        !(Number.isInteger(action.preset) && action.preset >= 1 && action.preset <= 16)) {
+      errors.push(`${where}: preset must be 1-16`);
+    }
+    if (action.type === 'scene' && !sceneExists(action.scene)) {
+      errors.push(`${where}: scene '${action.scene}' not found`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Keep the triggers.json definitions that can be used, warning about the rest
+ */
+function loadTriggers(config, definitions, options) {
+  const triggers = new Map();
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    const errors = validateTrigger(config, definition, options);
+    if (errors.length > 0) {
+      console.warn(`⚠ [Trigger] ${name}: ${errors.join('; ')}, skipped`);
+      continue;
+    }
+
+    triggers.set(name, {
+      name,
+      label: definition.name || name,
+      durationMs: Math.round((definition.durationSeconds ?? 5) * 1000),
+      cooldownMs: Math.round((definition.cooldownSeconds ?? 0) * 1000),
+      restore: definition.restore !== false,
+      actions: definition.actions.map(action => ({ ...action, ms: parseTimestamp(action.at ?? 0) }))
+    });
+  }
+
+  return triggers;
+}
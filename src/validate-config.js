@@ -0,0 +1,52 @@
+import { loadJSON } from './config-loader.js';
+import { validateConfig } from './config-validator.js';
+
+/**
+ * Config Check
+ * Runs the load-time checks on config/pumpkin.json, effects.json and
+ * palettes.json without starting the server: npm run validate-config
+ * Exits with 1 if there are errors (warnings alone pass).
+ */
+
+const FILES = { pumpkin: 'pumpkin.json', effects: 'effects.json', palettes: 'palettes.json' };
+
+function count(n, noun) {
+  return `${n} ${noun}${n === 1 ? '' : 's'}`;
+}
+
+async function validate() {
+  console.log('🎃 Pumpkin Painter - Config Check\n');
+
+  const config = {};
+  const unreadable = [];
+  for (const [key, file] of Object.entries(FILES)) {
+    try {
+      config[key] = await loadJSON(file);
+    } catch (error) {
+      unreadable.push(`${file}: ${error.code === 'ENOENT' ? 'file is missing' : `invalid JSON (${error.message})`}`);
+    }
+  }
+
+  // Cross-references can't be checked without every file
+  const { errors, warnings } = unreadable.length > 0
+    ? { errors: unreadable, warnings: [] }
+    : validateConfig(config);
+
+  errors.forEach(error => console.log(`  ✗ ${error}`));
+  warnings.forEach(warning => console.log(`  ⚠ ${warning}`));
+
+  if (errors.length === 0) {
+    const { controllers, features } = config.pumpkin;
+    console.log(`${warnings.length ? '\n' : ''}✅ Config is valid: ${count(Object.keys(controllers).length, 'controller')}, ` +
+      `${count(Object.keys(features).length, 'feature')}, ${count(config.effects.effects.length, 'effect')}, ` +
+      `${count(config.palettes.palettes.length, 'palette')}${warnings.length ? ` (${count(warnings.length, 'warning')})` : ''}`);
+  } else {
+    console.log(`\n❌ ${count(errors.length, 'error')}${warnings.length ? `, ${count(warnings.length, 'warning')}` : ''}`);
+  }
+  process.exit(errors.length === 0 ? 0 : 1);
+}
+
+validate().catch(error => {
+  console.error('❌ Config check failed:', error);
+  process.exit(1);
+});
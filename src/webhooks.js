@@ -0,0 +1,399 @@
+import axios from 'axios';
+import { createHmac, randomUUID } from 'crypto';
+import { readFile, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { writeJSONFile } from './config-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_QUEUE_PATH = join(__dirname, '..', 'data', 'webhook-queue.json');
+const MAX_LOG_ENTRIES = 50;
+
+export const WEBHOOK_EVENTS = ['feature', 'scene', 'preset', 'attract', 'controller'];
+
+/**
+ * Webhooks
+ * Outbound HTTP notifications so other systems can react to the pumpkin
+ * (a porch speaker playing a sound when a visitor changes the face).
+ * Subscriptions in config/webhooks.json pick the events they want:
+ *
+ *   - 'feature'     { feature, props, attract }   a feature was set (attract: by the attract program)
+ *   - 'scene'       { scene, name }               a saved scene was applied
+ *   - 'preset'      { preset, success }           a WLED preset was loaded
+ *   - 'attract'     { active, reason }            the attract program started or stopped
+ *   - 'controller'  { controller, online }        a controller went offline or came back
+ *
+ * Each delivery POSTs { id, event, at, data } with the body signed as
+ * X-Pumpkin-Signature: sha256=<HMAC-SHA256 of the body with the secret>;
+ * subscriptions without a secret (their own or the shared one) are skipped.
+ *
+ * Deliveries wait in a queue per subscription, persisted to
+ * data/webhook-queue.json so they survive restarts. A failed delivery
+ * (network error, timeout, 408, 429 or 5xx) is retried with exponential
+ * backoff and holds back the later ones for that subscription, so they
+ * arrive in order; other 4xx responses and deliveries out of attempts are
+ * dropped and logged.
+ */
+export class Webhooks {
+  /**
+   * @param {object} config - Loaded configuration (config.webhooks)
+   * @param {ControllerManager} controllerManager - Source of events
+   * @param {object} services - { attractMode } to tell attract-mode feature changes apart
+   */
+  constructor(config, controllerManager, services = {}, filePath = DEFAULT_QUEUE_PATH) {
+    const settings = config.webhooks || {};
+    const retry = settings.retry || {};
+
+    this.config = config;
+    this.controllerManager = controllerManager;
+    this.attractMode = services.attractMode;
+    this.filePath = filePath;
+    this.secret = process.env.WEBHOOK_SECRET || settings.secret || null;
+    this.timeoutMs = (settings.timeoutSeconds ?? 5) * 1000;
+    this.maxAttempts = retry.maxAttempts ?? 8;
+    this.initialDelayMs = (retry.initialDelaySeconds ?? 5) * 1000;
+    this.maxDelayMs = (retry.maxDelaySeconds ?? 600) * 1000;
+    this.maxQueued = settings.maxQueued ?? 500;
+    this.subscriptions = loadSubscriptions(settings.subscriptions || [], this.secret);
+
+    this.queues = new Map(); // subscription id → pending deliveries, oldest first
+    this.sending = new Set(); // subscription ids with a request in flight
+    this.timers = new Map(); // subscription id → retry timer
+    this.log = []; // recent delivery outcomes, newest last
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+    this.listeners = [];
+  }
+
+  /**
+   * Load queued deliveries from disk, listen for events and resume sending
+   */
+  async start() {
+    if (this.subscriptions.length === 0) return;
+
+    for (const subscription of this.subscriptions) {
+      this.queues.set(subscription.id, []);
+    }
+
+    try {
+      const saved = JSON.parse(await readFile(this.filePath, 'utf-8'));
+      for (const delivery of saved.deliveries || []) {
+        // Deliveries for subscriptions removed from the config are dropped
+        this.queues.get(delivery.subscription)?.push(delivery);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠ [Webhooks] Could not read ${this.filePath}: ${error.message}`);
+      }
+    }
+
+    this.listen('feature', ({ feature, props, success }) => {
+      if (success) this.enqueue('feature', { feature, props, attract: Boolean(this.attractMode?.active) });
+    });
+    this.listen('scene', ({ scene, name, success }) => {
+      if (success) this.enqueue('scene', { scene, name });
+    });
+    this.listen('preset', ({ preset, results }) => {
+      this.enqueue('preset', { preset, success: Object.values(results).every(result => result.success) });
+    });
+    this.listen('attract', ({ active, reason }) => {
+      this.enqueue('attract', { active, reason: reason ?? null });
+    });
+    this.listen('controller', ({ controller, online }) => {
+      this.enqueue('controller', { controller, online });
+    });
+    // Feature filters are checked again when pumpkin.json is reloaded
+    this.checkFeatures();
+    this.listen('config', ({ success }) => {
+      if (success) this.checkFeatures();
+    });
+
+    const pending = this.pendingCount();
+    console.log(`[Webhooks] ${this.subscriptions.length} subscriptions${pending ? `, ${pending} deliveries queued` : ''}`);
+    for (const subscription of this.subscriptions) {
+      this.pump(subscription);
+    }
+  }
+
+  /**
+   * Warn about feature filters naming features pumpkin.json doesn't have
+   */
+  checkFeatures() {
+    for (const subscription of this.subscriptions) {
+      const unknown = (subscription.features || []).filter(name => !this.config.pumpkin.features[name]);
+      if (unknown.length > 0) {
+        console.warn(`⚠ [Webhooks] ${subscription.id}: unknown features ${unknown.join(', ')}, no feature events for them`);
+      }
+    }
+  }
+
+  listen(event, handler) {
+    this.controllerManager.on(event, handler);
+    this.listeners.push([event, handler]);
+  }
+
+  stop() {
+    for (const [event, handler] of this.listeners) {
+      this.controllerManager.off(event, handler);
+    }
+    this.listeners = [];
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Queue an event for every subscription that wants it
+   * @returns {number} How many deliveries were queued
+   */
+  enqueue(event, data, { only } = {}) {
+    const at = Date.now();
+    let queued = 0;
+
+    for (const subscription of this.subscriptions) {
+      if (only && subscription.id !== only) continue;
+      if (!only && !wants(subscription, event, data)) continue;
+
+      const id = randomUUID();
+      const queue = this.queues.get(subscription.id);
+      queue.push({
+        id,
+        subscription: subscription.id,
+        event,
+        body: JSON.stringify({ id, event, at, data }),
+        attempts: 0,
+        createdAt: at,
+        nextAttemptAt: at,
+        lastError: null
+      });
+      queued++;
+
+      if (queue.length > this.maxQueued) {
+        const dropped = queue.splice(0, queue.length - this.maxQueued);
+        this.record(subscription.id, dropped[0], `dropped ${dropped.length} (queue full)`);
+      }
+      this.pump(subscription);
+    }
+
+    if (queued > 0) this.scheduleSave();
+    return queued;
+  }
+
+  /**
+   * Send a 'test' event to one subscription
+   * @returns {boolean} false if the subscription doesn't exist
+   */
+  test(subscriptionId) {
+    if (!this.queues.has(subscriptionId)) return false;
+    return this.enqueue('test', { message: 'Test delivery from Pumpkin Painter' }, { only: subscriptionId }) > 0;
+  }
+
+  /**
+   * Send the oldest pending delivery of a subscription if it is due
+   */
+  async pump(subscription) {
+    if (this.sending.has(subscription.id) || this.timers.has(subscription.id)) return;
+
+    const queue = this.queues.get(subscription.id);
+    const delivery = queue?.[0];
+    if (!delivery) return;
+
+    const waitMs = delivery.nextAttemptAt - Date.now();
+    if (waitMs > 0) {
+      this.timers.set(subscription.id, setTimeout(() => {
+        this.timers.delete(subscription.id);
+        this.pump(subscription);
+      }, waitMs));
+      return;
+    }
+
+    this.sending.add(subscription.id);
+    delivery.attempts++;
+    let outcome;
+    try {
+      await this.send(subscription, delivery);
+      outcome = 'delivered';
+    } catch (error) {
+      delivery.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+      if (isRetryable(error) && delivery.attempts < this.maxAttempts) {
+        delivery.nextAttemptAt = Date.now() + this.backoff(delivery.attempts);
+        outcome = null;
+      } else {
+        outcome = `failed after ${delivery.attempts} attempts (${delivery.lastError})`;
+        console.warn(`⚠ [Webhooks] ${subscription.id}: ${delivery.event} ${outcome}, dropped`);
+      }
+    } finally {
+      this.sending.delete(subscription.id);
+    }
+
+    if (outcome) {
+      // The queue may have been trimmed while the request was in flight
+      const index = queue.indexOf(delivery);
+      if (index !== -1) queue.splice(index, 1);
+      this.record(subscription.id, delivery, outcome);
+    }
+    this.scheduleSave();
+    this.pump(subscription);
+  }
+
+  async send(subscription, delivery) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'pumpkin-painter',
+      'X-Pumpkin-Event': delivery.event,
+      'X-Pumpkin-Delivery': delivery.id,
+      // loadSubscriptions() only keeps subscriptions that have a secret
+      'X-Pumpkin-Signature': `sha256=${sign(delivery.body, subscription.secret || this.secret)}`
+    };
+
+    await axios.post(subscription.url, delivery.body, {
+      headers,
+      timeout: this.timeoutMs,
+      // Send the signed string exactly as it is
+      transformRequest: [body => body]
+    });
+  }
+
+  /**
+   * Delay before retry `attempt` (1-based): initial delay doubling up to the max
+   */
+  backoff(attempt) {
+    return Math.min(this.initialDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+  }
+
+  record(subscriptionId, delivery, outcome) {
+    this.log.push({
+      subscription: subscriptionId,
+      event: delivery.event,
+      id: delivery.id,
+      attempts: delivery.attempts,
+      outcome,
+      at: Date.now()
+    });
+    if (this.log.length > MAX_LOG_ENTRIES) {
+      this.log.splice(0, this.log.length - MAX_LOG_ENTRIES);
+    }
+  }
+
+  pendingCount() {
+    let count = 0;
+    for (const queue of this.queues.values()) count += queue.length;
+    return count;
+  }
+
+  /**
+   * Write the queue to disk soon (bursts of events share one write)
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saving = this.saving.then(() => this.save()).catch(error => {
+        console.error('[Webhooks] Could not save the queue:', error.message);
+      });
+    }, 200);
+  }
+
+  async save() {
+    const deliveries = [...this.queues.values()].flat();
+    await mkdir(dirname(this.filePath), { recursive: true });
+    await writeJSONFile(this.filePath, { deliveries });
+  }
+
+  getStatus() {
+    return {
+      signed: Boolean(this.secret) || this.subscriptions.some(subscription => subscription.secret),
+      subscriptions: this.subscriptions.map(subscription => {
+        const queue = this.queues.get(subscription.id) || [];
+        return {
+          id: subscription.id,
+          url: subscription.url,
+          events: subscription.events,
+          features: subscription.features,
+          skipAttract: subscription.skipAttract,
+          signed: Boolean(subscription.secret || this.secret),
+          queued: queue.length,
+          nextAttemptAt: queue[0]?.nextAttemptAt ?? null,
+          lastError: queue[0]?.lastError ?? null
+        };
+      }),
+      log: this.log
+    };
+  }
+}
+
+/**
+ * HMAC-SHA256 of a body, hex encoded (the X-Pumpkin-Signature value after "sha256=")
+ */
+export function sign(body, secret) {
+  return createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Whether a subscription wants an event
+ */
+function wants(subscription, event, data) {
+  if (!subscription.events.includes(event) && !subscription.events.includes('*')) return false;
+  if (event === 'feature') {
+    if (subscription.skipAttract && data.attract) return false;
+    if (subscription.features && !subscription.features.includes(data.feature)) return false;
+  }
+  return true;
+}
+
+/**
+ * Network errors, timeouts, 408, 429 and 5xx are worth retrying; other 4xx are not
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Keep the webhooks.json subscriptions that can be used, warning about the rest
+ * @param {string} sharedSecret - WEBHOOK_SECRET or the top-level secret; without it every subscription needs its own
+ */
+function loadSubscriptions(entries, sharedSecret) {
+  const subscriptions = [];
+  const ids = new Set();
+
+  entries.forEach((entry, index) => {
+    const label = entry.id || `subscriptions[${index}]`;
+    if (entry.enabled === false) return;
+
+    if (typeof entry.id !== 'string' || entry.id === '' || ids.has(entry.id)) {
+      console.warn(`⚠ [Webhooks] ${label}: needs a unique id, skipped`);
+      return;
+    }
+    if (!/^https?:\/\//.test(entry.url || '')) {
+      console.warn(`⚠ [Webhooks] ${label}: url must start with http:// or https://, skipped`);
+      return;
+    }
+    const events = entry.events || ['*'];
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      console.warn(`⚠ [Webhooks] ${label}: unknown events ${unknown.join(', ')} (allowed: ${WEBHOOK_EVENTS.join(', ')}), skipped`);
+      return;
+    }
+    // Receivers can only trust signed deliveries
+    if (!entry.secret && !sharedSecret) {
+      console.warn(`⚠ [Webhooks] ${label}: needs a secret (its own, the shared "secret" or WEBHOOK_SECRET), skipped`);
+      return;
+    }
+
+    ids.add(entry.id);
+    subscriptions.push({
+      id: entry.id,
+      url: entry.url,
+      events,
+      features: entry.features || null,
+      skipAttract: entry.skipAttract === true,
+      secret: entry.secret || null
+    });
+  });
+
+  return subscriptions;
+}
@@ -1,20 +1,96 @@
 import axios from 'axios';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { CircuitBreaker, CircuitOpenError } from './circuit-breaker.js';
+import { CommandQueue } from './command-queue.js';
+import { ShadowState } from './shadow-state.js';
+import { getFeatureTargets } from './config-loader.js';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed HTTP request is worth retrying
+ * Network errors and timeouts (no response) and 5xx responses are; 4xx are not.
+ */
+function isRetryable(error) {
+  return !error.response || error.response.status >= 500;
+}
 
 /**
  * WLED API Client
  * Handles communication with WLED controllers
+ *
+ * Commands go over the controller's /ws WebSocket when it is connected and
+ * fall back to HTTP POST/GET on /json/state when it is not. While the socket
+ * is open, WLED pushes its full state after every change (including ones made
+ * from the WLED app, buttons or timers), which is kept in `liveState`.
+ *
+ * Segment updates pass through a per-controller CommandQueue that keeps one
+ * request in flight and merges pending updates to the same segment.
+ *
+ * HTTP requests are retried with exponential backoff when they are
+ * idempotent, and guarded by a circuit breaker: after repeated failures the
+ * client fails fast and probes the controller in the background until it
+ * answers again.
+ *
+ * Events:
+ *   - 'state'        (state)   WLED pushed a new state over the socket
+ *   - 'fetched'      (state)   a full state was read over HTTP
+ *   - 'written'      (payload) a state payload was accepted by the controller (HTTP writes only)
+ *   - 'connected'              WebSocket opened
+ *   - 'disconnected'           WebSocket closed (HTTP fallback in use)
+ *   - 'breaker'      (status)  circuit breaker opened or closed
  */
-export class WLEDClient {
+export class WLEDClient extends EventEmitter {
   /**
    * @param {string} ip - IP address of WLED controller
    * @param {string} name - Friendly name for logging
    * @param {boolean} debug - Enable debug logging (default: true)
    */
   constructor(ip, name = 'WLED Controller', debug = true) {
+    super();
     this.baseUrl = `http://${ip}`;
+    this.wsUrl = `ws://${ip}/ws`;
     this.name = name;
-    this.timeout = 5000; // 5 second timeout
+    this.timeout = 2000; // per attempt; retries and the breaker cover slow recoveries
     this.debug = debug;
+
+    // Resilience: retries with exponential backoff, then a circuit breaker
+    this.retries = 2; // extra attempts for idempotent requests
+    this.retryBaseDelay = 250; // 250ms, 500ms, ...
+    this.breaker = new CircuitBreaker({
+      probe: () => axios.get(`${this.baseUrl}/json/info`, { timeout: this.timeout }),
+      failureThreshold: 3,
+      probeInterval: 10000
+    });
+    this.breaker.on('open', (status) => {
+      console.error(`✗ ${this.name} unreachable, failing fast until it answers again (${status.lastError})`);
+      this.emit('breaker', status);
+    });
+    this.breaker.on('closed', (status) => {
+      console.log(`✓ ${this.name} reachable again`);
+      this.emit('breaker', status);
+    });
+
+    // Segment updates are coalesced, one request in flight at a time
+    this.queue = new CommandQueue((payload, count) => this.postState(
+      payload,
+      count > 1 ? ` (merged ${count} updates)` : ' (segments)',
+      'setting segments'
+    ));
+
+    // WebSocket transport
+    this.ws = null;
+    this.autoReconnect = false;
+    this.reconnectDelay = 5000; // retry the socket every 5 seconds while it is down
+    this.reconnectTimer = null;
+
+    // Live mirror of the controller, fed by WebSocket pushes
+    this.liveState = null;
+    this.liveInfo = null;
+    this.liveUpdatedAt = null;
   }
 
   /**
@@ -27,103 +103,283 @@ export class WLEDClient {
   }
 
   /**
-   * Set segment properties directly using WLED JSON API format
-   * @param {number} segmentId - Segment ID (0-based)
-   * @param {object} props - Segment properties (fx, pal, col, sx, ix, etc.)
-   * 
-   * Examples:
-   *   - Set effect & palette: { fx: 9, pal: 2, sx: 128, ix: 128 }
-   *   - Set solid color: { fx: 0, col: [[255, 0, 0]] }
-   * 
-   * Note: Palette IDs reference built-in WLED palettes. You cannot set custom 
-   * colors via the API for built-in palettes. To use custom colors, upload
-   * palette0-9.json files directly to the WLED controller via /edit page.
+   * Open the WebSocket connection and keep it open (reconnects automatically)
    */
-  async setSegment(segmentId, props) {
-    const payload = {
-      seg: [{
-        id: segmentId,
-        ...props
-      }]
-    };
-    
+  connect() {
+    this.autoReconnect = true;
+    this.openSocket();
+  }
+
+  /**
+   * Close the WebSocket connection and stop reconnecting
+   */
+  disconnect() {
+    this.autoReconnect = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+  }
+
+  /**
+   * Whether commands can currently be sent over the WebSocket
+   */
+  isSocketOpen() {
+    return this.ws !== null && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  openSocket() {
+    if (this.ws) return;
+
+    const ws = new WebSocket(this.wsUrl, { handshakeTimeout: this.timeout });
+    this.ws = ws;
+    let opened = false;
+
+    ws.on('open', () => {
+      opened = true;
+      this.log('⇄ WebSocket connected', this.wsUrl);
+      this.emit('connected');
+    });
+
+    ws.on('message', (raw) => this.handleSocketMessage(raw));
+
+    ws.on('error', (error) => {
+      // 'close' always follows, which handles the reconnect
+      this.log('✗ WebSocket error:', error.message);
+    });
+
+    ws.on('close', () => {
+      if (this.ws === ws) {
+        this.ws = null;
+      }
+      if (opened) {
+        this.log('⇄ WebSocket closed, falling back to HTTP');
+        this.emit('disconnected');
+      }
+      this.liveState = null;
+      this.liveInfo = null;
+      this.liveUpdatedAt = null;
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (!this.autoReconnect || this.reconnectTimer) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket();
+    }, this.reconnectDelay);
+  }
+
+  /**
+   * Handle a message pushed by WLED ({ state, info } after every change)
+   */
+  handleSocketMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      this.log('✗ Ignoring non-JSON WebSocket message');
+      return;
+    }
+
+    if (message.info) {
+      this.liveInfo = message.info;
+    }
+    if (message.state) {
+      this.liveState = message.state;
+      this.liveUpdatedAt = Date.now();
+      this.emit('state', message.state);
+    }
+  }
+
+  /**
+   * Send a JSON payload over the open WebSocket
+   */
+  sendSocket(payload) {
+    return new Promise((resolve, reject) => {
+      this.ws.send(JSON.stringify(payload), (error) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Make an HTTP request through the circuit breaker
+   * Idempotent requests are retried with exponential backoff on network
+   * errors, timeouts and 5xx responses.
+   * @param {string} method - 'get' or 'post'
+   * @param {string} path - e.g. '/json/state'
+   * @param {object} data - Request body (POST only)
+   * @param {object} options - { idempotent: true }
+   */
+  async request(method, path, data, { idempotent = true } = {}) {
+    if (!this.breaker.canRequest()) {
+      throw new CircuitOpenError(this.name, this.breaker.getStatus());
+    }
+
+    const attempts = idempotent ? this.retries + 1 : 1;
+    let lastError;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const response = await axios({
+          method,
+          url: `${this.baseUrl}${path}`,
+          data,
+          timeout: this.timeout
+        });
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        lastError = error;
+        if (attempt === attempts || !isRetryable(error)) break;
+
+        const delay = this.retryBaseDelay * 2 ** (attempt - 1);
+        this.log(`↻ Retry ${attempt}/${this.retries} in ${delay}ms:`, error.message);
+        await sleep(delay);
+      }
+    }
+
+    this.breaker.recordFailure(lastError);
+    throw lastError;
+  }
+
+  /**
+   * Longest an idempotent request can take: every attempt timing out plus
+   * the backoffs between them (2000 + 250 + 2000 + 500 + 2000ms by default)
+   */
+  getRequestBudget() {
+    let budget = this.timeout * (this.retries + 1);
+    for (let attempt = 1; attempt <= this.retries; attempt++) {
+      budget += this.retryBaseDelay * 2 ** (attempt - 1);
+    }
+    return budget;
+  }
+
+  /**
+   * How long a call started now may take: the request budget for its own
+   * request and for each queued request that goes out before it
+   */
+  getDeadline() {
+    return this.getRequestBudget() * (1 + this.queue.sendsAhead());
+  }
+
+  /**
+   * Current circuit breaker status ({ state, failures, lastError, openedAt })
+   */
+  getHealth() {
+    return this.breaker.getStatus();
+  }
+
+  /**
+   * Send a state payload to the controller (WebSocket if open, HTTP otherwise)
+   * Called by the command queue; use setSegments() or writeState() instead.
+   * @param {object} payload - WLED JSON state payload
+   * @param {string} label - Suffix for the debug log line (e.g. ' (power)')
+   * @param {string} action - Description used in the error log
+   * @param {object} options - { idempotent: true } allows retries
+   * @returns {Promise<object>} { success, data, acknowledged, transport }: over HTTP `data` is the
+   *   controller's reply, over the WebSocket it is the payload sent and
+   *   `acknowledged: false`
+   */
+  async postState(payload, label, action, options = {}) {
+    if (this.isSocketOpen()) {
+      this.log(`→ WS /ws${label}`, JSON.stringify(payload));
+      try {
+        await this.sendSocket(payload);
+        this.log('✓ Sent over WebSocket');
+        // WLED doesn't answer a socket write, it pushes its new state (which
+        // updates the shadow through 'state'), so this is sent, not confirmed
+        return { success: true, data: payload, acknowledged: false, transport: 'ws' };
+      } catch (error) {
+        this.log('✗ WebSocket send failed, falling back to HTTP:', error.message);
+      }
+    }
+
     // Log before sending (so it logs even if controller is offline)
-    this.log('→ POST /json/state', JSON.stringify(payload));
+    this.log(`→ POST /json/state${label}`, JSON.stringify(payload));
     
     try {
-      const response = await axios.post(
-        `${this.baseUrl}/json/state`,
-        payload,
-        { timeout: this.timeout }
-      );
+      const response = await this.request('post', '/json/state', payload, options);
       
       this.log('✓ Response:', response.status, 'OK');
+      this.emit('written', payload);
       
-      return { success: true, data: response.data };
+      return { success: true, data: response.data, acknowledged: true, transport: 'http' };
     } catch (error) {
       // Log error details
       this.log('✗ Error:', error.message);
-      console.error(`Error setting segment ${segmentId} on ${this.name}:`, error.message);
+      console.error(`Error ${action} on ${this.name}:`, error.message);
       
       return { 
         success: false, 
         error: error.message,
-        controller: this.name
+        controller: this.name,
+        breaker: this.breaker.state
       };
     }
   }
 
+  /**
+   * Set segment properties directly using WLED JSON API format
+   * @param {number} segmentId - Segment ID (0-based)
+   * @param {object} props - Segment properties (fx, pal, col, sx, ix, etc.)
+   * 
+   * Examples:
+   *   - Set effect & palette: { fx: 9, pal: 2, sx: 128, ix: 128 }
+   *   - Set solid color: { fx: 0, col: [[255, 0, 0]] }
+   * 
+   * Note: Palette IDs reference built-in WLED palettes. You cannot set custom 
+   * colors via the API for built-in palettes. To use custom colors, upload
+   * palette0-9.json files directly to the WLED controller via /edit page.
+   */
+  async setSegment(segmentId, props) {
+    return await this.setSegments([{ id: segmentId, ...props }]);
+  }
+
   /**
    * Set multiple segments at once
    * @param {array} segments - Array of segment configs
+   * @param {object} extra - Top-level state fields sent in the same payload (e.g. { tb: 0 })
    * Example: [{ id: 0, fx: 9 }, { id: 1, col: [[255, 0, 0]] }]
    */
-  async setSegments(segments) {
-    const payload = { seg: segments };
-    
-    // Log before sending (so it logs even if controller is offline)
-    this.log('→ POST /json/state (multi-segment)', JSON.stringify(payload));
+  async setSegments(segments, extra = {}) {
+    const payload = { ...extra, seg: segments };
     
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/json/state`,
-        payload,
-        { timeout: this.timeout }
-      );
-      
-      this.log('✓ Response:', response.status, 'OK');
-      
-      return { success: true, data: response.data };
-    } catch (error) {
-      // Log error details
-      this.log('✗ Error:', error.message);
-      console.error(`Error setting segments on ${this.name}:`, error.message);
-      
-      return { 
-        success: false, 
-        error: error.message,
-        controller: this.name
-      };
-    }
+    return await this.queue.enqueue(payload);
   }
 
   /**
    * Get current state including all segments
+   * Served from the WebSocket mirror when the socket is connected.
+   * @param {object} options - { fresh: true } always reads over HTTP
    */
-  async getState() {
+  async getState(options = {}) {
+    if (!options.fresh && this.isSocketOpen() && this.liveState) {
+      return { success: true, data: this.liveState, source: 'ws' };
+    }
+
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/json/state`,
-        { timeout: this.timeout }
-      );
+      const response = await this.request('get', '/json/state');
+      this.emit('fetched', response.data);
       
-      return { success: true, data: response.data };
+      return { success: true, data: response.data, source: 'http' };
     } catch (error) {
       console.error(`Error getting state from ${this.name}:`, error.message);
       return { 
         success: false, 
         error: error.message,
-        controller: this.name
+        controller: this.name,
+        breaker: this.breaker.state
       };
     }
   }
@@ -133,10 +389,7 @@ export class WLEDClient {
    */
   async getInfo() {
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/json/info`,
-        { timeout: this.timeout }
-      );
+      const response = await this.request('get', '/json/info');
       
       return { success: true, data: response.data };
     } catch (error) {
@@ -144,41 +397,30 @@ export class WLEDClient {
       return { 
         success: false, 
         error: error.message,
-        controller: this.name
+        controller: this.name,
+        breaker: this.breaker.state
       };
     }
   }
 
+  /**
+   * Queue a state write that isn't a segment update (power, brightness,
+   * presets, ...): it goes out on its own, in order with the segment updates,
+   * so there is still only one request in flight
+   * @param {object} payload - WLED JSON state payload
+   * @param {string} label, action, options - As for postState()
+   */
+  async writeState(payload, label, action, options = {}) {
+    return await this.queue.enqueue(payload, { send: () => this.postState(payload, label, action, options) });
+  }
+
   /**
    * Turn controller on/off
    */
   async setPower(on) {
     const payload = { on };
     
-    // Log before sending (so it logs even if controller is offline)
-    this.log('→ POST /json/state (power)', JSON.stringify(payload));
-    
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/json/state`,
-        payload,
-        { timeout: this.timeout }
-      );
-      
-      this.log('✓ Response:', response.status, 'OK');
-      
-      return { success: true, data: response.data };
-    } catch (error) {
-      // Log error details
-      this.log('✗ Error:', error.message);
-      console.error(`Error setting power on ${this.name}:`, error.message);
-      
-      return { 
-        success: false, 
-        error: error.message,
-        controller: this.name
-      };
-    }
+    return await this.writeState(payload, ' (power)', 'setting power');
   }
 
   /**
@@ -187,30 +429,7 @@ export class WLEDClient {
   async setBrightness(bri) {
     const payload = { bri: Math.max(0, Math.min(255, bri)) };
     
-    // Log before sending (so it logs even if controller is offline)
-    this.log('→ POST /json/state (brightness)', JSON.stringify(payload));
-    
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/json/state`,
-        payload,
-        { timeout: this.timeout }
-      );
-      
-      this.log('✓ Response:', response.status, 'OK');
-      
-      return { success: true, data: response.data };
-    } catch (error) {
-      // Log error details
-      this.log('✗ Error:', error.message);
-      console.error(`Error setting brightness on ${this.name}:`, error.message);
-      
-      return { 
-        success: false, 
-        error: error.message,
-        controller: this.name
-      };
-    }
+    return await this.writeState(payload, ' (brightness)', 'setting brightness');
   }
 
   /**
@@ -219,30 +438,8 @@ export class WLEDClient {
   async loadPreset(presetId) {
     const payload = { ps: presetId };
     
-    // Log before sending (so it logs even if controller is offline)
-    this.log('→ POST /json/state (preset)', JSON.stringify(payload));
-    
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/json/state`,
-        payload,
-        { timeout: this.timeout }
-      );
-      
-      this.log('✓ Response:', response.status, 'OK');
-      
-      return { success: true, data: response.data };
-    } catch (error) {
-      // Log error details
-      this.log('✗ Error:', error.message);
-      console.error(`Error loading preset ${presetId} on ${this.name}:`, error.message);
-      
-      return { 
-        success: false, 
-        error: error.message,
-        controller: this.name
-      };
-    }
+    // Not retried: loading a preset again restarts its playlist
+    return await this.writeState(payload, ' (preset)', `loading preset ${presetId}`, { idempotent: false });
   }
 
   /**
@@ -250,23 +447,24 @@ export class WLEDClient {
    */
   async ping() {
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/json/info`,
-        { timeout: this.timeout }
-      );
+      const response = await this.request('get', '/json/info');
       
       return { 
         success: true, 
         online: true,
         version: response.data.ver,
-        name: response.data.name
+        name: response.data.name,
+        websocket: this.isSocketOpen(),
+        breaker: this.getHealth()
       };
     } catch (error) {
       return { 
         success: false, 
         online: false,
         error: error.message,
-        controller: this.name
+        controller: this.name,
+        websocket: this.isSocketOpen(),
+        breaker: this.getHealth()
       };
     }
   }
@@ -275,18 +473,43 @@ export class WLEDClient {
 /**
  * Controller Manager
  * Manages multiple WLED controllers
+ *
+ * Events:
+ *   - 'change'     ({ controller, state, at })      a controller pushed new state
+ *   - 'connection' ({ controller, connected, at })  a WebSocket opened or closed
+ *   - 'breaker'    ({ controller, state, ... })      a circuit breaker opened or closed
+ *   - 'controller' ({ controller, online, websocket, breaker })  a controller went online or offline
+ *   - 'feature'    ({ feature, props, success })     setFeature/setFeatures was called
+ *   - 'power'      ({ on, results })                 setAllPower was called
+ *   - 'brightness' ({ brightness, results })         setAllBrightness was called
+ *   - 'preset'     ({ preset, results })             loadPresetAll was called
+ *   - 'scene'      ({ scene, name, success })        applyScene applied a saved scene
+ *   - 'reconcile'  ({ controller, reason, ... })     the Reconciler re-applied drifted state
+ *   - 'attract'    ({ active, reason })              the AttractMode program started or stopped
+ *   - 'schedule'   ({ rule, results, success })      a Scheduler rule fired
+ *   - 'show'       ({ action, show, positionMs })    Sequencer playback changed or progressed
+ *   - 'dmx'        ({ live, source })                DmxInput took or gave back control
+ *   - 'snapshot'   (snapshot)                        snapshot() captured the current look
+ *   - 'restore'    ({ snapshot, results })           restore() put a snapshot back
+ *   - 'trigger'    ({ trigger, phase, ... })         a Triggers action sequence started or ended
+ *   - 'config'     ({ success, files, controllers })  ConfigWatcher swapped in (or rejected) edited config files
  */
-export class ControllerManager {
+export class ControllerManager extends EventEmitter {
   constructor(config, debug = null) {
+    super();
     this.config = config;
     this.clients = {};
+    this.deadlineMargin = 250; // fan-out deadline = a client's getDeadline() plus this
+    this.shadow = new ShadowState(Object.keys(config.pumpkin.controllers));
+    this.health = {}; // controller → { websocket, breaker, online }
+    this.connected = false; // connectAll() was called, so new clients open their socket too
     
     // Use environment variable if available, otherwise default to true
-    const debugMode = debug !== null ? debug : (process.env.WLED_DEBUG !== 'false');
+    const debugMode = this.debugMode = debug !== null ? debug : (process.env.WLED_DEBUG !== 'false');
     
     // Initialize clients for each controller
     for (const [key, controller] of Object.entries(config.pumpkin.controllers)) {
-      this.clients[key] = new WLEDClient(controller.ip, controller.name, debugMode);
+      this.addClient(key, controller);
     }
     
     if (debugMode) {
@@ -294,6 +517,179 @@ export class ControllerManager {
     }
   }
 
+  addClient(controllerKey, controller) {
+    const client = new WLEDClient(controller.ip, controller.name, this.debugMode);
+    this.attachClientEvents(controllerKey, client);
+    this.clients[controllerKey] = client;
+    this.shadow.ensure(controllerKey);
+    this.health[controllerKey] = { websocket: false, breaker: 'closed', online: true };
+    if (this.connected) client.connect();
+    return client;
+  }
+
+  removeClient(controllerKey) {
+    const client = this.clients[controllerKey];
+    client.disconnect();
+    client.breaker.dispose();
+    client.removeAllListeners();
+    delete this.clients[controllerKey];
+    delete this.health[controllerKey];
+    this.shadow.remove(controllerKey);
+  }
+
+  /**
+   * Bring the clients in line with config.pumpkin.controllers after a reload:
+   * new controllers get a client, removed ones are disconnected and dropped,
+   * and a controller whose ip changed gets a fresh client.
+   * @returns {object} { added, removed, changed } controller keys
+   */
+  syncControllers() {
+    const controllers = this.config.pumpkin.controllers;
+    const changes = { added: [], removed: [], changed: [] };
+
+    for (const key of Object.keys(this.clients)) {
+      if (!controllers[key]) {
+        this.removeClient(key);
+        changes.removed.push(key);
+      }
+    }
+
+    for (const [key, controller] of Object.entries(controllers)) {
+      const client = this.clients[key];
+      if (!client) {
+        this.addClient(key, controller);
+        changes.added.push(key);
+      } else if (client.baseUrl !== `http://${controller.ip}`) {
+        this.removeClient(key);
+        this.addClient(key, controller);
+        changes.changed.push(key);
+      } else {
+        client.name = controller.name;
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Forward a client's WebSocket events as manager-level change events
+   */
+  attachClientEvents(controllerKey, client) {
+    client.on('state', (state) => {
+      this.shadow.applyState(controllerKey, state, 'ws');
+      this.emit('change', { controller: controllerKey, state, at: Date.now() });
+    });
+    client.on('fetched', (state) => {
+      this.shadow.applyState(controllerKey, state, 'http');
+    });
+    client.on('written', (payload) => {
+      this.shadow.applyWrite(controllerKey, payload);
+    });
+    client.on('connected', () => {
+      this.emit('connection', { controller: controllerKey, connected: true, at: Date.now() });
+      this.updateHealth(controllerKey, { websocket: true });
+    });
+    client.on('disconnected', () => {
+      this.emit('connection', { controller: controllerKey, connected: false, at: Date.now() });
+      this.updateHealth(controllerKey, { websocket: false });
+    });
+    client.on('breaker', (status) => {
+      this.emit('breaker', { controller: controllerKey, ...status, at: Date.now() });
+      this.updateHealth(controllerKey, { breaker: status.state });
+    });
+  }
+
+  /**
+   * Track socket/breaker changes and emit 'controller' only on real online/offline transitions
+   * Online = reachable over the WebSocket or over HTTP (breaker closed).
+   */
+  updateHealth(controllerKey, changes) {
+    const entry = this.health[controllerKey] = {
+      ...(this.health[controllerKey] || { websocket: false, breaker: 'closed', online: true }),
+      ...changes
+    };
+
+    const online = entry.websocket || entry.breaker === 'closed';
+    if (online === entry.online) return;
+
+    entry.online = online;
+    this.emit('controller', { controller: controllerKey, ...entry, at: Date.now() });
+  }
+
+  /**
+   * Online status of every controller: key → { websocket, breaker, online }
+   */
+  getControllerHealth() {
+    const health = {};
+    for (const [key, entry] of Object.entries(this.health)) {
+      health[key] = { ...entry };
+    }
+    return health;
+  }
+
+  /**
+   * Open WebSocket connections to all controllers
+   */
+  connectAll() {
+    this.connected = true;
+    for (const client of Object.values(this.clients)) {
+      client.connect();
+    }
+  }
+
+  /**
+   * Close WebSocket connections to all controllers
+   */
+  disconnectAll() {
+    this.connected = false;
+    for (const client of Object.values(this.clients)) {
+      client.disconnect();
+    }
+  }
+
+  /**
+   * Get every controller's state from the shadow copy (no hardware request)
+   * Each entry carries when it was last updated and how old its values are.
+   */
+  getShadowStates() {
+    const states = {};
+    
+    for (const key of Object.keys(this.clients)) {
+      const snapshot = this.shadow.getController(key);
+      
+      if (!snapshot || snapshot.updatedAt === null) {
+        states[key] = {
+          success: false,
+          cached: true,
+          error: 'No state known yet (use ?refresh=true to read the controller)'
+        };
+        continue;
+      }
+      
+      states[key] = { success: true, cached: true, ...snapshot };
+    }
+    
+    return states;
+  }
+
+  /**
+   * Get the live (WebSocket-mirrored) state of every controller
+   * Controllers without an open socket report state: null.
+   */
+  getLiveStates() {
+    const states = {};
+    
+    for (const [key, client] of Object.entries(this.clients)) {
+      states[key] = {
+        connected: client.isSocketOpen(),
+        state: client.liveState,
+        updatedAt: client.liveUpdatedAt
+      };
+    }
+    
+    return states;
+  }
+
   /**
    * Get a client for a specific controller
    */
@@ -305,29 +701,126 @@ export class ControllerManager {
     return client;
   }
 
+  /**
+   * Run a client call against several controllers in parallel
+   * Each controller gets its own deadline, so one offline board reports a
+   * timeout instead of stalling the others. The deadline covers the client's
+   * retries and queue (getDeadline()), so a request reported as timed out has
+   * given up rather than still running.
+   * @param {string[]} controllerKeys - Controllers to call
+   * @param {function} fn - (client, controllerKey) => Promise<result>
+   * @returns {Promise<object>} Map of controller key → result
+   */
+  async fanOut(controllerKeys, fn) {
+    const entries = await Promise.all(controllerKeys.map(async (key) => {
+      let client;
+      let timer;
+      try {
+        // A reload may have removed the controller since the caller looked
+        client = this.getClient(key);
+        const timeoutMs = client.getDeadline() + this.deadlineMargin;
+        const deadline = new Promise(resolve => {
+          timer = setTimeout(() => resolve({
+            success: false,
+            timedOut: true,
+            error: `Timed out after ${timeoutMs}ms`,
+            controller: client.name,
+            breaker: client.getHealth()
+          }), timeoutMs);
+        });
+        
+        return [key, await Promise.race([fn(client, key), deadline])];
+      } catch (error) {
+        return [key, { success: false, error: error.message, controller: client?.name ?? key }];
+      } finally {
+        clearTimeout(timer);
+      }
+    }));
+    
+    return Object.fromEntries(entries);
+  }
+
   /**
    * Set effect/palette for a feature (supports multi-segment features)
+   * @param {object} options - { sync: true } starts the effect on the same frame on every controller
    */
-  async setFeature(featureName, props) {
+  async setFeature(featureName, props, options = {}) {
     const feature = this.config.pumpkin.features[featureName];
     if (!feature) {
       throw new Error(`Feature '${featureName}' not found`);
     }
 
-    // Handle multi-segment features
-    if (feature.multiSegment && feature.targets) {
-      return await this.setMultipleTargets(feature.targets, props);
+    // Single and multi-segment features both resolve to controller/segment targets
+    const targets = getFeatureTargets(this.config, featureName);
+    const result = await this.setMultipleTargets(targets, props, options);
+    
+    this.emit('feature', { feature: featureName, props, success: result.success, at: Date.now() });
+    
+    return result;
+  }
+
+  /**
+   * Set several features with one batched update per controller
+   *
+   * Precedence where features share segments: broader features (more
+   * segments) are folded in first and narrower ones override them, property
+   * by property, so { bothEyes: {...}, leftEye: {...} } gives leftEye's
+   * values on segment 2 whatever the order. Equally broad features keep the
+   * given order, the later one winning.
+   * @param {object} featureProps - Map of feature name → props ({ fx, pal, sx, ix, col })
+   * @param {object} options - { sync: true } as for setFeature, { transition } as for sendSegments
+   * @returns {Promise<object>} Combined result as for setMultipleTargets, plus
+   *   `features`: feature name → { success, controllers, error }
+   */
+  async setFeatures(featureProps, options = {}) {
+    const entries = Object.entries(featureProps)
+      .map(([name, props]) => ({ name, props, targets: getFeatureTargets(this.config, name) }))
+      .sort((a, b) => b.targets.length - a.targets.length);
+
+    // controller → segment id → merged props
+    const segmentsByController = {};
+    for (const { props, targets } of entries) {
+      for (const target of targets) {
+        const segments = segmentsByController[target.controller] = segmentsByController[target.controller] || {};
+        segments[target.segment] = { ...segments[target.segment], id: target.segment, ...props };
+      }
+    }
+
+    const byController = {};
+    for (const [key, segments] of Object.entries(segmentsByController)) {
+      byController[key] = Object.values(segments);
     }
 
-    // Handle single segment features
-    const client = this.getClient(feature.controller);
-    return await client.setSegment(feature.segment, props);
+    const result = await this.sendSegments(byController, options);
+    
+    const results = result.results || result.data;
+    const features = {};
+    const at = Date.now();
+    for (const { name, props, targets } of entries) {
+      const controllers = [...new Set(targets.map(target => target.controller))];
+      const failed = controllers.filter(key => !results[key].success);
+      
+      features[name] = failed.length === 0
+        ? { success: true, controllers }
+        : { success: false, controllers, error: failed.map(key => `${key}: ${results[key].error}`).join('; ') };
+      
+      this.emit('feature', { feature: name, props, success: features[name].success, at });
+    }
+    
+    // Report features in the order they were given
+    const ordered = {};
+    for (const name of Object.keys(featureProps)) {
+      ordered[name] = features[name];
+    }
+    
+    return { ...result, features: ordered };
   }
 
   /**
    * Set properties for multiple segments, potentially across different controllers
+   * Controllers are updated in parallel; the result lists which ones failed.
    */
-  async setMultipleTargets(targets, props) {
+  async setMultipleTargets(targets, props, options = {}) {
     // Group targets by controller
     const byController = {};
     for (const target of targets) {
@@ -340,24 +833,39 @@ export class ControllerManager {
       });
     }
 
+    return await this.sendSegments(byController, options);
+  }
+
+  /**
+   * Send segment updates, one request per controller, in parallel
+   *
+   * Synchronized mode (options.sync) builds every payload first, then sends
+   * them together with a zeroed effect timebase (tb) and no transition, so
+   * effects on pumpkin_12v and pumpkin_24v restart on the same frame.
+   * @param {object} byController - Map of controller key → segment updates
+   * @param {object} options - { sync, transition: crossfade in WLED's 100ms units }
+   */
+  async sendSegments(byController, options = {}) {
+    const extra = options.sync ? { tb: 0, transition: 0 } : {};
+    if (!options.sync && options.transition !== undefined) {
+      extra.transition = options.transition;
+    }
+
     // Send requests to each controller
-    const results = {};
-    const errors = [];
+    const results = await this.fanOut(
+      Object.keys(byController),
+      (client, key) => client.setSegments(byController[key], extra)
+    );
     
-    for (const [controllerKey, segments] of Object.entries(byController)) {
-      const client = this.getClient(controllerKey);
-      const result = await client.setSegments(segments);
-      results[controllerKey] = result;
-      
-      if (!result.success) {
-        errors.push(`${controllerKey}: ${result.error}`);
-      }
-    }
+    const errors = Object.entries(results)
+      .filter(([, result]) => !result.success)
+      .map(([key, result]) => `${key}: ${result.error}`);
 
     // Return combined result
     if (errors.length > 0) {
       return {
         success: false,
+        partial: errors.length < Object.keys(results).length,
         error: errors.join('; '),
         results
       };
@@ -371,28 +879,18 @@ export class ControllerManager {
 
   /**
    * Get state for all controllers
+   * @param {object} options - { fresh: true } bypasses the WebSocket mirror
    */
-  async getAllStates() {
-    const states = {};
-    
-    for (const [key, client] of Object.entries(this.clients)) {
-      const result = await client.getState();
-      states[key] = result;
-    }
-    
-    return states;
+  async getAllStates(options = {}) {
+    return await this.fanOut(Object.keys(this.clients), client => client.getState(options));
   }
 
   /**
    * Set power for all controllers
    */
   async setAllPower(on) {
-    const results = {};
-    
-    for (const [key, client] of Object.entries(this.clients)) {
-      results[key] = await client.setPower(on);
-    }
-    
+    const results = await this.fanOut(Object.keys(this.clients), client => client.setPower(on));
+    this.emit('power', { on, results, at: Date.now() });
     return results;
   }
 
@@ -400,12 +898,8 @@ export class ControllerManager {
    * Set brightness for all controllers
    */
   async setAllBrightness(brightness) {
-    const results = {};
-    
-    for (const [key, client] of Object.entries(this.clients)) {
-      results[key] = await client.setBrightness(brightness);
-    }
-    
+    const results = await this.fanOut(Object.keys(this.clients), client => client.setBrightness(brightness));
+    this.emit('brightness', { brightness, results, at: Date.now() });
     return results;
   }
 
@@ -413,26 +907,103 @@ export class ControllerManager {
    * Test connectivity to all controllers
    */
   async pingAll() {
-    const results = {};
-    
-    for (const [key, client] of Object.entries(this.clients)) {
-      results[key] = await client.ping();
-    }
-    
-    return results;
+    return await this.fanOut(Object.keys(this.clients), client => client.ping());
   }
 
   /**
    * Load preset on all controllers
    */
   async loadPresetAll(presetId) {
-    const results = {};
+    const results = await this.fanOut(Object.keys(this.clients), async (client) => {
+      const result = await client.loadPreset(presetId);
+      
+      // A preset replaces segment state we can't predict; WLED pushes it over
+      // the socket, otherwise re-read it in the background for the shadow copy
+      if (result.success && !client.isSocketOpen()) {
+        client.getState();
+      }
+      
+      return result;
+    });
     
-    for (const [key, client] of Object.entries(this.clients)) {
-      results[key] = await client.loadPreset(presetId);
+    this.emit('preset', { preset: presetId, results, at: Date.now() });
+    return results;
+  }
+
+  /**
+   * Capture every controller's power, brightness and segment looks from the shadow state
+   * Controllers whose state isn't known yet are read first.
+   * @returns {Promise<object>} { at, controllers: key → { on, bri, seg: [{ id, on, bri, fx, pal, sx, ix, col }] } }
+   */
+  async snapshot() {
+    const unknown = Object.keys(this.clients)
+      .filter(key => !this.shadow.getController(key)?.updatedAt);
+    if (unknown.length > 0) {
+      await this.fanOut(unknown, client => client.getState({ fresh: true }));
     }
-    
+
+    const controllers = {};
+    for (const key of Object.keys(this.clients)) {
+      const shadow = this.shadow.getController(key);
+      if (!shadow || shadow.updatedAt === null) continue;
+
+      const { on, bri, seg } = shadow.data;
+      controllers[key] = {
+        on,
+        bri,
+        seg: seg.map(segment => pickDefined(segment, ['id', ...SNAPSHOT_SEGMENT_PROPS]))
+      };
+    }
+
+    const snapshot = { at: Date.now(), controllers };
+    this.emit('snapshot', snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Put a snapshot() back, one request per controller
+   * @param {object} options - { transition } in WLED's 100ms units
+   * @returns {Promise<object>} Map of controller key → result
+   */
+  async restore(snapshot, options = {}) {
+    const keys = Object.keys(snapshot.controllers).filter(key => this.clients[key]);
+
+    const results = await this.fanOut(keys, (client, key) => {
+      const { seg, ...fields } = snapshot.controllers[key];
+      const extra = pickDefined({ ...fields, transition: options.transition }, ['on', 'bri', 'transition']);
+      return client.setSegments(seg, extra);
+    });
+
+    this.emit('restore', { snapshot, results, at: Date.now() });
     return results;
   }
 }
 
+/**
+ * Segment properties snapshot() records
+ */
+const SNAPSHOT_SEGMENT_PROPS = ['on', 'bri', 'fx', 'pal', 'sx', 'ix', 'col'];
+
+function pickDefined(source, keys) {
+  const picked = {};
+  for (const key of keys) {
+    if (source[key] !== undefined) picked[key] = source[key];
+  }
+  return picked;
+}
+
+/**
+ * Summarize a map of per-controller results
+ * @returns {object} { success, partial, failed } - success only if every controller succeeded
+ */
+export function summarizeResults(results) {
+  const failed = Object.entries(results)
+    .filter(([, result]) => !result.success)
+    .map(([key]) => key);
+  
+  return {
+    success: failed.length === 0,
+    partial: failed.length > 0 && failed.length < Object.keys(results).length,
+    failed
+  };
+}
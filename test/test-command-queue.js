@@ -0,0 +1,121 @@
+import { CommandQueue, canMerge, mergePayload } from '../src/command-queue.js';
+import { WLEDClient } from '../src/wled-client.js';
+
+/**
+ * Command Queue Test Script
+ * Checks coalescing, ordering and the one-request-in-flight rule against a
+ * fake sender, then the same for a WLEDClient's power/brightness/preset writes.
+ * No hardware needed: npm run test:queue
+ */
+
+let failures = 0;
+
+function check(condition, message) {
+  console.log(`  ${condition ? '✓' : '✗'} ${message}`);
+  if (!condition) failures++;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * A sender that takes `delayMs` per request and records what it sent and
+ * the most requests it ever had in flight at once
+ */
+function fakeSender(delayMs = 20) {
+  const sender = { sent: [], inFlight: 0, maxInFlight: 0 };
+  sender.send = async (payload, count) => {
+    sender.inFlight++;
+    sender.maxInFlight = Math.max(sender.maxInFlight, sender.inFlight);
+    sender.sent.push({ payload, count });
+    await sleep(delayMs);
+    sender.inFlight--;
+    return { success: payload.fail !== true, request: sender.sent.length };
+  };
+  return sender;
+}
+
+async function testQueue() {
+  console.log('🎃 Pumpkin Painter - Command Queue Test\n');
+
+  console.log('🔀 Merging');
+  check(canMerge({ seg: [{ id: 0 }] }, { seg: [{ id: 1 }] }), 'segment-only payloads merge');
+  check(!canMerge({ seg: [] }, { tb: 0, transition: 0, seg: [] }), 'a synchronized apply does not merge with an ordinary update');
+  check(canMerge({ tb: 0, transition: 0, seg: [] }, { transition: 0, tb: 0, seg: [] }), 'the same timing fields in any order merge');
+  const merged = mergePayload({ seg: [{ id: 2, fx: 9, sx: 10 }] }, { seg: [{ id: 2, sx: 200 }, { id: 3, fx: 1 }] });
+  check(JSON.stringify(merged.seg) === JSON.stringify([{ id: 2, fx: 9, sx: 200 }, { id: 3, fx: 1 }]),
+    'later values win per segment, untouched properties survive');
+
+  console.log('\n📨 Coalescing a burst');
+  let sender = fakeSender();
+  let queue = new CommandQueue(sender.send);
+  const burst = [
+    queue.enqueue({ seg: [{ id: 0, sx: 10 }] }),
+    queue.enqueue({ seg: [{ id: 0, sx: 20 }] }),
+    queue.enqueue({ seg: [{ id: 0, sx: 30 }] }),
+    queue.enqueue({ seg: [{ id: 1, fx: 5 }] })
+  ];
+  const results = await Promise.all(burst);
+  check(sender.sent.length === 2, `first update sent at once, the rest in one request (${sender.sent.length} requests)`);
+  check(sender.sent[1]?.count === 3 && JSON.stringify(sender.sent[1].payload.seg) === JSON.stringify([{ id: 0, sx: 30 }, { id: 1, fx: 5 }]),
+    'merged request carries the newest values');
+  check(results[1].request === 2 && results[2].request === 2 && results[3].request === 2, 'merged callers get the result of the request that carried them');
+  check(sender.maxInFlight === 1, 'never more than one request in flight');
+  check(queue.getMetrics().merged === 2 && queue.depth() === 0, 'metrics count the merges, queue drained');
+
+  console.log('\n⏱  Ordering');
+  sender = fakeSender();
+  queue = new CommandQueue(sender.send);
+  const order = [
+    queue.enqueue({ seg: [{ id: 0, fx: 1 }] }),
+    queue.enqueue({ seg: [{ id: 1, fx: 2 }] }),
+    queue.enqueue({ tb: 0, transition: 0, seg: [{ id: 2, fx: 3 }] }),
+    queue.enqueue({ on: false }, { send: () => sender.send({ power: true }, 1) }),
+    queue.enqueue({ seg: [{ id: 3, fx: 4 }] })
+  ];
+  check(queue.sendsAhead() === 5, `sendsAhead() without a payload counts the request in flight and every entry (${queue.sendsAhead()})`);
+  check(queue.sendsAhead({ seg: [{ id: 4 }] }) === 4, 'sendsAhead() leaves out the entry a payload would merge into');
+  check(queue.sendsAhead({ bri: 10 }) === 5, 'sendsAhead() counts the newest entry when the payload would not merge');
+  await Promise.all(order);
+  const sent = sender.sent.map(({ payload }) => payload);
+  check(sent.length === 5, `every entry that can't merge is its own request (${sent.length} requests)`);
+  check(sent[2]?.tb === 0 && sent[2].transition === 0 && sent[1].transition === undefined && sent[4].transition === undefined,
+    'the synchronized apply keeps its timing to itself');
+  check(sent[3]?.power === true, 'a write with its own send goes out in order, unmerged');
+  check(sent[4]?.seg?.[0].id === 3, 'an update after it is not merged into an earlier entry');
+  check(sender.maxInFlight === 1, 'never more than one request in flight');
+
+  console.log('\n❌ Failures');
+  sender = fakeSender();
+  queue = new CommandQueue(sender.send);
+  const failed = await queue.enqueue({ fail: true, seg: [] });
+  const next = await queue.enqueue({ seg: [{ id: 0 }] });
+  check(!failed.success && next.success, 'a failed request is reported and the queue keeps going');
+  check(queue.getMetrics().failed === 1, 'failures are counted');
+
+  console.log('\n💡 WLEDClient writes');
+  const client = new WLEDClient('127.0.0.1:9', 'Test', false);
+  sender = fakeSender();
+  client.postState = (payload) => sender.send(payload, 1);
+  await Promise.all([
+    client.setSegments([{ id: 0, fx: 1 }]),
+    client.setPower(true),
+    client.setSegments([{ id: 1, fx: 2 }]),
+    client.setBrightness(300),
+    client.loadPreset(3)
+  ]);
+  const writes = sender.sent.map(({ payload }) => payload);
+  check(sender.maxInFlight === 1, 'segments, power, brightness and presets share one request at a time');
+  check(JSON.stringify(writes) === JSON.stringify([
+    { seg: [{ id: 0, fx: 1 }] }, { on: true }, { seg: [{ id: 1, fx: 2 }] }, { bri: 255 }, { ps: 3 }
+  ]), 'writes go out in the order they were made');
+
+  console.log(`\n${failures === 0 ? '✅ All command queue checks passed' : `❌ ${failures} command queue checks failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testQueue().catch(error => {
+  console.error('❌ Command queue test failed:', error);
+  process.exit(1);
+});
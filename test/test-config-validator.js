@@ -0,0 +1,164 @@
+import { validateConfig } from '../src/config-validator.js';
+
+/**
+ * Config Validator Test Script
+ * Checks the schema and cross-reference rules against small inline configs.
+ * No hardware needed: npm run test:config
+ */
+
+let failures = 0;
+
+function check(condition, message) {
+  console.log(`  ${condition ? '✓' : '✗'} ${message}`);
+  if (!condition) failures++;
+}
+
+/**
+ * A valid config; `change` edits a copy before it is validated
+ */
+function validate(change = () => {}) {
+  const config = {
+    pumpkin: {
+      name: 'Test Pumpkin',
+      attract: { enabled: true, idleAfterSeconds: 20 },
+      controllers: {
+        main: { ip: '10.0.0.2', name: 'Main', segments: 3 },
+        filler: { ip: '10.0.0.3', name: 'Filler', segments: 2 }
+      },
+      features: {
+        leftEye: { name: 'Left Eye', controller: 'main', segment: 0, color: '#FF6600' },
+        rightEye: { name: 'Right Eye', controller: 'main', segment: 1 },
+        bothEyes: {
+          name: 'Both Eyes',
+          multiSegment: true,
+          targets: [{ controller: 'main', segment: 0 }, { controller: 'main', segment: 1 }]
+        },
+        filler: { name: 'Filler', controller: 'filler', segment: 0 }
+      }
+    },
+    effects: {
+      effects: [{ id: 0, name: 'Solid', category: 'soft' }, { id: 2, name: 'Breathe', category: 'soft' }],
+      categories: { soft: 'Soft Effects' }
+    },
+    palettes: {
+      palettes: [{ id: 0, name: 'Default', colors: ['#000000'] }, { id: 6, name: 'Party', show: false }]
+    }
+  };
+  change(config);
+  return validateConfig(config);
+}
+
+function has(list, text) {
+  return list.some(entry => entry.includes(text));
+}
+
+function testValidator() {
+  console.log('🎃 Pumpkin Painter - Config Validator Test\n');
+
+  console.log('✅ Valid config');
+  const valid = validate();
+  check(valid.errors.length === 0 && valid.warnings.length === 0, `no errors or warnings (${[...valid.errors, ...valid.warnings].join('; ')})`);
+
+  console.log('\n❌ Errors');
+  let result = validate(config => { config.pumpkin.features.bothEyes.targets[1].controller = 'mian'; });
+  check(has(result.errors, "pumpkin.json $.features.bothEyes.targets[1].controller: unknown controller 'mian' (known: main, filler)"), 'typo in a target controller key');
+
+  result = validate(config => { config.pumpkin.features.rightEye.segment = 3; });
+  check(has(result.errors, 'pumpkin.json $.features.rightEye.segment: 3 is out of range, main has segments 0-2'), 'segment at the controller\'s segment count');
+
+  result = validate(config => { config.pumpkin.features.bothEyes.targets[0].segment = 5; });
+  check(has(result.errors, '$.features.bothEyes.targets[0].segment: 5 is out of range'), 'out of range segment in targets');
+
+  result = validate(config => { delete config.pumpkin.features.leftEye.controller; });
+  check(has(result.errors, '$.features.leftEye.controller: missing'), 'single-segment feature without a controller');
+
+  result = validate(config => { config.pumpkin.features.bothEyes.targets = []; });
+  check(has(result.errors, '$.features.bothEyes.targets: a multiSegment feature needs'), 'multiSegment feature without targets');
+
+  result = validate(config => { config.pumpkin.controllers.main.ip = 'http://10.0.0.2'; });
+  check(has(result.errors, '$.controllers.main.ip: must be the bare address without a scheme, e.g. "10.0.0.2"'), 'controller ip with a scheme');
+
+  result = validate(config => { config.pumpkin.controllers = {}; });
+  check(has(result.errors, '$.controllers: must name at least one controller'), 'no controllers');
+
+  result = validate(config => { config.pumpkin.attract.idleAfterSeconds = '20'; });
+  check(has(result.errors, '$.attract.idleAfterSeconds: must be a number of seconds above 0 (got "20")'), 'attract timing must be a number');
+
+  result = validate(config => { config.effects.effects[1].id = 'two'; });
+  check(has(result.errors, 'effects.json $.effects[1].id: must be the WLED id'), 'effect id must be an integer');
+
+  result = validate(config => { delete config.palettes.palettes; });
+  check(has(result.errors, 'palettes.json $.palettes: must be an array'), 'palettes list missing');
+
+  result = validate(config => { config.palettes.palettes[0].colors = ['orange']; });
+  check(has(result.errors, 'palettes.json $.palettes[0].colors'), 'palette preview colors must be hex');
+
+  result = validate(config => { config.pumpkin.features['left eye'] = { controller: 'main', segment: 2 }; });
+  check(has(result.errors, "$.features.left eye: key may only use letters, digits, _ and -"), 'feature key unusable in URLs and MQTT topics');
+
+  result = validate(config => { config.pumpkin.features.bothEyes = { includes: ['leftEye', 'rightEyes'] }; });
+  check(has(result.errors, '$.features.bothEyes.includes[1]: unknown feature "rightEyes"'), 'includes names an unknown feature');
+
+  result = validate(config => {
+    config.pumpkin.features.bothEyes = { includes: ['leftEye', 'face'] };
+    config.pumpkin.features.face = { includes: ['bothEyes', 'filler'] };
+  });
+  check(has(result.errors, '$.features.bothEyes.includes: includes itself (bothEyes → face → bothEyes)'), 'include cycle');
+
+  result = validate(config => { config.pumpkin.features.bothEyes = { includes: ['leftEye'], all: true }; });
+  check(has(result.errors, '$.features.bothEyes: use only one of "all", "includes" or "multiSegment"'), 'more than one way to pick segments');
+
+  result = validate(config => {
+    delete config.pumpkin.controllers.filler.segments;
+    config.pumpkin.features.everything = { all: true };
+  });
+  check(has(result.errors, '$.features.everything.all: needs "segments" on every controller (missing on filler)'), '"all" needs every controller\'s segment count');
+
+  console.log('\n⚠️  Warnings');
+  result = validate(config => { config.effects.effects[1].id = 0; });
+  check(result.errors.length === 0 && has(result.warnings, 'effects.json $.effects[1].id: duplicate id 0 (also effects[0])'), 'duplicate effect id');
+
+  result = validate(config => { config.palettes.palettes[1].id = 0; });
+  check(has(result.warnings, 'palettes.json $.palettes[1].id: duplicate id 0'), 'duplicate palette id');
+
+  result = validate(config => {
+    config.pumpkin.features.wholeEyes = {
+      multiSegment: true,
+      targets: [{ controller: 'main', segment: 1 }, { controller: 'main', segment: 0 }]
+    };
+  });
+  check(has(result.warnings, 'pumpkin.json $.features.bothEyes: maps to the same segments (main:0,main:1) as wholeEyes'), 'features with identical segment sets (in any order)');
+
+  result = validate(config => {
+    config.pumpkin.features.onlyFiller = { multiSegment: true, targets: [{ controller: 'filler', segment: 0 }] };
+  });
+  check(has(result.warnings, '$.features.filler: maps to the same segments (filler:0) as onlyFiller'), 'multiSegment feature with one target duplicating a single-segment feature');
+
+  result = validate(config => {
+    config.pumpkin.features.bothEyes = { includes: ['leftEye', 'rightEye'] };
+    config.pumpkin.features.face = { includes: ['bothEyes', 'leftEye'] };
+  });
+  check(result.errors.length === 0 && has(result.warnings, '$.features.bothEyes: maps to the same segments (main:0,main:1) as face'), 'nested includes resolve to their segments');
+
+  result = validate(config => { config.pumpkin.features.everything = { all: true }; });
+  check(result.errors.length === 0 && result.warnings.length === 0, '"all" feature');
+
+  result = validate(config => {
+    config.pumpkin.features.everything = { all: true };
+    config.pumpkin.features.most = { includes: ['bothEyes', 'filler'] };
+    config.pumpkin.features.more = { multiSegment: true, targets: [{ controller: 'main', segment: 2 }, { controller: 'filler', segment: 1 }] };
+    config.pumpkin.features.rest = { includes: ['most', 'more'] };
+  });
+  check(has(result.warnings, '$.features.everything: maps to the same segments (filler:0,filler:1,main:0,main:1,main:2) as rest'), '"all" compared with the segments a composite resolves to');
+
+  result = validate(config => { config.pumpkin.features.leftEye.segmnet = 2; });
+  check(result.errors.length === 0 && has(result.warnings, '$.features.leftEye.segmnet: unknown key'), 'misspelt key');
+
+  result = validate(config => { config.pumpkin.features.rightEye.targets = []; });
+  check(has(result.warnings, '$.features.rightEye.targets: ignored without "multiSegment": true'), 'targets without multiSegment');
+
+  console.log(`\n${failures === 0 ? '✅ All config validator checks passed' : `❌ ${failures} config validator checks failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testValidator();
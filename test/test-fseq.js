@@ -0,0 +1,150 @@
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFile } from 'fs/promises';
+import { loadConfig } from '../src/config-loader.js';
+import { ControllerManager } from '../src/wled-client.js';
+import { FrameOutput } from '../src/frame-output.js';
+import { FseqPlayer, parseFseq } from '../src/fseq.js';
+import { startSimulator } from '../src/simulator.js';
+
+/**
+ * FSEQ Playback Test Script
+ * Parses the fixtures in test/fixtures/ and plays them into the simulator.
+ * Both fixtures hold 20 frames at 50ms where absolute channel c of frame f
+ * is (c + 7f) & 0xFF:
+ *   - chase.fseq:             uncompressed, channels 0-1199
+ *   - chase-zstd-sparse.fseq: two zstd blocks, sparse ranges 0-599 and 4800-5399
+ * No hardware needed: npm run test:fseq
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURES = join(__dirname, 'fixtures');
+const SIMULATOR_PORT = parseInt(process.env.SIMULATOR_PORT || '8998', 10);
+const SIMULATOR_UDP_PORT = parseInt(process.env.SIMULATOR_UDP_PORT || '5148', 10);
+
+let failures = 0;
+
+function check(condition, message) {
+  console.log(`  ${condition ? '✓' : '✗'} ${message}`);
+  if (!condition) failures++;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function expectedValue(channel, frame) {
+  return (channel + frame * 7) & 0xFF;
+}
+
+/**
+ * Which fixture frame a block of received pixels shows (null if none matches)
+ * @param {number} firstChannel - Absolute fseq channel of pixels[0]
+ */
+function matchFrame(pixels, firstChannel) {
+  for (let frame = 0; frame < 20; frame++) {
+    if (pixels.every((value, i) => value === expectedValue(firstChannel + i, frame))) {
+      return frame;
+    }
+  }
+  return null;
+}
+
+function testParse(sequence, expected) {
+  check(sequence.version === '2.0', `version ${sequence.version}`);
+  check(sequence.frameCount === 20 && sequence.stepMs === 50, `${sequence.frameCount} frames at ${sequence.stepMs}ms`);
+  check(sequence.compression === expected.compression, `compression ${sequence.compression}`);
+  check(sequence.channelCount === 1200, `${sequence.channelCount} channels per frame`);
+  check(sequence.headers.sp === 'pumpkin-painter fixture', 'variable headers read');
+
+  let framesOk = true;
+  for (let frame = 0; frame < sequence.frameCount; frame++) {
+    const data = sequence.getFrame(frame);
+    for (const [channel, offset] of expected.samples) {
+      if (data[offset] !== expectedValue(channel, frame)) framesOk = false;
+    }
+  }
+  check(framesOk, 'every frame decodes to the expected channel values');
+}
+
+async function testFseq() {
+  console.log('🎃 Pumpkin Painter - FSEQ Playback Test\n');
+
+  console.log('📄 Parsing chase.fseq (uncompressed)');
+  const plain = parseFseq(await readFile(join(FIXTURES, 'chase.fseq')));
+  testParse(plain, { compression: 'none', samples: [[0, 0], [599, 599], [1199, 1199]] });
+
+  console.log('\n📄 Parsing chase-zstd-sparse.fseq (zstd, sparse)');
+  const sparse = parseFseq(await readFile(join(FIXTURES, 'chase-zstd-sparse.fseq')));
+  testParse(sparse, { compression: 'zstd', samples: [[0, 0], [599, 599], [4800, 600], [5399, 1199]] });
+  check(sparse.blocks.length === 2, `${sparse.blocks.length} compression blocks (empty padding entry ignored)`);
+  check(sparse.locateChannel(4800)?.offset === 600 && sparse.locateChannel(1000) === null, 'sparse channels located');
+
+  let badVersion = null;
+  const v1 = Buffer.from(await readFile(join(FIXTURES, 'chase.fseq')));
+  v1[7] = 1;
+  try {
+    parseFseq(v1);
+  } catch (error) {
+    badVersion = error.message;
+  }
+  check(badVersion !== null, `v1 rejected (${badVersion})`);
+
+  console.log('\n🎮 Playing into the simulator');
+  const config = await loadConfig();
+  const { server, simulators, udpPorts } = await startSimulator(config.pumpkin, SIMULATOR_PORT, SIMULATOR_UDP_PORT);
+  for (const key of Object.keys(config.pumpkin.controllers)) {
+    config.pumpkin.controllers[key].ip = `localhost:${SIMULATOR_PORT}/simulator/${key}`;
+    config.pumpkin.controllers[key].streamPort = udpPorts[key];
+  }
+
+  const manager = new ControllerManager(config, false);
+  const frameOutput = new FrameOutput(config, manager);
+
+  // chase.fseq: channels 1-600 → leftEye's segment, 601-1200 → first 24v segment
+  const mapped = new FseqPlayer(config, frameOutput, {
+    dir: FIXTURES,
+    channels: [
+      { start: 1, controller: 'pumpkin_12v', segment: 2 },
+      { start: 601, controller: 'pumpkin_24v', segment: 0 }
+    ]
+  });
+
+  const status = await mapped.play('chase');
+  check(status.playing && status.sequence.fps === 20, `playing ${status.sequence?.name} at ${status.sequence?.fps} fps`);
+  await sleep(400);
+
+  const main = simulators.pumpkin_12v.frame;
+  const filler = simulators.pumpkin_24v.frame;
+  check(simulators.pumpkin_12v.isLive(), 'simulator in realtime mode');
+  check(matchFrame(main.subarray(400 * 3, 600 * 3), 0) !== null, '12v segment 2 shows channels 1-600');
+  check(matchFrame(filler.subarray(0, 600), 600) !== null, '24v segment 0 shows channels 601-1200');
+  check(main.subarray(0, 400 * 3).every(value => value === 0), 'unmapped 12v pixels stay black');
+
+  await sleep(1000);
+  check(!frameOutput.getStatus().streaming && !mapped.getStatus().playing, 'stream ends after the last frame');
+
+  // chase-zstd-sparse.fseq with the default config/fseq.json map (12v at 1, 24v at 4801)
+  main.fill(0);
+  filler.fill(0);
+  const player = new FseqPlayer(config, frameOutput, { dir: FIXTURES });
+  await player.play('chase-zstd-sparse', { loop: true });
+  await sleep(1500);
+
+  check(frameOutput.getStatus().streaming, 'looping sequence still streaming after its length');
+  check(matchFrame(main.subarray(0, 600), 0) !== null, '12v pixels 0-199 show sparse channels 1-600');
+  check(matchFrame(filler.subarray(0, 600), 4800) !== null, '24v pixels 0-199 show sparse channels 4801-5400');
+  check(main.subarray(600).every(value => value === 0), 'channels missing from the sparse file stay black');
+
+  await player.stop();
+  check(!frameOutput.getStatus().streaming, 'stopped');
+
+  server.close();
+  console.log(`\n${failures === 0 ? '✅ All FSEQ checks passed' : `❌ ${failures} FSEQ checks failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testFseq().catch(error => {
+  console.error('❌ FSEQ test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFile, mkdir } from 'fs/promises';
+import { writeJSONFile } from '../src/config-loader.js';
+import { buildDiscovery } from '../src/ha-discovery.js';
+
+/**
+ * Home Assistant Discovery Snapshot Test
+ * Builds discovery messages for a small fixed configuration and compares
+ * them with test/snapshots/ha-discovery.json. After an intended change,
+ * review the diff and rewrite the snapshot with:
+ *   npm run test:ha -- --update
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SNAPSHOT_PATH = join(__dirname, 'snapshots', 'ha-discovery.json');
+const UPDATE = process.argv.includes('--update');
+
+const config = {
+  pumpkin: {
+    name: 'Test Pumpkin',
+    controllers: {
+      main: { ip: '10.0.0.2', name: 'Main Controller', segments: 3 },
+      filler: { ip: '10.0.0.3', name: 'Filler Controller', segments: 1 }
+    },
+    features: {
+      leftEye: { name: 'Left Eye', controller: 'main', segment: 0 },
+      rightEye: { name: 'Right Eye', controller: 'main', segment: 1 },
+      bothEyes: {
+        name: 'Both Eyes 👀',
+        multiSegment: true,
+        targets: [{ controller: 'main', segment: 0 }, { controller: 'main', segment: 1 }]
+      },
+      innerFiller: { name: 'Inner Filler', controller: 'filler', segment: 0 }
+    }
+  },
+  effects: {
+    effects: [
+      { id: 0, name: 'Solid', show: true },
+      { id: 1, name: 'Blink', show: false },
+      { id: 2, name: 'Breathe', show: true },
+      { id: 66, name: 'Fire 2012' }
+    ]
+  }
+};
+
+const scenes = [
+  { id: 'spooky', name: 'Spooky' },
+  { id: 'calm', name: 'Calm' },
+  { id: 'calm-2', name: 'Calm' }
+];
+
+const cases = {
+  default: buildDiscovery(config, { prefix: 'pumpkin', nodeId: 'pumpkin_painter', scenes }),
+  noScenes: buildDiscovery(config, { prefix: 'pumpkin', nodeId: 'pumpkin_painter' }),
+  customPrefixes: buildDiscovery(config, { prefix: 'yard/pumpkin', discoveryPrefix: 'ha', nodeId: 'porch', scenes: scenes.slice(0, 1) })
+};
+
+let failures = 0;
+
+function check(condition, message) {
+  console.log(`  ${condition ? '✓' : '✗'} ${message}`);
+  if (!condition) failures++;
+}
+
+async function testDiscovery() {
+  console.log('🎃 Pumpkin Painter - Home Assistant Discovery Test\n');
+
+  const topics = Object.keys(cases.default);
+  check(topics.filter(topic => topic.startsWith('homeassistant/light/')).length === 4, 'one light per feature');
+  check(topics.filter(topic => topic.startsWith('homeassistant/binary_sensor/')).length === 2, 'one binary_sensor per controller');
+  check(cases.default['homeassistant/light/pumpkin_painter/leftEye/config'].effect_list.join() === 'Solid,Breathe,Fire 2012', 'effect list has only visible effects');
+  check(cases.default['homeassistant/select/pumpkin_painter/scene/config'].options.join() === 'Spooky,Calm', 'scene options are unique names');
+  check(!Object.keys(cases.noScenes).some(topic => topic.includes('/scene/')), 'no scene select without scenes');
+
+  const ids = Object.values(cases.default).map(message => message.unique_id);
+  check(new Set(ids).size === ids.length, 'unique_ids are unique');
+
+  console.log('\n📸 Snapshot');
+  if (UPDATE) {
+    await mkdir(dirname(SNAPSHOT_PATH), { recursive: true });
+    await writeJSONFile(SNAPSHOT_PATH, cases);
+    console.log(`  ✎ Wrote ${SNAPSHOT_PATH}`);
+  } else {
+    const snapshot = JSON.parse(await readFile(SNAPSHOT_PATH, 'utf-8'));
+    for (const [name, messages] of Object.entries(cases)) {
+      const expected = snapshot[name] || {};
+      const changed = [...new Set([...Object.keys(expected), ...Object.keys(messages)])]
+        .filter(topic => JSON.stringify(expected[topic]) !== JSON.stringify(messages[topic]));
+      check(changed.length === 0, `${name} matches the snapshot${changed.length ? ` (differs: ${changed.join(', ')})` : ''}`);
+    }
+  }
+
+  console.log(`\n${failures === 0 ? '✅ All discovery checks passed' : `❌ ${failures} discovery checks failed (run with --update if the change is intended)`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testDiscovery().catch(error => {
+  console.error('❌ Discovery test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,183 @@
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { rm } from 'fs/promises';
+import { Aedes } from 'aedes';
+import mqtt from 'mqtt';
+import { loadConfig } from '../src/config-loader.js';
+import { ControllerManager } from '../src/wled-client.js';
+import { SceneStore } from '../src/scene-store.js';
+import { MqttBridge, parseColor } from '../src/mqtt-bridge.js';
+import { startSimulator } from '../src/simulator.js';
+
+/**
+ * MQTT Bridge Test Script
+ * Runs an in-process Aedes broker and the simulator, then checks that the
+ * bridge publishes feature state and Home Assistant discovery, carries out
+ * commands and comes back after the broker restarts.
+ * No hardware or external broker needed: npm run test:mqtt
+ */
+
+const BROKER_PORT = parseInt(process.env.MQTT_TEST_PORT || '18830', 10);
+const SIMULATOR_PORT = parseInt(process.env.SIMULATOR_PORT || '8997', 10);
+const SIMULATOR_UDP_PORT = parseInt(process.env.SIMULATOR_UDP_PORT || '5248', 10);
+const SCENES_PATH = join(tmpdir(), `pumpkin-mqtt-test-${process.pid}.json`);
+const DISCOVERY = 'homeassistant/light/test_node';
+
+let failures = 0;
+
+function check(condition, message) {
+  console.log(`  ${condition ? '✓' : '✗'} ${message}`);
+  if (!condition) failures++;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function startBroker() {
+  const broker = await Aedes.createBroker();
+  const server = createServer(broker.handle);
+  await new Promise(resolve => server.listen(BROKER_PORT, resolve));
+  return { broker, server };
+}
+
+async function stopBroker({ broker, server }) {
+  await new Promise(resolve => broker.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+}
+
+/**
+ * Wait until `predicate` holds for the last message on `topic`
+ */
+async function waitFor(messages, topic, predicate, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (messages.has(topic) && predicate(messages.get(topic))) return true;
+    await sleep(50);
+  }
+  return false;
+}
+
+function json(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return {};
+  }
+}
+
+async function testMqtt() {
+  console.log('🎃 Pumpkin Painter - MQTT Bridge Test\n');
+
+  check(parseColor('#ff8000')?.join() === '255,128,0', "parseColor('#ff8000')");
+  check(parseColor({ r: 1, g: 2, b: 3 })?.join() === '1,2,3', 'parseColor({ r, g, b })');
+  check(parseColor([1, 2, 300]) === null && parseColor('red') === null, 'parseColor rejects bad colors');
+
+  const config = await loadConfig();
+  const { server, simulators } = await startSimulator(config.pumpkin, SIMULATOR_PORT, SIMULATOR_UDP_PORT);
+  for (const key of Object.keys(config.pumpkin.controllers)) {
+    config.pumpkin.controllers[key].ip = `localhost:${SIMULATOR_PORT}/simulator/${key}`;
+  }
+  config.mqtt = {
+    ...config.mqtt,
+    enabled: true,
+    url: `mqtt://localhost:${BROKER_PORT}`,
+    prefix: 'test/pumpkin',
+    reconnectSeconds: 1,
+    homeAssistant: { enabled: true, nodeId: 'test_node' }
+  };
+
+  let broker = await startBroker();
+  const manager = new ControllerManager(config, false);
+  await manager.getAllStates();
+
+  // A discovery message left over from a run with a feature that no longer exists
+  const previousRun = await mqtt.connectAsync(`mqtt://localhost:${BROKER_PORT}`, { clientId: 'previous-run' });
+  await previousRun.publishAsync(`${DISCOVERY}/ghost/config`, JSON.stringify({ name: 'Ghost' }), { retain: true });
+  await previousRun.endAsync();
+
+  const sceneStore = new SceneStore(SCENES_PATH);
+  const bridge = new MqttBridge(config, manager, { sceneStore });
+  bridge.start();
+
+  // An observer client, like Home Assistant would be
+  const messages = new Map();
+  const observer = mqtt.connect(`mqtt://localhost:${BROKER_PORT}`, { clientId: 'observer', reconnectPeriod: 500 });
+  observer.on('message', (topic, payload) => messages.set(topic, payload.toString()));
+  observer.on('connect', () => observer.subscribe(['test/pumpkin/#', 'homeassistant/#']));
+  observer.on('error', () => {});
+
+  console.log('\n📡 Publishing state');
+  check(await waitFor(messages, 'test/pumpkin/status', text => text === 'online'), 'status is online');
+  check(await waitFor(messages, 'test/pumpkin/leftEye/state', text => json(text).fx !== undefined), 'leftEye state published');
+  check(await waitFor(messages, 'test/pumpkin/power/state', text => text === 'ON' || text === 'OFF'), 'power state published');
+  check(await waitFor(messages, 'test/pumpkin/controllers/pumpkin_12v/state', text => text === 'ON'), 'controller health published');
+
+  console.log('\n🏠 Home Assistant discovery');
+  check(await waitFor(messages, `${DISCOVERY}/leftEye/config`, text => json(text).command_topic === 'test/pumpkin/leftEye/set'), 'leftEye light discovered');
+  check(await waitFor(messages, `${DISCOVERY}/ghost/config`, text => text === ''), 'stale entity from an earlier run cleared');
+  check(!messages.has('homeassistant/select/test_node/scene/config'), 'no scene select without scenes');
+
+  await sceneStore.create({ name: 'Spooky', features: { leftEye: { fx: 0, col: [[0, 255, 0]] } } });
+  check(await waitFor(messages, 'homeassistant/select/test_node/scene/config', text => json(text).options?.join() === 'Spooky'), 'scene select published after a scene is saved');
+
+  console.log('\n🎛  Commands');
+  observer.publish('test/pumpkin/leftEye/set', JSON.stringify({ fx: 2, pal: 5, color: '#ff0000' }));
+  const leftEye = config.pumpkin.features.leftEye;
+  const published = await waitFor(messages, 'test/pumpkin/leftEye/state', text => json(text).fx === 2);
+  const segment = simulators[leftEye.controller].state.seg.find(seg => seg.id === leftEye.segment);
+  check(segment.fx === 2 && segment.pal === 5 && segment.col[0].slice(0, 3).join() === '255,0,0', 'leftEye/set reached the controller');
+  const state = json(messages.get('test/pumpkin/leftEye/state'));
+  check(published && state.effect === 'Breathe' && state.color.r === 255, `leftEye state updated (${state.effect}, r=${state.color?.r})`);
+
+  observer.publish('test/pumpkin/leftEye/set', JSON.stringify({ state: 'ON', effect: 'Solid', brightness: 100 }));
+  check(await waitFor(messages, 'test/pumpkin/leftEye/state', text => json(text).fx === 0 && json(text).brightness === 100), 'Home Assistant style command (effect name, brightness)');
+
+  observer.publish('test/pumpkin/scene/set', 'Spooky');
+  check(await waitFor(messages, 'test/pumpkin/scene/state', text => text === 'Spooky'), 'scene/set applies the scene');
+  check(segment.col[0].slice(0, 3).join() === '0,255,0', 'scene reached the controller');
+
+  observer.publish('test/pumpkin/power/set', 'OFF');
+  check(await waitFor(messages, 'test/pumpkin/power/state', text => text === 'OFF'), 'power/set OFF');
+  check(Object.values(simulators).every(sim => sim.state.on === false), 'controllers off');
+
+  observer.publish('test/pumpkin/brightness/set', '77');
+  check(await waitFor(messages, 'test/pumpkin/brightness/state', text => text === '77'), 'brightness/set 77');
+
+  observer.publish('test/pumpkin/leftEye/set', JSON.stringify({ fx: 999 }));
+  observer.publish('test/pumpkin/noSuchFeature/set', JSON.stringify({ fx: 1 }));
+  await sleep(300);
+  check(segment.fx === 0, 'invalid commands ignored');
+
+  console.log('\n🔁 Broker restart');
+  await stopBroker(broker);
+  await sleep(300);
+  check(!bridge.getStatus().connected, 'bridge notices the broker went away');
+
+  messages.clear();
+  broker = await startBroker();
+  check(await waitFor(messages, 'test/pumpkin/status', text => text === 'online', 5000), 'status online again after reconnect');
+  check(await waitFor(messages, 'test/pumpkin/leftEye/state', text => json(text).fx === 0), 'states republished to the new broker');
+
+  check(await waitFor(messages, `${DISCOVERY}/leftEye/config`, text => text !== ''), 'discovery republished to the new broker');
+
+  observer.publish('test/pumpkin/leftEye/set', JSON.stringify({ sx: 42 }));
+  check(await waitFor(messages, 'test/pumpkin/leftEye/state', text => json(text).sx === 42), 'commands work after reconnect');
+
+  await bridge.stop();
+  check(await waitFor(messages, 'test/pumpkin/status', text => text === 'offline'), 'status offline after stop');
+
+  await observer.endAsync();
+  manager.disconnectAll();
+  await stopBroker(broker);
+  await rm(SCENES_PATH, { force: true });
+  server.close();
+  console.log(`\n${failures === 0 ? '✅ All MQTT checks passed' : `❌ ${failures} MQTT checks failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testMqtt().catch(error => {
+  console.error('❌ MQTT test failed:', error);
+  process.exit(1);
+});
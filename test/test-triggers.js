@@ -0,0 +1,114 @@
+import express from 'express';
+import { loadConfig } from '../src/config-loader.js';
+import { ControllerManager } from '../src/wled-client.js';
+import { Triggers, validateTrigger } from '../src/triggers.js';
+import { setupRoutes } from '../src/api-routes.js';
+import { startSimulator } from '../src/simulator.js';
+
+/**
+ * Trigger Test Script
+ * Checks the shared-secret comparison and trigger validation, then fires
+ * triggers through POST /api/triggers/:name against the simulator to check
+ * which ways of passing the secret are accepted.
+ * No hardware needed: npm run test:triggers
+ */
+
+const API_PORT = parseInt(process.env.TRIGGER_TEST_PORT || '8996', 10);
+const SIMULATOR_PORT = parseInt(process.env.SIMULATOR_PORT || '8995', 10);
+const SIMULATOR_UDP_PORT = parseInt(process.env.SIMULATOR_UDP_PORT || '5249', 10);
+const SECRET = 'test-secret';
+
+let failures = 0;
+
+function check(condition, message) {
+  console.log(`  ${condition ? '✓' : '✗'} ${message}`);
+  if (!condition) failures++;
+}
+
+function listen(app, port) {
+  return new Promise(resolve => {
+    const server = app.listen(port, () => resolve(server));
+  });
+}
+
+/**
+ * POST to a trigger, returning the status code
+ */
+async function fire(name, headers = {}, query = '') {
+  const response = await fetch(`http://localhost:${API_PORT}/api/triggers/${name}${query}`, { method: 'POST', headers });
+  return response.status;
+}
+
+async function testTriggers() {
+  console.log('🎃 Pumpkin Painter - Trigger Test\n');
+
+  // The secret under test comes from the config, not the environment
+  delete process.env.TRIGGER_SECRET;
+
+  const config = await loadConfig();
+  const { server: simulatorServer } = await startSimulator(config.pumpkin, SIMULATOR_PORT, SIMULATOR_UDP_PORT);
+  for (const key of Object.keys(config.pumpkin.controllers)) {
+    config.pumpkin.controllers[key].ip = `localhost:${SIMULATOR_PORT}/simulator/${key}`;
+  }
+  const feature = Object.keys(config.pumpkin.features)[0];
+  config.triggers = {
+    secret: SECRET,
+    triggers: {
+      flash: {
+        durationSeconds: 0.2,
+        cooldownSeconds: 60,
+        actions: [{ type: 'features', transition: 0, features: { [feature]: { fx: 0, col: [[255, 255, 255]] } } }]
+      },
+      broken: { actions: [{ type: 'features', features: { noSuchFeature: { fx: 0 } } }] }
+    }
+  };
+
+  console.log('📋 Validation');
+  check(validateTrigger(config, config.triggers.triggers.flash).length === 0, 'a valid trigger passes');
+  check(validateTrigger(config, { actions: [] }).length > 0, 'empty actions are rejected');
+  check(validateTrigger(config, { actions: [{ type: 'brightness', brightness: 300 }] }).length > 0, 'brightness above 255 is rejected');
+  check(validateTrigger(config, { actions: [{ type: 'scene', scene: 'x' }] }, { sceneExists: () => false }).length > 0,
+    'a missing scene is rejected');
+
+  const manager = new ControllerManager(config, false);
+  await manager.getAllStates();
+  const triggers = new Triggers(config, manager);
+  check(triggers.get('flash') !== null && triggers.get('broken') === null, 'invalid triggers are skipped when loading');
+
+  console.log('\n🔑 Secret comparison');
+  check(triggers.authorize(SECRET), 'the configured secret is accepted');
+  check(!triggers.authorize('wrong'), 'a different secret is rejected');
+  check(!triggers.authorize(`${SECRET}x`), 'a longer secret with the same prefix is rejected');
+  check(!triggers.authorize(undefined) && !triggers.authorize(['test-secret']), 'a missing or non-string secret is rejected');
+  const unconfigured = new Triggers({ ...config, triggers: { triggers: {} } }, manager);
+  check(!unconfigured.authorize('') && !unconfigured.authorize(SECRET), 'nothing is accepted when no secret is configured');
+
+  console.log('\n🌐 POST /api/triggers/:name');
+  const app = express();
+  app.use(express.json());
+  setupRoutes(app, config, manager, { triggers });
+  const apiServer = await listen(app, API_PORT);
+
+  check(await fire('flash') === 401, 'no secret → 401');
+  check(await fire('flash', { Authorization: 'Bearer wrong' }) === 401, 'wrong Bearer secret → 401');
+  check(await fire('flash', {}, `?secret=${SECRET}`) === 401, 'secret in the query string → 401');
+  check(await fire('flash', { Authorization: SECRET }) === 401, 'Authorization without "Bearer " → 401');
+  check(await fire('missing', { 'X-Trigger-Secret': SECRET }) === 404, 'X-Trigger-Secret is accepted (unknown trigger → 404)');
+  check(await fire('flash', { Authorization: `Bearer ${SECRET}` }) === 200, 'Bearer secret fires the trigger');
+  check(await fire('flash', { Authorization: `Bearer ${SECRET}` }) === 429, 'firing again during the cooldown → 429');
+
+  // The endpoint stays off until a secret is configured
+  triggers.secret = null;
+  check(await fire('flash', { Authorization: 'Bearer ' }) === 503, 'no secret configured → 503');
+  apiServer.close();
+
+  manager.disconnectAll();
+  simulatorServer.close();
+  console.log(`\n${failures === 0 ? '✅ All trigger checks passed' : `❌ ${failures} trigger checks failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testTriggers().catch(error => {
+  console.error('❌ Trigger test failed:', error);
+  process.exit(1);
+});